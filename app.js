@@ -6,6 +6,39 @@ import {
 } from "./ui/loading.js";
 import { showUsernameUpdateNotification } from "./ui/notifications.js";
 import { renderUserCards } from "./ui/userCard.js";
+import { renderUserTags } from "./ui/userNotesEditor.js";
+import { createBulkActionsBar } from "./ui/bulkActions.js";
+import {
+  createListControls,
+  applyListControls,
+  updateTagFilter,
+} from "./ui/listControls.js";
+import { createChangeFeedPanel } from "./ui/changeFeedPanel.js";
+import { getChangeFeed, markFeedSeen } from "./utils/changeFeed.js";
+import {
+  loadCsvData,
+  buildCsvRows,
+  toCsv,
+  downloadCsv,
+} from "./utils/csvExport.js";
+import { showCsvExportDialog } from "./ui/csvExportDialog.js";
+import { getFollowDateIndex } from "./follow_date_manager.js";
+import { getStoredUserDetails } from "./utils/userDetailsStorage.js";
+import { getStorageTotals } from "./utils/storageManager.js";
+import { getSettings } from "./utils/settings.js";
+import { createStorageWarning } from "./ui/storageWarning.js";
+import {
+  loadPendingOperations,
+  handleOfflineQueueUpdate,
+  loadSafelist,
+  safelistedUserIds,
+  loadUserNotes,
+  userNotes,
+  getKnownTags,
+  onUserNotesChange,
+  setFollowingUsers,
+  updateNotFollowingBackCounter,
+} from "./services/userService.js";
 
 document.addEventListener("DOMContentLoaded", function () {
   // Add styles right at the beginning, before starting the application
@@ -34,6 +67,34 @@ document.addEventListener("DOMContentLoaded", function () {
   });
 });
 
+// Search, sort and filter state shared by the three tabs
+const listState = {
+  query: "",
+  sort: "default",
+  tag: "",
+  nonFollowersOnly: false,
+};
+
+// Follow dates and cached user details used for sorting, and the notes used
+// by the tag filter
+let sortContext = {
+  followDates: { followers: {}, following: {} },
+  userNotes,
+};
+
+// Inactive users, loaded the first time the Inactive tab is opened
+let inactiveUsers = null;
+
+// Load the stored data the sort options need
+async function loadSortContext() {
+  const [followDates, userDetails] = await Promise.all([
+    getFollowDateIndex(),
+    getStoredUserDetails(),
+  ]);
+
+  return { followDates, userDetails, userNotes };
+}
+
 // Main initialization function
 async function initializeApp() {
   // Create main container
@@ -74,6 +135,8 @@ async function initializeApp() {
       } else {
         updateLoadingStep("dates", message.progress === 100);
       }
+    } else if (message.action === "offlineQueueUpdate") {
+      handleOfflineQueueUpdate(message);
     } else if (message.action === "usernameUpdateStats") {
       // Display a notification about username updates if any occurred
       if (message.followersUpdated > 0 || message.followingUpdated > 0) {
@@ -85,6 +148,28 @@ async function initializeApp() {
     }
   });
 
+  // Follow/unfollow operations still queued from an earlier session, so the
+  // cards can show them as pending
+  try {
+    await loadPendingOperations();
+  } catch (error) {
+    console.warn("Could not load pending operations:", error);
+  }
+
+  // Safelisted users are never highlighted or picked for unfollow
+  try {
+    await loadSafelist();
+  } catch (error) {
+    console.warn("Could not load safelist:", error);
+  }
+
+  // Private notes and tags shown on the cards and used by the tag filter
+  try {
+    await loadUserNotes();
+  } catch (error) {
+    console.warn("Could not load notes and tags:", error);
+  }
+
   // Fetch followers and following data
   updateLoadingStep("followers");
   const [followersResponse, followingResponse] = await Promise.all([
@@ -140,6 +225,37 @@ async function initializeApp() {
     user.isFollowing = true; // They are in the following list, so you follow them
   });
 
+  // Read after the sync above so new follow dates are included
+  try {
+    sortContext = await loadSortContext();
+  } catch (error) {
+    console.warn("Could not load sort data:", error);
+  }
+
+  // Changes found since the last visit, including this popup's sync. Opening
+  // the popup counts as a visit, which clears the badge.
+  let unseenFeedEntries = [];
+  try {
+    unseenFeedEntries = (await getChangeFeed()).unseen;
+    await markFeedSeen();
+  } catch (error) {
+    console.warn("Could not load the change feed:", error);
+  }
+
+  // Warn before the storage quota runs out
+  let storageUsage = null;
+  try {
+    const [usage, { storageWarningPercent }] = await Promise.all([
+      getStorageTotals(),
+      getSettings(),
+    ]);
+    if (usage.usagePercentage >= storageWarningPercent) {
+      storageUsage = usage;
+    }
+  } catch (error) {
+    console.warn("Could not check storage usage:", error);
+  }
+
   // Load inactive users count for the tab
   try {
     const inactiveUsersResponse = await new Promise((resolve) => {
@@ -217,6 +333,100 @@ async function initializeApp() {
     inactiveTab.className = "tab-button";
     tabsContainer.appendChild(inactiveTab);
 
+    // Show how each list was synced (count check vs full crawl)
+    const syncStrategyInfo = document.createElement("div");
+    syncStrategyInfo.className = "sync-strategy-info";
+    syncStrategyInfo.textContent = [
+      describeSyncStrategy("Followers", followersResponse.syncStrategy),
+      describeSyncStrategy("Following", followingResponse.syncStrategy),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    if (syncStrategyInfo.textContent) {
+      container.appendChild(syncStrategyInfo);
+    }
+
+    if (storageUsage) {
+      container.appendChild(createStorageWarning(storageUsage));
+    }
+
+    // New and lost followers since the last visit
+    if (unseenFeedEntries.length > 0) {
+      container.appendChild(createChangeFeedPanel(unseenFeedEntries));
+    }
+
+    // Search, sort and tag filter for all three tabs
+    const renderLists = () => {
+      renderFollowers();
+      renderFollowing();
+      if (inactiveUsers) {
+        renderInactiveUsers(inactiveContainer);
+      }
+    };
+    const listControls = createListControls(listState, renderLists);
+    updateTagFilter(listControls, getKnownTags(), listState);
+    container.appendChild(listControls);
+
+    // A tag edited in a card can change the tag list and who matches the filter
+    onUserNotesChange(() => {
+      updateTagFilter(listControls, getKnownTags(), listState);
+      if (listState.tag) renderLists();
+    });
+
+    // Export the users shown in the current tab, with its search and filter
+    const csvButton = document.createElement("button");
+    csvButton.className = "csv-export-button";
+    csvButton.textContent = "CSV";
+    csvButton.title = "Export the users shown in this tab as CSV";
+    csvButton.addEventListener("click", async () => {
+      let records;
+      let tabName;
+      if (followingTab.classList.contains("active")) {
+        tabName = "following";
+        records = getVisibleFollowing().map((user) => ({
+          userId: user.userId,
+          relationship: "following",
+        }));
+      } else if (inactiveTab.classList.contains("active")) {
+        tabName = "inactive";
+        records = applyListControls(
+          inactiveUsers || [],
+          listState,
+          sortContext
+        ).map((user) => ({
+          userId: user.userId,
+          relationship: user.relationshipType,
+        }));
+      } else {
+        tabName = "followers";
+        records = applyListControls(followers.users, listState, {
+          ...sortContext,
+          followDates: sortContext.followDates.followers,
+        }).map((user) => ({ userId: user.userId, relationship: "follower" }));
+      }
+
+      if (records.length === 0) {
+        alert("There are no users to export in this tab.");
+        return;
+      }
+
+      try {
+        const data = await loadCsvData();
+        await showCsvExportDialog({
+          description: `${records.length} users shown in the ${tabName} tab`,
+          onExport: (columnKeys) =>
+            downloadCsv(
+              toCsv(buildCsvRows(records, data), columnKeys),
+              `duolingo-${tabName}.csv`
+            ),
+        });
+      } catch (error) {
+        console.error("Error exporting CSV:", error);
+        alert(`Error exporting CSV: ${error.message}`);
+      }
+    });
+    listControls.appendChild(csvButton);
+
     // Add filter button for non-followers
     const filterContainer = document.createElement("div");
     filterContainer.className = "filter-container";
@@ -225,61 +435,16 @@ async function initializeApp() {
 
     const filterInfo = document.createElement("div");
     filterInfo.className = "filter-info";
-    filterInfo.innerHTML = `
-      <span class="filter-count">Showing all ${following.totalUsers} users</span>
-    `;
     filterContainer.appendChild(filterInfo);
 
     const filterButton = document.createElement("button");
     filterButton.className = "filter-button";
-    filterButton.innerHTML = `
-      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-        <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"></polygon>
-      </svg>
-      Show all
-    `;
-    filterButton.dataset.showingAll = "true";
     filterContainer.appendChild(filterButton);
 
     // Filter functionality
     filterButton.addEventListener("click", () => {
-      const showingAll = filterButton.dataset.showingAll === "true";
-      const cards = followingContainer.querySelectorAll(".user-card");
-      const notFollowingBackCount = followingContainer.querySelectorAll(
-        ".not-following-back"
-      ).length;
-
-      if (showingAll) {
-        // Show only non-followers
-        cards.forEach((card) => {
-          if (!card.classList.contains("not-following-back")) {
-            card.style.display = "none";
-          }
-        });
-        filterButton.innerHTML = `
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M10 3H6a2 2 0 0 0-2 2v14c0 1.1.9 2 2 2h4M14 3h4a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-4M14 8h4M14 12h4M14 16h4M10 8H6M10 12H6M10 16H6"></path>
-              </svg>
-              Show all
-            `;
-        filterButton.dataset.showingAll = "false";
-        filterButton.classList.add("active");
-        filterInfo.innerHTML = `<span class="filter-count">Showing ${notFollowingBackCount} non-followers</span>`;
-      } else {
-        // Show all users
-        cards.forEach((card) => {
-          card.style.display = "flex";
-        });
-        filterButton.innerHTML = `
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"></polygon>
-              </svg>
-              Filter non-followers
-            `;
-        filterButton.dataset.showingAll = "true";
-        filterButton.classList.remove("active");
-        filterInfo.innerHTML = `<span class="filter-count">Showing all ${following.totalUsers} users</span>`;
-      }
+      listState.nonFollowersOnly = !listState.nonFollowersOnly;
+      renderFollowing();
     });
 
     // Show/hide filter on tab change
@@ -291,6 +456,7 @@ async function initializeApp() {
       followingContainer.style.display = "none";
       inactiveContainer.style.display = "none";
       filterContainer.style.display = "none";
+      bulkActionsBar.style.display = "none";
     });
 
     followingTab.addEventListener("click", () => {
@@ -301,6 +467,7 @@ async function initializeApp() {
       followingContainer.style.display = "flex";
       inactiveContainer.style.display = "none";
       filterContainer.style.display = "flex";
+      bulkActionsBar.style.display = "block";
     });
 
     inactiveTab.addEventListener("click", async () => {
@@ -311,9 +478,10 @@ async function initializeApp() {
       followingContainer.style.display = "none";
       inactiveContainer.style.display = "flex";
       filterContainer.style.display = "none";
+      bulkActionsBar.style.display = "none";
 
       // Load inactive users if not already loaded
-      if (inactiveContainer.children.length === 0) {
+      if (!inactiveUsers) {
         await loadInactiveUsers(inactiveContainer);
       }
     });
@@ -336,37 +504,97 @@ async function initializeApp() {
     inactiveContainer.style.display = "none";
     container.appendChild(inactiveContainer);
 
-    // Render followers
-    renderUserCards(
-      followers.users,
-      followersContainer,
-      false,
-      followerIds,
-      followingIds
-    );
+    // Following users matching the search and the non-follower filter.
+    // Users unfollowed during this session are left out.
+    const getVisibleFollowing = () =>
+      applyListControls(
+        following.users.filter(
+          (user) =>
+            user.isFollowing &&
+            (!listState.nonFollowersOnly ||
+              (!user.isFollowedBy && !safelistedUserIds.has(user.userId)))
+        ),
+        listState,
+        { ...sortContext, followDates: sortContext.followDates.following }
+      );
 
-    // Render following
-    renderUserCards(
-      following.users,
-      followingContainer,
-      true,
+    // Multi-select and bulk unfollow for the Following tab, placed right
+    // below the filter
+    const bulkActionsBar = createBulkActionsBar({
+      users: following.users,
+      container: followingContainer,
       followerIds,
-      followingIds
-    );
+      followingIds,
+      getFilteredUsers: () =>
+        getVisibleFollowing().filter(
+          (user) => !safelistedUserIds.has(user.userId)
+        ),
+    });
+    bulkActionsBar.style.display = "none";
+    container.insertBefore(bulkActionsBar, followersContainer);
 
-    // Calculate and show how many users don't follow back
-    const notFollowingBackCount = following.users.filter(
-      (user) => !user.isFollowedBy
-    ).length;
-    if (notFollowingBackCount > 0) {
-      const notFollowingCounter = document.createElement("div");
-      notFollowingCounter.className = "not-following-counter";
-      notFollowingCounter.textContent = `${notFollowingBackCount} user(s) don't follow you back`;
-      followingContainer.insertBefore(
-        notFollowingCounter,
-        followingContainer.firstChild
+    // Render followers
+    function renderFollowers() {
+      const users = applyListControls(followers.users, listState, {
+        ...sortContext,
+        followDates: sortContext.followDates.followers,
+      });
+
+      renderUserCards(
+        users,
+        followersContainer,
+        false,
+        followerIds,
+        followingIds,
+        listState.query || listState.tag
+          ? "No followers match your search and filter."
+          : null
       );
     }
+
+    // Render following
+    function renderFollowing() {
+      const users = getVisibleFollowing();
+
+      renderUserCards(
+        users,
+        followingContainer,
+        true,
+        followerIds,
+        followingIds,
+        listState.query || listState.tag || listState.nonFollowersOnly
+          ? "No followed users match your search and filter."
+          : null
+      );
+
+      // Update the filter button and count
+      filterButton.innerHTML = listState.nonFollowersOnly
+        ? `
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M10 3H6a2 2 0 0 0-2 2v14c0 1.1.9 2 2 2h4M14 3h4a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-4M14 8h4M14 12h4M14 16h4M10 8H6M10 12H6M10 16H6"></path>
+          </svg>
+          Show all
+        `
+        : `
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"></polygon>
+          </svg>
+          Filter non-followers
+        `;
+      filterButton.classList.toggle("active", listState.nonFollowersOnly);
+      filterInfo.innerHTML = `<span class="filter-count">${
+        listState.nonFollowersOnly
+          ? `Showing ${users.length} non-followers`
+          : `Showing ${users.length} of ${following.totalUsers} users`
+      }</span>`;
+
+      // Show how many users don't follow back
+      updateNotFollowingBackCounter();
+    }
+
+    setFollowingUsers(following.users);
+    renderFollowers();
+    renderFollowing();
   }, 800);
 }
 
@@ -382,14 +610,12 @@ async function loadInactiveUsers(container) {
     `;
 
     // Fetch inactive users from background
-    const inactiveUsers = await new Promise((resolve) => {
-      chrome.runtime.sendMessage({ action: "getInactiveUsers" }, (response) => {
-        resolve(response);
-      });
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: "getInactiveUsers" }, resolve);
     });
 
-    if (inactiveUsers.error) {
-      throw new Error(inactiveUsers.error);
+    if (response.error) {
+      throw new Error(response.error);
     }
 
     // Clear loading state
@@ -399,7 +625,7 @@ async function loadInactiveUsers(container) {
     const allInactiveUsers = [];
 
     // Add inactive followers
-    Object.values(inactiveUsers.followers).forEach((user) => {
+    Object.values(response.followers).forEach((user) => {
       allInactiveUsers.push({
         ...user,
         relationshipType: "follower",
@@ -407,7 +633,7 @@ async function loadInactiveUsers(container) {
     });
 
     // Add inactive following
-    Object.values(inactiveUsers.following).forEach((user) => {
+    Object.values(response.following).forEach((user) => {
       allInactiveUsers.push({
         ...user,
         relationshipType: "following",
@@ -420,30 +646,21 @@ async function loadInactiveUsers(container) {
       inactiveCountElement.textContent = allInactiveUsers.length;
     }
 
+    inactiveUsers = allInactiveUsers;
+
     if (allInactiveUsers.length === 0) {
-      container.innerHTML = `
-        <div class="empty-message">
-          <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" style="color: #bbb; margin-bottom: 16px;">
-            <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
-            <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
-            <line x1="1" y1="1" x2="23" y2="23"></line>
-          </svg>
-          <h3>No Inactive Users</h3>
-          <p>You don't have any inactive relationships yet.</p>
-          <p style="font-size: 13px; color: #888; margin-top: 8px;">Inactive users appear here when people unfollow you or when you stop following someone.</p>
-        </div>
-      `;
+      showNoInactiveUsers(container);
       return;
     }
 
-    // Sort by date (most recent first)
-    allInactiveUsers.sort((a, b) => new Date(b.date) - new Date(a.date));
+    // Sort by when the relationship ended (most recent first)
+    allInactiveUsers.sort(
+      (a, b) =>
+        new Date(b.inactiveSince || b.date) -
+        new Date(a.inactiveSince || a.date)
+    );
 
-    // Render inactive users
-    allInactiveUsers.forEach((user) => {
-      const userCard = createInactiveUserCard(user);
-      container.appendChild(userCard);
-    });
+    renderInactiveUsers(container);
   } catch (error) {
     console.error("Error loading inactive users:", error);
     container.innerHTML = `
@@ -461,6 +678,47 @@ async function loadInactiveUsers(container) {
   }
 }
 
+// Empty state of the Inactive tab
+function showNoInactiveUsers(container) {
+  container.innerHTML = `
+      <div class="empty-message">
+        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" style="color: #bbb; margin-bottom: 16px;">
+          <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+          <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+          <line x1="1" y1="1" x2="23" y2="23"></line>
+        </svg>
+        <h3>No Inactive Users</h3>
+        <p>You don't have any inactive relationships yet.</p>
+        <p style="font-size: 13px; color: #888; margin-top: 8px;">Inactive users appear here when people unfollow you or when you stop following someone.</p>
+      </div>
+    `;
+}
+
+// Render the loaded inactive users matching the search and sort
+function renderInactiveUsers(container) {
+  if (inactiveUsers.length === 0) {
+    showNoInactiveUsers(container);
+    return;
+  }
+
+  const users = applyListControls(inactiveUsers, listState, sortContext);
+  container.innerHTML = "";
+
+  if (users.length === 0) {
+    const emptyMessage = document.createElement("p");
+    emptyMessage.className = "empty-message";
+    emptyMessage.textContent =
+      "No inactive users match your search and filter.";
+    container.appendChild(emptyMessage);
+    return;
+  }
+
+  users.forEach((user) => {
+    const userCard = createInactiveUserCard(user);
+    container.appendChild(userCard);
+  });
+}
+
 // Function to create an inactive user card
 function createInactiveUserCard(user) {
   const userCard = document.createElement("div");
@@ -521,15 +779,98 @@ function createInactiveUserCard(user) {
             <circle cx="12" cy="12" r="10"></circle>
             <polyline points="12,6 12,12 16,14"></polyline>
           </svg>
-          <span>Since: ${formatDate(user.date)}</span>
+          <span>${
+            user.inactiveSince
+              ? `Inactive since: ${formatDate(new Date(user.inactiveSince))}`
+              : `Since: ${formatDate(new Date(user.date))}`
+          }</span>
         </div>
       </div>
     </div>
   `;
 
+  const tagsContainer = document.createElement("div");
+  tagsContainer.className = "user-tags";
+  renderUserTags(tagsContainer, Number(user.userId));
+  userCard.querySelector(".user-info").appendChild(tagsContainer);
+
+  // Following again keeps the original follow date, registerFollow only
+  // reactivates the stored record
+  if (user.relationshipType === "following") {
+    const refollowButton = document.createElement("button");
+    refollowButton.className = "refollow-button";
+    refollowButton.textContent = "Follow again";
+    refollowButton.addEventListener("click", () =>
+      refollowInactiveUser(user, userCard, refollowButton)
+    );
+    userCard.appendChild(refollowButton);
+  }
+
   return userCard;
 }
 
+// Follow a user from the Inactive tab again
+async function refollowInactiveUser(user, userCard, refollowButton) {
+  refollowButton.disabled = true;
+  refollowButton.textContent = "Following...";
+
+  const response = await new Promise((resolve) =>
+    chrome.runtime.sendMessage(
+      { action: "follow", userId: Number(user.userId) },
+      resolve
+    )
+  );
+
+  if (response && response.queued) {
+    refollowButton.textContent = "Follow pending";
+    refollowButton.title =
+      "Duolingo couldn't be reached. This will be retried automatically.";
+    return;
+  }
+
+  if (!response || !response.successful) {
+    refollowButton.disabled = false;
+    refollowButton.textContent = "Follow again";
+    alert("Failed to follow user. Please try again.");
+    return;
+  }
+
+  const followDate = response.followInfo && response.followInfo.followDate;
+  refollowButton.textContent = followDate
+    ? `Following since ${formatDate(new Date(followDate))}`
+    : "Following";
+
+  // The user is active again, take them off the Inactive tab
+  inactiveUsers = inactiveUsers.filter((inactive) => inactive !== user);
+  setTimeout(() => {
+    const container = userCard.parentElement;
+    userCard.remove();
+    if (container && inactiveUsers.length === 0) {
+      showNoInactiveUsers(container);
+    }
+    const inactiveCountElement = document.getElementById("inactive-count");
+    if (inactiveCountElement) {
+      inactiveCountElement.textContent = Math.max(
+        0,
+        Number(inactiveCountElement.textContent) - 1
+      );
+    }
+  }, 1500);
+}
+
+// Describe the smartSync strategy used for a list
+function describeSyncStrategy(label, syncStrategy) {
+  if (!syncStrategy) return "";
+
+  if (!syncStrategy.hasChanges) {
+    return `${label}: unchanged, loaded from cache`;
+  }
+
+  return syncStrategy.type === "full"
+    ? `${label}: full sync (${syncStrategy.reason})`
+    : `${label}: count changed, refreshed`;
+}
+
 // Helper function to format dates (should match the existing one)
 function formatDate(date) {
   if (typeof dateFns !== "undefined") {
@@ -1,4 +1,4 @@
-import { MY_USER_ID, JWT_TOKEN } from "./variables.js";
+import { MY_USER_ID, JWT_TOKEN, authReady } from "./variables.js";
 import {
   registerNewFollowers,
   registerNewFollowing,
@@ -7,12 +7,49 @@ import {
   syncFollowingStorage,
   syncFollowersStorage,
   getInactiveUsers,
+  getSafelist,
+  getAllFollowDates,
+  lookupUserByUsername,
+  getUserNotes,
+  TAG_COLORS,
 } from "./follow_date_manager.js";
-import { withRetry, rateLimit, batchProcess } from "./utils/retryUtils.js";
+import {
+  withRetry,
+  rateLimit,
+  batchProcess,
+  createPauseController,
+} from "./utils/retryUtils.js";
 import {
   initializeVersionedStorage,
   updateSyncStats,
 } from "./utils/storageVersioning.js";
+import { IncrementalSyncManager } from "./utils/incrementalSync.js";
+import {
+  getSettings,
+  updateSettings,
+  onSettingsChanged,
+} from "./utils/settings.js";
+import { recordGrowthSync } from "./utils/growthAnalytics.js";
+import {
+  FEED_EVENTS,
+  addFeedEntries,
+  updateFeedBadge,
+  describeFeedEntry,
+} from "./utils/changeFeed.js";
+import {
+  offlineQueue,
+  initializeOfflineSupport,
+} from "./utils/offlineSupport.js";
+import { autoPruneStorage } from "./utils/storageManager.js";
+import {
+  getStoredUserDetails,
+  saveStoredUserDetails,
+} from "./utils/userDetailsStorage.js";
+import {
+  USERNAME_INDEX_KEY,
+  updateUsernameIndex,
+  ensureUsernameIndex,
+} from "./utils/usernameIndex.js";
 
 // Enhanced cache with TTL and size limits
 class IntelligentCache {
@@ -88,8 +125,17 @@ class IntelligentCache {
 }
 
 const userDetailsCache = new IntelligentCache();
-// Cache cleanup is handled on-demand during get/set operations
-// No automatic background processing to respect user privacy
+// Cache cleanup is handled on-demand during get/set operations, and on
+// scheduled background syncs when the user has opted in to them
+
+// Size and lifetime of the cache come from the settings
+function applyCacheSettings({ userDetailsCacheSize, userDetailsCacheHours }) {
+  userDetailsCache.maxSize = userDetailsCacheSize;
+  userDetailsCache.defaultTTL = userDetailsCacheHours * 60 * 60 * 1000;
+}
+getSettings().then(applyCacheSettings);
+
+const syncManager = new IncrementalSyncManager();
 
 // Get user ID from cookies
 async function getUserId() {
@@ -130,7 +176,271 @@ async function initializeStorage() {
 }
 
 // Initialize storage on extension startup
-initializeStorage();
+initializeStorage()
+  .then(ensureUsernameIndex)
+  .catch((error) => console.error("Error building username index:", error));
+
+// The index format can change between versions
+chrome.runtime.onInstalled.addListener(() => {
+  updateUsernameIndex().catch((error) =>
+    console.error("Error building username index:", error)
+  );
+});
+
+// Keep the content script's username index in step with every write to the
+// follow records (syncs, imports, restores and edits in the storage viewer)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes.followDates) return;
+
+  updateUsernameIndex(changes.followDates.newValue).catch((error) =>
+    console.error("Error updating username index:", error)
+  );
+});
+
+// Name of the alarm that drives the opt-in background sync
+const BACKGROUND_SYNC_ALARM = "background-sync";
+
+// Promise of the background sync currently running, if any
+let backgroundSyncPromise = null;
+
+// Create or clear the background sync alarm based on the user's settings
+async function scheduleBackgroundSync() {
+  const { backgroundSync } = await getSettings();
+
+  if (!backgroundSync) {
+    await chrome.alarms.clear(BACKGROUND_SYNC_ALARM);
+    return;
+  }
+
+  // Don't recreate an existing alarm, that would push the next run back
+  // every time the service worker wakes up
+  const existingAlarm = await chrome.alarms.get(BACKGROUND_SYNC_ALARM);
+  if (!existingAlarm) {
+    const periodInMinutes = syncManager.syncIntervals.quick / (60 * 1000);
+    await chrome.alarms.create(BACKGROUND_SYNC_ALARM, {
+      delayInMinutes: periodInMinutes,
+      periodInMinutes,
+    });
+    console.log(`Background sync scheduled every ${periodInMinutes} minutes`);
+  }
+}
+
+// Run the same register/sync pipeline the popup uses, without a popup open
+async function runBackgroundSync() {
+  await authReady;
+
+  if (!JWT_TOKEN || !MY_USER_ID) {
+    console.log("Skipping background sync, user is not logged in");
+    return;
+  }
+
+  userDetailsCache.cleanup();
+
+  try {
+    const { feedEntries } = await getFollowers(JWT_TOKEN, MY_USER_ID);
+    await getFollowing(JWT_TOKEN, MY_USER_ID);
+    await chrome.storage.local.set({
+      backgroundSyncStatus: { lastRun: Date.now(), error: null },
+    });
+    console.log("Background sync completed");
+
+    await notifyFeedEntries(feedEntries);
+    await runAutoPrune();
+  } catch (error) {
+    console.error("Background sync failed:", error);
+    await chrome.storage.local.set({
+      backgroundSyncStatus: {
+        lastRun: Date.now(),
+        error: error.message || String(error),
+      },
+    });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BACKGROUND_SYNC_ALARM && !backgroundSyncPromise) {
+    backgroundSyncPromise = runBackgroundSync().finally(() => {
+      backgroundSyncPromise = null;
+    });
+  }
+});
+
+chrome.runtime.onInstalled.addListener(scheduleBackgroundSync);
+chrome.runtime.onStartup.addListener(scheduleBackgroundSync);
+
+// Settings changed on the options page or in the storage viewer apply right
+// away
+onSettingsChanged((settings, previous) => {
+  applyCacheSettings(settings);
+
+  if (settings.backgroundSync !== previous.backgroundSync) {
+    scheduleBackgroundSync().catch((error) =>
+      console.error("Error scheduling background sync:", error)
+    );
+  }
+
+  // Store the existing details in the new form right away
+  if (settings.compressUserDetails !== previous.compressUserDetails) {
+    getStoredUserDetails()
+      .then(saveStoredUserDetails)
+      .catch((error) =>
+        console.error("Error converting stored user details:", error)
+      );
+  }
+});
+
+// The badge isn't kept across browser restarts
+chrome.runtime.onStartup.addListener(() => {
+  updateFeedBadge().catch((error) =>
+    console.error("Error updating feed badge:", error)
+  );
+});
+
+// Show a notification for the feed entries found by a background sync, if
+// the user turned them on
+async function notifyFeedEntries(feedEntries) {
+  const { feedNotifications } = await getSettings();
+  if (!feedNotifications || feedEntries.length === 0) return;
+
+  const lost = feedEntries.filter(
+    (entry) => entry.type === FEED_EVENTS.LOST_FOLLOWER
+  ).length;
+  const gained = feedEntries.length - lost;
+
+  let message = describeFeedEntry(feedEntries[0]);
+  if (feedEntries.length > 1) {
+    const parts = [];
+    if (gained > 0) {
+      parts.push(`${gained} new ${gained === 1 ? "follower" : "followers"}`);
+    }
+    if (lost > 0) {
+      parts.push(`${lost} unfollowed you`);
+    }
+    message = parts.join(", ");
+  }
+
+  try {
+    await chrome.notifications.create(`change-feed-${Date.now()}`, {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: "Followers changed",
+      message,
+    });
+  } catch (error) {
+    console.error("Error showing feed notification:", error);
+  }
+}
+
+// Name of the alarm that retries queued follow/unfollow operations
+const OFFLINE_QUEUE_ALARM = "offline-queue-retry";
+
+// Load the persisted offline queue; it's processed again when back online
+const offlineSupportReady = initializeOfflineSupport().then(() =>
+  scheduleOfflineQueueRetry()
+);
+
+// Apply the storage pruning rules if the user turned them on and usage is
+// past the warning threshold
+async function runAutoPrune() {
+  try {
+    await autoPruneStorage();
+  } catch (error) {
+    console.error("Error pruning storage:", error);
+  }
+}
+
+// The daily backup runs on startup too, prune after it
+offlineSupportReady.then(runAutoPrune);
+
+// Tokens aren't persisted with queued operations, use the current ones
+offlineQueue.setCredentialsProvider(async () => {
+  await authReady;
+  return { jwtToken: JWT_TOKEN, userId: MY_USER_ID };
+});
+
+offlineQueue.addListener((event, item, result) => {
+  handleOfflineQueueEvent(event, item, result).catch((error) =>
+    console.error("Error handling offline queue event:", error)
+  );
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === OFFLINE_QUEUE_ALARM) {
+    processOfflineQueue();
+  }
+});
+
+// Wake the service worker up for the next retry, since it may be asleep by
+// then. Chrome doesn't fire alarms sooner than 30 seconds.
+async function scheduleOfflineQueueRetry() {
+  if (offlineQueue.queue.length === 0) {
+    await chrome.alarms.clear(OFFLINE_QUEUE_ALARM);
+    return;
+  }
+
+  const nextRetry = Math.min(
+    ...offlineQueue.queue.map((item) => item.nextRetry)
+  );
+  await chrome.alarms.create(OFFLINE_QUEUE_ALARM, {
+    when: Math.max(nextRetry, Date.now() + 30 * 1000),
+  });
+}
+
+async function processOfflineQueue() {
+  await offlineSupportReady;
+
+  // The network monitor processes the queue once the connection is back
+  if (!navigator.onLine) return;
+
+  await offlineQueue.processQueue();
+}
+
+// Apply the storage side effects of queued operations and tell the popup
+async function handleOfflineQueueEvent(event, item, result) {
+  const { type, data } = item.operation;
+  let followInfo = null;
+
+  if (event === "completed") {
+    if (type === "follow") {
+      await authReady;
+      followInfo = await applyFollow(data.targetUserId, result, JWT_TOKEN);
+    } else if (type === "unfollow") {
+      await applyUnfollow(data.targetUserId);
+    }
+  }
+
+  await scheduleOfflineQueueRetry();
+
+  chrome.runtime
+    .sendMessage({
+      action: "offlineQueueUpdate",
+      event,
+      queueId: item.id,
+      type,
+      targetUserId: data.targetUserId,
+      followInfo,
+      error: result?.error || null,
+    })
+    .catch(() => {
+      // Ignore error if no popup is open to receive the message
+    });
+}
+
+// Get the background sync setting together with the last run information
+async function getBackgroundSyncStatus() {
+  const [{ backgroundSync }, result, alarm] = await Promise.all([
+    getSettings(),
+    chrome.storage.local.get(["backgroundSyncStatus"]),
+    chrome.alarms.get(BACKGROUND_SYNC_ALARM),
+  ]);
+
+  return {
+    enabled: backgroundSync,
+    intervalMinutes: syncManager.syncIntervals.quick / (60 * 1000),
+    nextRun: alarm ? alarm.scheduledTime : null,
+    ...(result.backgroundSyncStatus || { lastRun: null, error: null }),
+  };
+}
 
 // Clear user details cache
 function clearUserDetailsCache() {
@@ -182,6 +492,59 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep the message channel open for async response
   }
 
+  if (request.action === "getBackgroundSyncStatus") {
+    getBackgroundSyncStatus()
+      .then((data) => sendResponse(data))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === "getOfflineQueueStatus") {
+    offlineSupportReady
+      .then(() => sendResponse(offlineQueue.getStatus()))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === "cancelQueuedOperation") {
+    offlineSupportReady
+      .then(() => offlineQueue.cancel(request.queueId))
+      .then((cancelled) =>
+        sendResponse(
+          cancelled
+            ? { success: true }
+            : { error: "The operation is already being sent or was removed" }
+        )
+      )
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === "setBackgroundSync") {
+    updateSettings({ backgroundSync: !!request.enabled })
+      .then(() => scheduleBackgroundSync())
+      .then(() => getBackgroundSyncStatus())
+      .then((data) => sendResponse(data))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  // These work from storage alone when logged out, so they're answered before
+  // the authentication check
+  if (request.action === "lookupUserByUsername") {
+    lookupProfile(request.username)
+      .then((data) => sendResponse(data))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === "annotateUsernames") {
+    annotateUsernames(request.usernames || [])
+      .then((data) => sendResponse(data))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
   // Check if we have both JWT token and user ID
   if (!JWT_TOKEN || !MY_USER_ID) {
     sendResponse({
@@ -192,21 +555,56 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   if (request.action === "getFollowers") {
-    getFollowers(JWT_TOKEN, MY_USER_ID)
+    // Wait for a running background sync so both don't write storage at once
+    Promise.resolve(backgroundSyncPromise)
+      .then(() => getFollowers(JWT_TOKEN, MY_USER_ID))
       .then((data) => sendResponse(data))
       .catch((error) => sendResponse({ error }));
   } else if (request.action === "getFollowing") {
-    getFollowing(JWT_TOKEN, MY_USER_ID)
+    Promise.resolve(backgroundSyncPromise)
+      .then(() => getFollowing(JWT_TOKEN, MY_USER_ID))
       .then((data) => sendResponse(data))
       .catch((error) => sendResponse({ error }));
   } else if (request.action === "unfollow") {
-    handleUnfollow(request.userId, JWT_TOKEN, MY_USER_ID)
+    // The delay runs here rather than in the popup so the unfollow still
+    // happens if the popup is closed during the undo window
+    waitForUndoWindow(request.userId, request.undoDelay || 0)
+      .then((undone) =>
+        undone
+          ? { undone: true }
+          : handleUnfollow(request.userId, JWT_TOKEN, MY_USER_ID)
+      )
       .then((data) => sendResponse(data))
       .catch((error) => sendResponse({ error }));
+  } else if (request.action === "undoUnfollow") {
+    const undo = delayedUnfollows.get(request.userId);
+    if (undo) {
+      undo();
+      sendResponse({ success: true });
+    } else {
+      sendResponse({ error: "The unfollow was already sent" });
+    }
   } else if (request.action === "follow") {
     handleFollow(request.userId, JWT_TOKEN, MY_USER_ID)
       .then((data) => sendResponse(data))
       .catch((error) => sendResponse({ error }));
+  } else if (request.action === "bulkUnfollow") {
+    if (bulkUnfollowRun && bulkUnfollowRun.running) {
+      sendResponse({ error: "A bulk unfollow is already running" });
+    } else {
+      runBulkUnfollow(request.users, JWT_TOKEN, MY_USER_ID).catch((error) =>
+        console.error("Error in bulk unfollow:", error)
+      );
+      sendResponse({ started: true, total: request.users.length });
+    }
+  } else if (request.action === "pauseBulkUnfollow") {
+    pauseBulkUnfollow();
+    sendResponse(getBulkUnfollowStatus());
+  } else if (request.action === "resumeBulkUnfollow") {
+    resumeBulkUnfollow();
+    sendResponse(getBulkUnfollowStatus());
+  } else if (request.action === "getBulkUnfollowStatus") {
+    sendResponse(getBulkUnfollowStatus());
   } else if (request.action === "getUserDetails") {
     getUserDetails(request.userId, JWT_TOKEN)
       .then((data) => sendResponse(data))
@@ -275,6 +673,7 @@ async function getUserDetails(userId, jwtToken) {
   try {
     console.log("Fetching user details from API...");
 
+    const { retryAttempts } = await getSettings();
     const fetchWithRetry = async (url, headers) => {
       return await withRetry(
         async () => {
@@ -285,7 +684,7 @@ async function getUserDetails(userId, jwtToken) {
           return response.json();
         },
         {
-          maxAttempts: 3,
+          maxAttempts: retryAttempts,
           baseDelay: 1000,
           retryOn: ["network", "timeout", "429", "500", "502", "503", "504"],
           onRetry: (error, attempt, delay) => {
@@ -332,8 +731,8 @@ async function getUserDetails(userId, jwtToken) {
 
     console.log("Final result object:", result);
 
-    // Store in cache with longer TTL for detailed user info (12 hours)
-    userDetailsCache.set(cacheKey, result, 12 * 60 * 60 * 1000);
+    // Kept for the userDetailsCacheHours setting
+    userDetailsCache.set(cacheKey, result);
 
     return result;
   } catch (error) {
@@ -342,9 +741,11 @@ async function getUserDetails(userId, jwtToken) {
   }
 }
 
-// Get followers data with enhanced error handling and retry logic
-async function getFollowers(jwtToken, userId) {
-  const startTime = Date.now();
+// Fetch the followers list from the API. With a pageSize only the first page
+// is fetched, which is enough for smartSync's count check.
+async function fetchFollowers(jwtToken, userId, pageSize) {
+  const isCountCheck = pageSize !== undefined;
+  const { requestIntervalMs, retryAttempts } = await getSettings();
 
   const rateLimitedFetch = rateLimit(async (url, headers) => {
     return await withRetry(
@@ -361,7 +762,7 @@ async function getFollowers(jwtToken, userId) {
         return response.json();
       },
       {
-        maxAttempts: 3,
+        maxAttempts: retryAttempts,
         baseDelay: 1000,
         retryOn: ["network", "timeout", "429", "500", "502", "503", "504"],
         onRetry: (error, attempt, delay) => {
@@ -376,46 +777,105 @@ async function getFollowers(jwtToken, userId) {
         },
       }
     );
-  }, 300);
+  }, requestIntervalMs);
 
   let allFollowers = [];
   let cursor = null;
   let page = 1;
   let totalUsers = 0;
-  let newFollowersCount = 0;
 
+  do {
+    const url = `https://www.duolingo.com/2017-06-30/friends/users/${userId}/followers?pageSize=${
+      isCountCheck ? pageSize : 500
+    }${cursor ? `&pageAfter=${cursor}` : ""}&viewerId=${userId}&_=${Date.now()}`;
+
+    const headers = {
+      authorization: jwtToken,
+      "Content-Type": "application/json",
+    };
+
+    sendProgressUpdate(
+      isCountCheck
+        ? "Checking followers for changes..."
+        : `Fetching followers page ${page}...`,
+      25
+    );
+
+    const { followers } = await rateLimitedFetch(url, headers);
+    allFollowers = [...allFollowers, ...followers.users];
+    cursor = followers.cursor;
+    totalUsers = followers.totalUsers;
+    page++;
+
+    if (isCountCheck) break;
+
+    // Update progress based on how many users we've fetched vs total
+    const progress = Math.min(25 + (allFollowers.length / totalUsers) * 25, 50);
+    sendProgressUpdate(
+      `Fetched ${allFollowers.length} of ${totalUsers} followers...`,
+      progress
+    );
+  } while (cursor !== null);
+
+  return { followers: { users: allFollowers, totalUsers } };
+}
+
+// Save a sync result for the growth stats. A failure here shouldn't fail the
+// sync itself.
+async function recordGrowth(type, result) {
   try {
-    do {
-      const url = `https://www.duolingo.com/2017-06-30/friends/users/${userId}/followers?pageSize=500${
-        cursor ? `&pageAfter=${cursor}` : ""
-      }&viewerId=${userId}&_=${Date.now()}`;
-
-      const headers = {
-        authorization: jwtToken,
-        "Content-Type": "application/json",
-      };
+    await recordGrowthSync(type, result);
+  } catch (error) {
+    console.error(`Error recording ${type} growth:`, error);
+  }
+}
 
-      sendProgressUpdate(`Fetching followers page ${page}...`, 25);
+// Get followers data with enhanced error handling and retry logic.
+// Goes through smartSync so an unchanged total reuses the cached list.
+async function getFollowers(jwtToken, userId, { force = false } = {}) {
+  const startTime = Date.now();
+  let newFollowersCount = 0;
 
-      const { followers } = await rateLimitedFetch(url, headers);
-      allFollowers = [...allFollowers, ...followers.users];
-      cursor = followers.cursor;
-      totalUsers = followers.totalUsers;
-      page++;
+  try {
+    const cachedList = await syncManager.getCachedList("followers");
+    const syncResult = await syncManager.smartSync(
+      "followers",
+      (pageSize) => fetchFollowers(jwtToken, userId, pageSize),
+      null,
+      { lastKnownCount: cachedList ? cachedList.totalUsers : null, force }
+    );
+    const syncStrategy = {
+      type: syncResult.strategy,
+      reason: syncResult.reason,
+      hasChanges: syncResult.hasChanges,
+    };
 
-      // Update progress based on how many users we've fetched vs total
-      const progress = Math.min(
-        25 + (allFollowers.length / totalUsers) * 25,
-        50
-      );
-      sendProgressUpdate(
-        `Fetched ${allFollowers.length} of ${totalUsers} followers...`,
-        progress
-      );
-    } while (cursor !== null);
+    if (!syncResult.hasChanges) {
+      sendProgressUpdate("No follower changes, using cached list...", 50);
+      await recordGrowth("followers", { totalUsers: cachedList.totalUsers });
+      return {
+        followers: {
+          users: cachedList.users,
+          totalUsers: cachedList.totalUsers,
+        },
+        syncResults: { inactivatedRecords: [], updatedUsernames: 0 },
+        syncStrategy,
+        feedEntries: [],
+      };
+    }
+
+    const { users: allFollowers, totalUsers } = syncResult.data.followers;
+    await syncManager.setCachedList("followers", {
+      users: allFollowers,
+      totalUsers,
+    });
 
     sendProgressUpdate("Processing follower data...", 50);
 
+    // Read before registering, to tell follow-backs apart and to skip the feed
+    // on the first sync (every follower looks new then)
+    const previousFollowDates = await getAllFollowDates();
+
     // Register new followers
     const newFollowers = await registerNewFollowers(allFollowers);
     newFollowersCount = newFollowers.length;
@@ -443,6 +903,34 @@ async function getFollowers(jwtToken, userId) {
       sendUsernameUpdateStats(syncResults.updatedUsernames, 0);
     }
 
+    await recordGrowth("followers", {
+      totalUsers,
+      gained: newFollowers.map((user) => user.userId),
+      lost: syncResults.inactivatedRecords.map((record) => record.userId),
+    });
+
+    let feedEntries = [];
+    if (Object.keys(previousFollowDates.followers).length > 0) {
+      feedEntries = await addFeedEntries([
+        ...newFollowers.map((user) => {
+          const following = previousFollowDates.following[user.userId];
+          return {
+            type:
+              following && following.isActive
+                ? FEED_EVENTS.FOLLOW_BACK
+                : FEED_EVENTS.NEW_FOLLOWER,
+            userId: user.userId,
+            username: user.username,
+          };
+        }),
+        ...syncResults.inactivatedRecords.map((record) => ({
+          type: FEED_EVENTS.LOST_FOLLOWER,
+          userId: Number(record.userId),
+          username: record.username,
+        })),
+      ]);
+    }
+
     // Update sync statistics
     const duration = Date.now() - startTime;
     await updateSyncStats(duration, newFollowersCount, 0);
@@ -455,7 +943,12 @@ async function getFollowers(jwtToken, userId) {
       notifyContentScripts();
     }
 
-    return { followers: { users: allFollowers, totalUsers }, syncResults };
+    return {
+      followers: { users: allFollowers, totalUsers },
+      syncResults,
+      syncStrategy,
+      feedEntries,
+    };
   } catch (error) {
     console.error("Error in getFollowers:", error);
     sendProgressUpdate(`Error fetching followers: ${error.message}`, 0);
@@ -463,9 +956,11 @@ async function getFollowers(jwtToken, userId) {
   }
 }
 
-// Get following data with enhanced error handling and retry logic
-async function getFollowing(jwtToken, userId) {
-  const startTime = Date.now();
+// Fetch the following list from the API. With a pageSize only the first page
+// is fetched, which is enough for smartSync's count check.
+async function fetchFollowing(jwtToken, userId, pageSize) {
+  const isCountCheck = pageSize !== undefined;
+  const { requestIntervalMs, retryAttempts } = await getSettings();
 
   const rateLimitedFetch = rateLimit(async (url, headers) => {
     return await withRetry(
@@ -482,7 +977,7 @@ async function getFollowing(jwtToken, userId) {
         return response.json();
       },
       {
-        maxAttempts: 3,
+        maxAttempts: retryAttempts,
         baseDelay: 1000,
         retryOn: ["network", "timeout", "429", "500", "502", "503", "504"],
         onRetry: (error, attempt, delay) => {
@@ -497,43 +992,87 @@ async function getFollowing(jwtToken, userId) {
         },
       }
     );
-  }, 300);
+  }, requestIntervalMs);
 
   let allFollowing = [];
   let cursor = null;
   let page = 1;
   let totalUsers = 0;
+
+  do {
+    const url = `https://www.duolingo.com/2017-06-30/friends/users/${userId}/following?pageSize=${
+      isCountCheck ? pageSize : 500
+    }${cursor ? `&pageAfter=${cursor}` : ""}&viewerId=${userId}&_=${Date.now()}`;
+
+    const headers = {
+      authorization: jwtToken,
+      "Content-Type": "application/json",
+    };
+
+    sendProgressUpdate(
+      isCountCheck
+        ? "Checking followed users for changes..."
+        : `Fetching followed users page ${page}...`,
+      75
+    );
+
+    const { following } = await rateLimitedFetch(url, headers);
+    allFollowing = [...allFollowing, ...following.users];
+    cursor = following.cursor;
+    totalUsers = following.totalUsers;
+    page++;
+
+    if (isCountCheck) break;
+
+    // Update progress based on how many users we've fetched vs total
+    const progress = Math.min(75 + (allFollowing.length / totalUsers) * 25, 90);
+    sendProgressUpdate(
+      `Fetched ${allFollowing.length} of ${totalUsers} followed users...`,
+      progress
+    );
+  } while (cursor !== null);
+
+  return { following: { users: allFollowing, totalUsers } };
+}
+
+// Get following data with enhanced error handling and retry logic.
+// Goes through smartSync so an unchanged total reuses the cached list.
+async function getFollowing(jwtToken, userId, { force = false } = {}) {
+  const startTime = Date.now();
   let newFollowingCount = 0;
 
   try {
-    do {
-      const url = `https://www.duolingo.com/2017-06-30/friends/users/${userId}/following?pageSize=500${
-        cursor ? `&pageAfter=${cursor}` : ""
-      }&viewerId=${userId}&_=${Date.now()}`;
-
-      const headers = {
-        authorization: jwtToken,
-        "Content-Type": "application/json",
-      };
-
-      sendProgressUpdate(`Fetching followed users page ${page}...`, 75);
+    const cachedList = await syncManager.getCachedList("following");
+    const syncResult = await syncManager.smartSync(
+      "following",
+      (pageSize) => fetchFollowing(jwtToken, userId, pageSize),
+      null,
+      { lastKnownCount: cachedList ? cachedList.totalUsers : null, force }
+    );
+    const syncStrategy = {
+      type: syncResult.strategy,
+      reason: syncResult.reason,
+      hasChanges: syncResult.hasChanges,
+    };
 
-      const { following } = await rateLimitedFetch(url, headers);
-      allFollowing = [...allFollowing, ...following.users];
-      cursor = following.cursor;
-      totalUsers = following.totalUsers;
-      page++;
+    if (!syncResult.hasChanges) {
+      await recordGrowth("following", { totalUsers: cachedList.totalUsers });
+      sendProgressUpdate("Data loaded successfully", 100);
+      return {
+        following: {
+          users: cachedList.users,
+          totalUsers: cachedList.totalUsers,
+        },
+        syncResults: { inactivatedRecords: [], updatedUsernames: 0 },
+        syncStrategy,
+      };
+    }
 
-      // Update progress based on how many users we've fetched vs total
-      const progress = Math.min(
-        75 + (allFollowing.length / totalUsers) * 25,
-        90
-      );
-      sendProgressUpdate(
-        `Fetched ${allFollowing.length} of ${totalUsers} followed users...`,
-        progress
-      );
-    } while (cursor !== null);
+    const { users: allFollowing, totalUsers } = syncResult.data.following;
+    await syncManager.setCachedList("following", {
+      users: allFollowing,
+      totalUsers,
+    });
 
     // Register new followed users
     const newFollowing = await registerNewFollowing(allFollowing);
@@ -562,6 +1101,12 @@ async function getFollowing(jwtToken, userId) {
       sendUsernameUpdateStats(0, syncResults.updatedUsernames);
     }
 
+    await recordGrowth("following", {
+      totalUsers,
+      gained: newFollowing.map((user) => user.userId),
+      lost: syncResults.inactivatedRecords.map((record) => record.userId),
+    });
+
     sendProgressUpdate("Data loaded successfully", 100);
 
     // Update sync statistics
@@ -576,7 +1121,11 @@ async function getFollowing(jwtToken, userId) {
       notifyContentScripts();
     }
 
-    return { following: { users: allFollowing, totalUsers }, syncResults };
+    return {
+      following: { users: allFollowing, totalUsers },
+      syncResults,
+      syncStrategy,
+    };
   } catch (error) {
     console.error("Error in getFollowing:", error);
     sendProgressUpdate(`Error fetching following: ${error.message}`, 0);
@@ -584,94 +1133,370 @@ async function getFollowing(jwtToken, userId) {
   }
 }
 
-// Unfollow a user
-async function handleUnfollow(targetUserId, jwtToken, userId) {
-  await new Promise((resolve) => setTimeout(resolve, 300));
+// Find the user ID of a username on Duolingo, null if there's no such user
+async function fetchUserIdByUsername(username, jwtToken) {
+  const url = `https://www.duolingo.com/2017-06-30/users?username=${encodeURIComponent(
+    username
+  )}&fields=users%7Bid,username%7D&_=${Date.now()}`;
+
+  const data = await withRetry(
+    async () => {
+      const response = await fetch(url, {
+        method: "GET",
+        headers: {
+          authorization: jwtToken,
+          "Content-Type": "application/json",
+        },
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return response.json();
+    },
+    {
+      maxAttempts: 2,
+      baseDelay: 1000,
+      retryOn: ["network", "timeout", "429", "500", "502", "503", "504"],
+    }
+  );
+
+  const user = (data.users || []).find(
+    (candidate) => candidate.username.toLowerCase() === username.toLowerCase()
+  );
+  return user ? user.id : null;
+}
+
+// Collect what's known about a profile for the content script panel. Users
+// who aren't stored are looked up on Duolingo so they can still be followed.
+async function lookupProfile(username) {
+  await authReady;
+  const loggedIn = !!(JWT_TOKEN && MY_USER_ID);
+
+  let profile = await lookupUserByUsername(username);
+  if (!profile) {
+    profile = {
+      userId: loggedIn
+        ? await fetchUserIdByUsername(username, JWT_TOKEN)
+        : null,
+      username,
+      follower: null,
+      following: null,
+      previousUsernames: [],
+      notes: null,
+    };
+  }
+
+  // Content scripts can't import TAG_COLORS
+  const notes = profile.notes && {
+    ...profile.notes,
+    tags: profile.notes.tags.map((tag) => ({
+      ...tag,
+      hex: TAG_COLORS[tag.color] || TAG_COLORS.gray,
+    })),
+  };
+
+  return {
+    ...profile,
+    notes,
+    loggedIn,
+    isSelf: loggedIn && String(profile.userId) === String(MY_USER_ID),
+  };
+}
+
+// Markers for the users shown in Duolingo's follower and following lists:
+// the relationship (mutual, notFollowingBack or inactive, null otherwise)
+// and the user's tags, by username as given. Safelisted users are never
+// marked as not following back.
+async function annotateUsernames(usernames) {
+  const [stored, userNotes, safelist] = await Promise.all([
+    chrome.storage.local.get([USERNAME_INDEX_KEY]),
+    getUserNotes(),
+    getSafelist(),
+  ]);
+  const usernameIndex = stored[USERNAME_INDEX_KEY] || {};
+
+  const annotations = {};
+  usernames.forEach((username) => {
+    const entry = usernameIndex[username.toLowerCase()];
+    if (!entry) return;
+
+    const followsYou = !!entry.follower?.isActive;
+    const followedByYou = !!entry.following?.isActive;
+    let status = null;
+    if (followsYou && followedByYou) {
+      status = "mutual";
+    } else if (followedByYou) {
+      status = safelist[entry.userId] ? null : "notFollowingBack";
+    } else if (!followsYou) {
+      status = "inactive";
+    }
+
+    annotations[username] = {
+      status,
+      tags: (userNotes[entry.userId]?.tags || []).map((tag) => ({
+        ...tag,
+        hex: TAG_COLORS[tag.color] || TAG_COLORS.gray,
+      })),
+    };
+  });
+
+  return { annotations };
+}
+
+// Send a follow (POST) or unfollow (DELETE) request
+async function sendFollowRequest(method, targetUserId, jwtToken, userId) {
+  const { requestIntervalMs } = await getSettings();
+  await new Promise((resolve) => setTimeout(resolve, requestIntervalMs));
 
   const url = `https://www.duolingo.com/2017-06-30/friends/users/${userId}/follow/${targetUserId}`;
 
-  try {
-    const response = await fetch(url, {
-      method: "DELETE",
-      headers: {
-        authorization: jwtToken,
-        "Content-Type": "application/json",
-      },
-    });
+  const response = await fetch(url, {
+    method,
+    headers: {
+      authorization: jwtToken,
+      "Content-Type": "application/json",
+    },
+  });
+
+  if (!response.ok) {
+    const action = method === "POST" ? "follow" : "unfollow";
+    const error = new Error(`Failed to ${action} user: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+// Network failures (fetch throws a TypeError) and server errors are worth
+// retrying later, anything else is reported to the user right away
+function isQueueableError(error) {
+  return error instanceof TypeError || error.status >= 500;
+}
+
+// Put a failed follow/unfollow in the offline queue
+async function queueFollowOperation(type, targetUserId, jwtToken, userId) {
+  await offlineSupportReady;
+
+  const queueId = await offlineQueue.enqueue({
+    type,
+    data: { userId, targetUserId, jwtToken },
+  });
+
+  return { queued: true, queueId };
+}
+
+// Update storage after a successful unfollow
+async function applyUnfollow(targetUserId) {
+  // Remove following record
+  await removeFollowing(targetUserId);
+
+  // The cached list no longer matches, force a crawl on the next load
+  await syncManager.invalidateCachedList("following");
 
-    if (!response.ok) {
-      throw new Error(`Failed to unfollow user: ${response.status}`);
+  // Notify content scripts to refresh inactive badges
+  notifyContentScripts();
+}
+
+// Update storage after a successful follow
+async function applyFollow(targetUserId, data, jwtToken) {
+  // Extract username directly from response, if available
+  let username = "Unknown";
+  // The response already contains user information, including the username in many cases
+  if (data && data.username) {
+    username = data.username;
+  } else if (data && data.user && data.user.username) {
+    username = data.user.username;
+  } else {
+    // Only make the extra call if the username is not in the response
+    try {
+      const userDetails = await getUserDetails(targetUserId, jwtToken);
+      if (userDetails && userDetails.user && userDetails.user.username) {
+        username = userDetails.user.username;
+      }
+    } catch (error) {
+      console.warn(`Could not get username for user ${targetUserId}:`, error);
     }
+  }
+
+  // Register follow date with username
+  const followInfo = await registerFollow(targetUserId, username);
+  console.log(
+    `You started following user ${username} (${targetUserId}) on ${followInfo.followDate}`
+  );
 
-    const data = await response.json();
+  // The cached list no longer matches, force a crawl on the next load
+  await syncManager.invalidateCachedList("following");
 
-    // Remove following record
-    await removeFollowing(targetUserId);
+  // Notify content scripts to refresh inactive badges
+  notifyContentScripts();
 
-    // Notify content scripts to refresh inactive badges
-    notifyContentScripts();
+  return followInfo;
+}
+
+// Unfollows waiting out their undo window, by target user ID
+const delayedUnfollows = new Map();
+
+// Wait out the undo window before an unfollow is sent. Resolves with true if
+// the popup undid it in the meantime.
+function waitForUndoWindow(targetUserId, delay) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      delayedUnfollows.delete(targetUserId);
+      resolve(false);
+    }, delay);
+
+    delayedUnfollows.set(targetUserId, () => {
+      clearTimeout(timer);
+      delayedUnfollows.delete(targetUserId);
+      resolve(true);
+    });
+  });
+}
 
-    return { successful: true, data };
+// Unfollow a user
+async function handleUnfollow(targetUserId, jwtToken, userId) {
+  let data;
+  try {
+    data = await sendFollowRequest("DELETE", targetUserId, jwtToken, userId);
   } catch (error) {
+    if (isQueueableError(error)) {
+      console.warn("Unfollow failed, queueing it for retry:", error.message);
+      return queueFollowOperation("unfollow", targetUserId, jwtToken, userId);
+    }
     console.error("Error unfollowing user:", error);
     throw error;
   }
+
+  await applyUnfollow(targetUserId);
+
+  return { successful: true, data };
 }
 
 // Follow a user
 async function handleFollow(targetUserId, jwtToken, userId) {
-  await new Promise((resolve) => setTimeout(resolve, 300));
+  let data;
+  try {
+    data = await sendFollowRequest("POST", targetUserId, jwtToken, userId);
+  } catch (error) {
+    if (isQueueableError(error)) {
+      console.warn("Follow failed, queueing it for retry:", error.message);
+      return queueFollowOperation("follow", targetUserId, jwtToken, userId);
+    }
+    console.error("Error following user:", error);
+    throw error;
+  }
 
-  const url = `https://www.duolingo.com/2017-06-30/friends/users/${userId}/follow/${targetUserId}`;
+  const followInfo = await applyFollow(targetUserId, data, jwtToken);
 
-  try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        authorization: jwtToken,
-        "Content-Type": "application/json",
-      },
-    });
+  return { successful: true, data, followInfo };
+}
 
-    if (!response.ok) {
-      throw new Error(`Failed to follow user: ${response.status}`);
-    }
+// State of the running bulk unfollow, if any
+let bulkUnfollowRun = null;
 
-    const data = await response.json();
+// Get a snapshot of the bulk unfollow state for the popup
+function getBulkUnfollowStatus() {
+  if (!bulkUnfollowRun) {
+    return { running: false };
+  }
 
-    // Extract username directly from response, if available
-    let username = "Unknown";
-    // The response already contains user information, including the username in many cases
-    if (data && data.username) {
-      username = data.username;
-    } else if (data && data.user && data.user.username) {
-      username = data.user.username;
-    } else {
-      // Only make the extra call if the username is not in the response
-      try {
-        const userDetails = await getUserDetails(targetUserId, jwtToken);
-        if (userDetails && userDetails.user && userDetails.user.username) {
-          username = userDetails.user.username;
+  const { controller, keepAliveTimer, ...status } = bulkUnfollowRun;
+  return { ...status, paused: controller.isPaused() };
+}
+
+function sendBulkUnfollowProgress() {
+  chrome.runtime
+    .sendMessage({
+      action: "bulkUnfollowProgress",
+      ...getBulkUnfollowStatus(),
+    })
+    .catch(() => {
+      // Ignore error if no popup is open to receive the message
+    });
+}
+
+// Unfollow a list of users ({ userId, username }) one at a time, recording a
+// per-user report. Runs in the background so closing the popup doesn't stop it.
+async function runBulkUnfollow(users, jwtToken, userId) {
+  bulkUnfollowRun = {
+    running: true,
+    done: false,
+    total: users.length,
+    processed: 0,
+    report: [],
+    controller: createPauseController(),
+    keepAliveTimer: null,
+  };
+
+  // Never unfollow safelisted users, even if the popup sent them
+  const safelist = await getSafelist();
+  users = users.filter((user) => !safelist[user.userId]);
+  bulkUnfollowRun.total = users.length;
+  sendBulkUnfollowProgress();
+
+  const record = (user, status, error = null) => {
+    bulkUnfollowRun.report.push({
+      userId: user.userId,
+      username: user.username,
+      status,
+      error,
+    });
+  };
+
+  try {
+    await batchProcess(
+      users,
+      async (user) => {
+        try {
+          const response = await handleUnfollow(user.userId, jwtToken, userId);
+          record(user, response.queued ? "queued" : "unfollowed");
+          return response;
+        } catch (error) {
+          record(user, "failed", error.message);
+          throw error;
         }
-      } catch (error) {
-        console.warn(`Could not get username for user ${targetUserId}:`, error);
+      },
+      {
+        // One at a time, sendFollowRequest pauses before each request
+        batchSize: 1,
+        batchDelay: 0,
+        controller: bulkUnfollowRun.controller,
+        onProgress: ({ processed }) => {
+          bulkUnfollowRun.processed = processed;
+          sendBulkUnfollowProgress();
+        },
       }
-    }
-
-    // Register follow date with username
-    const followInfo = await registerFollow(targetUserId, username);
-    console.log(
-      `You started following user ${username} (${targetUserId}) on ${followInfo.followDate}`
     );
+  } finally {
+    clearInterval(bulkUnfollowRun.keepAliveTimer);
+    bulkUnfollowRun.running = false;
+    bulkUnfollowRun.done = true;
+    sendBulkUnfollowProgress();
+  }
+}
 
-    // Notify content scripts to refresh inactive badges
-    notifyContentScripts();
+function pauseBulkUnfollow() {
+  if (!bulkUnfollowRun || !bulkUnfollowRun.running) return;
 
-    return { successful: true, data, followInfo };
-  } catch (error) {
-    console.error("Error following user:", error);
-    throw error;
-  }
+  bulkUnfollowRun.controller.pause();
+
+  // An idle service worker is stopped after 30 seconds, which would lose the
+  // paused run. Any extension API call keeps it alive.
+  bulkUnfollowRun.keepAliveTimer = setInterval(
+    () => chrome.runtime.getPlatformInfo(),
+    20 * 1000
+  );
+  sendBulkUnfollowProgress();
+}
+
+function resumeBulkUnfollow() {
+  if (!bulkUnfollowRun || !bulkUnfollowRun.running) return;
+
+  clearInterval(bulkUnfollowRun.keepAliveTimer);
+  bulkUnfollowRun.keepAliveTimer = null;
+  bulkUnfollowRun.controller.resume();
+  sendBulkUnfollowProgress();
 }
 
 // Function to update stored usernames (legacy support)
@@ -679,9 +1504,14 @@ async function updateStoredUsernames(jwtToken, userId) {
   sendProgressUpdate("Updating stored usernames...", 50);
 
   try {
-    // Get follower and following data
-    const followersResponse = await getFollowers(jwtToken, userId);
-    const followingResponse = await getFollowing(jwtToken, userId);
+    // Get follower and following data (always a full crawl, a count check
+    // can't see renamed users)
+    const followersResponse = await getFollowers(jwtToken, userId, {
+      force: true,
+    });
+    const followingResponse = await getFollowing(jwtToken, userId, {
+      force: true,
+    });
 
     if (!followersResponse.followers || !followingResponse.following) {
       throw new Error("Failed to fetch followers/following data");
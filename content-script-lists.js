@@ -0,0 +1,228 @@
+/**
+ * Content script for the follower and following lists opened from profile pages
+ * Marks each listed user as mutual, not following back or inactive and shows
+ * your tags for them. The lists load as you scroll, so new rows are picked up
+ * by a MutationObserver.
+ */
+
+const MARKERS_CLASS = "duolingo-extension-list-markers";
+// Set on annotated links to the username they were annotated for
+const ANNOTATED_ATTRIBUTE = "data-duolingo-extension-annotated";
+
+// Look of each relationship marker, matching the profile badges. Users
+// without a status (e.g. safelisted ones) only get their tags.
+const LIST_MARKERS = {
+  mutual: { label: "Mutual", color: "#58cc02", title: "You follow each other" },
+  notFollowingBack: {
+    label: "Not following back",
+    color: "#ff4b4b",
+    title: "You follow this user but they don't follow you",
+  },
+  inactive: {
+    label: "Inactive",
+    color: "#ff9500",
+    title: "You no longer follow each other but this user is in your history",
+  },
+};
+
+// Annotations received from the background, by username
+const annotationCache = new Map();
+
+// Send a message to the background and wait for the answer. Named apart from
+// the profile script's sendMessage, both run in the same content script world.
+function sendListMessage(message) {
+  return new Promise((resolve, reject) =>
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    })
+  );
+}
+
+// The extension was reloaded or updated, this copy of the script can't reach
+// it anymore
+function isContextInvalidated(error) {
+  return !chrome.runtime?.id || /context invalidated/i.test(error?.message);
+}
+
+// Username a profile link points to, or null for other links
+function getLinkUsername(link) {
+  const match = link.pathname.match(/^\/profile\/([^/?#]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function isListPage() {
+  return /^\/profile\/[^/]+\/(followers|following)/.test(location.pathname);
+}
+
+// Whether a followers/following list can be on screen. The lists are opened
+// from profile pages; the site can navigate elsewhere without a reload.
+function isListShown() {
+  if (!location.pathname.startsWith("/profile/")) return false;
+  return isListPage() || document.querySelector('[role="dialog"]') !== null;
+}
+
+// Profile links in the followers/following modal, or on the full page lists
+function findListLinks() {
+  const selectors = ['[role="dialog"] a[href*="/profile/"]'];
+  if (isListPage()) {
+    selectors.push('main a[href*="/profile/"]');
+  }
+
+  return Array.from(document.querySelectorAll(selectors.join(", ")));
+}
+
+function createMarker(label, color, title) {
+  const marker = document.createElement("span");
+  marker.textContent = label;
+  marker.title = title;
+  marker.style.cssText = `
+    display: inline-block;
+    padding: 1px 6px;
+    border-radius: 8px;
+    background-color: ${color};
+    color: white;
+    font-size: 10px;
+    font-weight: bold;
+    line-height: 16px;
+    white-space: nowrap;
+  `;
+  return marker;
+}
+
+// Create the markers of one user, or null if there is nothing to show
+function createListMarkers(annotation) {
+  const markers = document.createElement("span");
+  markers.className = MARKERS_CLASS;
+  markers.style.cssText = `
+    display: inline-flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-left: 6px;
+    vertical-align: middle;
+  `;
+
+  const relationship = LIST_MARKERS[annotation.status];
+  if (relationship) {
+    markers.appendChild(
+      createMarker(relationship.label, relationship.color, relationship.title)
+    );
+  }
+  annotation.tags.forEach((tag) =>
+    markers.appendChild(
+      createMarker(tag.name, tag.hex, `Your tag: ${tag.name}`)
+    )
+  );
+
+  return markers.childElementCount > 0 ? markers : null;
+}
+
+// Add markers to every listed user that doesn't have them yet
+async function annotateLists() {
+  try {
+    const links = findListLinks()
+      .map((link) => ({ link, username: getLinkUsername(link) }))
+      .filter(
+        ({ link, username }) =>
+          username && link.getAttribute(ANNOTATED_ATTRIBUTE) !== username
+      );
+    if (links.length === 0) return;
+
+    const missing = [
+      ...new Set(
+        links
+          .map(({ username }) => username)
+          .filter((username) => !annotationCache.has(username))
+      ),
+    ];
+    if (missing.length > 0) {
+      const response = await sendListMessage({
+        action: "annotateUsernames",
+        usernames: missing,
+      });
+      if (!response || response.error) {
+        console.error("Error annotating lists:", response?.error);
+        return;
+      }
+      // Users that aren't stored are cached too, so they aren't asked again
+      missing.forEach((username) =>
+        annotationCache.set(username, response.annotations[username] || null)
+      );
+    }
+
+    links.forEach(({ link, username }) => {
+      // Rows can be reused for another user while scrolling
+      link.querySelector(`.${MARKERS_CLASS}`)?.remove();
+      link.setAttribute(ANNOTATED_ATTRIBUTE, username);
+
+      const annotation = annotationCache.get(username);
+      const markers = annotation && createListMarkers(annotation);
+      if (markers) {
+        link.appendChild(markers);
+      }
+    });
+  } catch (error) {
+    if (isContextInvalidated(error)) {
+      stopObservingLists();
+      return;
+    }
+    console.error("Error in annotateLists:", error);
+  }
+}
+
+// Remove all markers and annotate again, e.g. after a sync or a tag change
+function refreshListMarkers() {
+  annotationCache.clear();
+  document
+    .querySelectorAll(`.${MARKERS_CLASS}`)
+    .forEach((markers) => markers.remove());
+  document
+    .querySelectorAll(`[${ANNOTATED_ATTRIBUTE}]`)
+    .forEach((link) => link.removeAttribute(ANNOTATED_ATTRIBUTE));
+  annotateLists();
+}
+
+// Annotate rows as the lists open and load more users
+let annotateTimeout = null;
+let listObserver = null;
+function observeLists() {
+  listObserver = new MutationObserver(() => {
+    // Cheap check first, this runs on every change of the page
+    if (!location.pathname.startsWith("/profile/")) return;
+
+    // Debounce, a list loads many rows at once
+    clearTimeout(annotateTimeout);
+    annotateTimeout = setTimeout(() => {
+      if (isListShown()) annotateLists();
+    }, 300);
+  });
+
+  listObserver.observe(document.body, {
+    childList: true,
+    subtree: true,
+  });
+}
+
+function stopObservingLists() {
+  clearTimeout(annotateTimeout);
+  if (listObserver) {
+    listObserver.disconnect();
+    listObserver = null;
+  }
+}
+
+// Markers follow the stored data while a list is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (
+    areaName === "local" &&
+    (changes.usernameIndex || changes.userNotes || changes.safelist)
+  ) {
+    refreshListMarkers();
+  }
+});
+
+observeLists();
+annotateLists();
@@ -1,6 +1,8 @@
 /**
  * Content script for Duolingo profile pages
- * Detects inactive users and renders badges on profile usernames
+ * Renders relationship badges (follows you, mutual, ex-follower...) on
+ * profile usernames, and shows a panel with your relationship to the
+ * profile's user
  */
 
 // Extract username from URL
@@ -12,63 +14,180 @@ function extractUsernameFromUrl() {
   return match ? match[1] : null;
 }
 
-// Get user ID from storage by username
+// Copy of the username index the background keeps (see
+// utils/usernameIndex.js), read once instead of on every check
+let usernameIndex = null;
+
+// Find a user by current or earlier username without loading the records.
+// Resolves with the index entry ({ userId, follower, following }) or null.
 async function getUserIdByUsername(username) {
   try {
-    const result = await chrome.storage.local.get(["followDates"]);
-    const followDates = result.followDates || { followers: {}, following: {} };
-
-    // Search in both followers and following for the username
-    for (const [userId, userData] of Object.entries(followDates.followers)) {
-      if (userData.username === username) {
-        return { userId, type: "follower", data: userData };
-      }
+    if (!usernameIndex) {
+      const result = await chrome.storage.local.get(["usernameIndex"]);
+      usernameIndex = result.usernameIndex || {};
     }
 
-    for (const [userId, userData] of Object.entries(followDates.following)) {
-      if (userData.username === username) {
-        return { userId, type: "following", data: userData };
-      }
-    }
-
-    return null;
+    return usernameIndex[decodeURIComponent(username).toLowerCase()] || null;
   } catch (error) {
     console.error("Error getting user data:", error);
     return null;
   }
 }
 
-// Create inactive badge element
-function createInactiveBadge(type) {
+const BADGES_CLASS = "duolingo-extension-profile-badges";
+
+// Users who followed you this recently also get the "new follower" badge
+const NEW_FOLLOWER_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Look of each badge type, toggled by the profileBadges setting. The colours
+// are the defaults of the badgeColors setting (see utils/settings.js).
+const PROFILE_BADGES = {
+  mutual: {
+    label: "Mutual",
+    color: "#58cc02",
+    title: "You follow each other",
+  },
+  followsYou: {
+    label: "Follows you",
+    color: "#1cb0f6",
+    title: "This user follows you",
+  },
+  notFollowingBack: {
+    label: "Doesn't follow back",
+    color: "#ff4b4b",
+    title: "You follow this user but they don't follow you",
+  },
+  newFollower: {
+    label: "New follower",
+    color: "#ce82ff",
+    title: `This user followed you in the last ${NEW_FOLLOWER_DAYS} days`,
+  },
+  unfollowedYou: {
+    label: "Ex-Follower",
+    color: "#ff9500",
+    title:
+      "This user is no longer following you but appears in your history.",
+  },
+  youUnfollowed: {
+    label: "Ex-Following",
+    color: "#ff9500",
+    title:
+      "This user is no longer being followed by you but appears in your history.",
+  },
+};
+
+// Short follow duration, e.g. "3 days" or "2 years"
+function formatFollowDuration(since) {
+  const days = Math.floor((Date.now() - since) / DAY_MS);
+  if (days < 1) return "today";
+
+  const [count, unit] =
+    days < 30
+      ? [days, "day"]
+      : days < 365
+      ? [Math.floor(days / 30), "month"]
+      : [Math.floor(days / 365), "year"];
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
+
+// Badges ({ type, since }) that apply to an index entry, before the settings.
+// They follow the current state, so someone you follow who unfollowed you
+// doesn't follow back (and is also an ex-follower). Safelisted users are
+// never shown as not following back, like in the popup.
+function getRelationshipBadges(entry, isSafelisted) {
+  const { follower, following } = entry;
+  const followsYou = !!follower?.isActive;
+  const followedByYou = !!following?.isActive;
+  const badges = [];
+
+  if (followsYou && followedByYou) {
+    // Friends since whoever followed last
+    badges.push({
+      type: "mutual",
+      since: Math.max(follower.since, following.since),
+    });
+  } else if (followsYou) {
+    badges.push({ type: "followsYou", since: follower.since });
+  } else if (followedByYou && !isSafelisted) {
+    badges.push({ type: "notFollowingBack", since: following.since });
+  }
+
+  if (follower && !followsYou) {
+    badges.push({ type: "unfollowedYou", since: follower.since });
+  }
+  if (following && !followedByYou) {
+    badges.push({ type: "youUnfollowed", since: following.since });
+  }
+
+  if (followsYou && Date.now() - follower.since < NEW_FOLLOWER_DAYS * DAY_MS) {
+    badges.push({ type: "newFollower", since: follower.since });
+  }
+
+  return badges;
+}
+
+// Create the element of one badge
+function createProfileBadge({ type, since }, color) {
+  const { label, title } = PROFILE_BADGES[type];
   const badge = document.createElement("span");
-  badge.className = "duolingo-extension-inactive-badge";
+  badge.className = `duolingo-extension-profile-badge ${BADGES_CLASS}-${type}`;
   badge.style.cssText = `
-    display: flex;
+    display: inline-flex;
     align-items: center;
-    justify-content: center;
-    width: 120px;
-    height: 35px;
-    background-color: #ff9500;
+    height: 28px;
+    padding: 0 10px;
+    background-color: ${color};
     color: white;
-    font-size: 13px;
+    font-size: 12px;
     font-weight: bold;
     border-radius: 10px;
-    margin-block: 8px;
-    vertical-align: middle;
     text-transform: uppercase;
     letter-spacing: 0.5px;
-    box-shadow: 0 1px 3px rgba(255, 149, 0, 0.3);
+    white-space: nowrap;
   `;
 
-  const typeText = type === "follower" ? "Ex-Follower" : "Ex-Following";
-  badge.textContent = typeText;
-  badge.title = `This user is no longer ${
-    type === "follower" ? "following you" : "being followed by you"
-  } but appears in your history.`;
+  // Ex-badges are about the past, the duration would be misleading there
+  const showDuration = type !== "unfollowedYou" && type !== "youUnfollowed";
+  badge.textContent =
+    showDuration && since
+      ? `${label} · ${formatFollowDuration(since)}`
+      : label;
+  badge.title = since
+    ? `${title}\nFirst followed: ${new Date(since).toLocaleDateString()}`
+    : title;
 
   return badge;
 }
 
+// Create the container with every enabled badge, or null if there is none
+function createProfileBadges(entry, settings = {}, isSafelisted = false) {
+  const enabledBadges = settings.profileBadges || {};
+  const badgeColors = settings.badgeColors || {};
+  const badges = getRelationshipBadges(entry, isSafelisted).filter(
+    (badge) => enabledBadges[badge.type] !== false
+  );
+  if (badges.length === 0) return null;
+
+  const container = document.createElement("div");
+  container.className = BADGES_CLASS;
+  container.style.cssText = `
+    display: flex;
+    flex-wrap: wrap;
+    gap: 6px;
+    margin-block: 8px;
+  `;
+  badges.forEach((badge) =>
+    container.appendChild(
+      createProfileBadge(
+        badge,
+        badgeColors[badge.type] || PROFILE_BADGES[badge.type].color
+      )
+    )
+  );
+  return container;
+}
+
 // Global state to prevent multiple execution
 let processingBadge = false;
 let currentProfileUsername = null;
@@ -77,7 +196,23 @@ const MAX_RETRIES = 3;
 
 // Check if badge already exists
 function badgeExists() {
-  return document.querySelector(".duolingo-extension-inactive-badge") !== null;
+  return document.querySelector(`.${BADGES_CLASS}`) !== null;
+}
+
+function removeProfileBadges() {
+  const existingBadges = document.querySelector(`.${BADGES_CLASS}`);
+  if (existingBadges) {
+    existingBadges.remove();
+  }
+}
+
+// Show the badges again for the current profile
+function refreshProfileBadges() {
+  processingBadge = false;
+  currentProfileUsername = null;
+  retryCount = 0;
+  removeProfileBadges();
+  addProfileBadges();
 }
 
 // More comprehensive element selectors for profile username
@@ -102,8 +237,8 @@ function findProfileUsernameElement() {
   return null;
 }
 
-// Add badge to profile username element
-async function addInactiveBadge() {
+// Add the relationship badges to the profile username element
+async function addProfileBadges() {
   // Prevent concurrent execution
   if (processingBadge) {
     return;
@@ -124,18 +259,24 @@ async function addInactiveBadge() {
   currentProfileUsername = username;
 
   try {
-    console.log(`Checking inactive status for user: ${username}`);
-
-    const userInfo = await getUserIdByUsername(username);
-    if (!userInfo) {
+    console.log(`Checking relationship for user: ${username}`);
+
+    const [entry, { settings }, { safelist }] = await Promise.all([
+      getUserIdByUsername(username),
+      chrome.storage.sync.get(["settings"]),
+      chrome.storage.local.get(["safelist"]),
+    ]);
+    if (!entry) {
       console.log(`User ${username} not found in storage`);
       return;
     }
 
-    // Check if user is inactive
-    if (userInfo.data.isActive === false) {
-      console.log(`User ${username} is inactive (${userInfo.type})`);
-
+    const badges = createProfileBadges(
+      entry,
+      settings,
+      !!safelist?.[entry.userId]
+    );
+    if (badges) {
       // Prevent duplicate badges
       if (badgeExists()) {
         console.log("Badge already exists, skipping");
@@ -145,9 +286,8 @@ async function addInactiveBadge() {
       // Find the profile username element with multiple strategies
       const usernameElement = findProfileUsernameElement();
       if (usernameElement) {
-        const badge = createInactiveBadge(userInfo.type);
-        usernameElement.appendChild(badge);
-        console.log(`Added inactive badge for ${username}`);
+        usernameElement.appendChild(badges);
+        console.log(`Added profile badges for ${username}`);
         retryCount = 0; // Reset retry count on success
       } else {
         console.log("Profile username element not found");
@@ -160,7 +300,7 @@ async function addInactiveBadge() {
           );
           setTimeout(() => {
             processingBadge = false;
-            addInactiveBadge();
+            addProfileBadges();
           }, 2000); // Longer delay to let page load
           return; // Don't reset processingBadge yet
         } else {
@@ -169,15 +309,332 @@ async function addInactiveBadge() {
         }
       }
     } else {
-      console.log(`User ${username} is active`);
+      console.log(`No badges enabled for ${username}`);
     }
   } catch (error) {
-    console.error("Error in addInactiveBadge:", error);
+    console.error("Error in addProfileBadges:", error);
   } finally {
     processingBadge = false;
   }
 }
 
+// Send a message to the background and wait for the answer
+function sendMessage(message) {
+  return new Promise((resolve) => chrome.runtime.sendMessage(message, resolve));
+}
+
+const PANEL_CLASS = "duolingo-extension-relationship-panel";
+
+// Username whose panel was closed, it stays closed until the next profile
+let dismissedPanelUsername = null;
+// Increased on every panel update so a slow lookup can't replace a newer one
+let panelRequestId = 0;
+
+function removeRelationshipPanel() {
+  const existingPanel = document.querySelector(`.${PANEL_CLASS}`);
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+}
+
+function addRelationshipPanelStyles() {
+  if (document.getElementById(`${PANEL_CLASS}-styles`)) return;
+
+  const style = document.createElement("style");
+  style.id = `${PANEL_CLASS}-styles`;
+  style.textContent = `
+    .${PANEL_CLASS} {
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      z-index: 10000;
+      width: 260px;
+      padding: 12px 14px;
+      background: white;
+      border: 2px solid #e5e5e5;
+      border-radius: 16px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.12);
+      color: #4b4b4b;
+      font-size: 13px;
+      line-height: 1.4;
+    }
+
+    .${PANEL_CLASS}-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 6px;
+      font-weight: bold;
+      color: #1cb0f6;
+    }
+
+    .${PANEL_CLASS}-close {
+      border: none;
+      background: none;
+      color: #afafaf;
+      font-size: 18px;
+      line-height: 1;
+      cursor: pointer;
+    }
+
+    .${PANEL_CLASS}-row {
+      margin: 3px 0;
+    }
+
+    .${PANEL_CLASS}-row .inactive {
+      color: #ff9500;
+    }
+
+    .${PANEL_CLASS}-muted {
+      color: #afafaf;
+    }
+
+    .${PANEL_CLASS}-tags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      margin: 6px 0;
+    }
+
+    .${PANEL_CLASS}-tag {
+      padding: 1px 6px;
+      border-radius: 10px;
+      color: white;
+      font-size: 11px;
+      font-weight: bold;
+    }
+
+    .${PANEL_CLASS}-note {
+      margin: 6px 0;
+      padding: 6px 8px;
+      background: #f7f7f7;
+      border-radius: 8px;
+      white-space: pre-wrap;
+    }
+
+    .${PANEL_CLASS}-action {
+      width: 100%;
+      margin-top: 8px;
+      padding: 8px;
+      border: none;
+      border-radius: 12px;
+      background: #1cb0f6;
+      color: white;
+      font-weight: bold;
+      text-transform: uppercase;
+      cursor: pointer;
+    }
+
+    .${PANEL_CLASS}-action.unfollow {
+      background: #ff4b4b;
+    }
+
+    .${PANEL_CLASS}-action:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    .${PANEL_CLASS}-message {
+      margin-top: 6px;
+      font-size: 12px;
+      color: #ff4b4b;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// Describe one direction of the relationship
+function describeRelationship(record) {
+  if (!record) return { text: "No", className: "" };
+  if (record.isActive) {
+    return {
+      text: `Yes, since ${new Date(record.since).toLocaleDateString()}`,
+      className: "",
+    };
+  }
+  return {
+    text: record.inactiveSince
+      ? `Not anymore (stopped ${new Date(
+          record.inactiveSince
+        ).toLocaleDateString()})`
+      : "Not anymore",
+    className: "inactive",
+  };
+}
+
+// Add a "Label: value" row to the panel
+function addPanelRow(panel, label, { text, className }) {
+  const row = document.createElement("div");
+  row.className = `${PANEL_CLASS}-row`;
+
+  const labelElement = document.createElement("strong");
+  labelElement.textContent = `${label}: `;
+  row.appendChild(labelElement);
+
+  const value = document.createElement("span");
+  value.className = className;
+  value.textContent = text;
+  row.appendChild(value);
+
+  panel.appendChild(row);
+}
+
+// Follow or unfollow the profile's user through the background
+async function runPanelAction(profile, unfollow, button, message) {
+  if (
+    unfollow &&
+    !confirm(`Are you sure you want to unfollow @${profile.username}?`)
+  ) {
+    return;
+  }
+
+  button.disabled = true;
+  button.textContent = unfollow ? "Unfollowing..." : "Following...";
+  message.textContent = "";
+
+  const response = await sendMessage({
+    action: unfollow ? "unfollow" : "follow",
+    userId: profile.userId,
+  });
+
+  if (response && response.queued) {
+    button.textContent = "Pending";
+    message.textContent =
+      "Duolingo couldn't be reached. This will be retried automatically.";
+  } else if (response && response.successful) {
+    // The stored records changed, show them
+    updateRelationshipPanel();
+  } else {
+    button.disabled = false;
+    button.textContent = unfollow ? "Unfollow" : "Follow";
+    message.textContent = `Could not ${
+      unfollow ? "unfollow" : "follow"
+    }. Please try again.`;
+  }
+}
+
+// Create the relationship panel from a lookupUserByUsername response
+function createRelationshipPanel(profile) {
+  const panel = document.createElement("div");
+  panel.className = PANEL_CLASS;
+
+  const header = document.createElement("div");
+  header.className = `${PANEL_CLASS}-header`;
+  header.textContent = `@${profile.username}`;
+
+  const closeButton = document.createElement("button");
+  closeButton.className = `${PANEL_CLASS}-close`;
+  closeButton.title = "Hide until the next profile";
+  closeButton.textContent = "×";
+  closeButton.addEventListener("click", () => {
+    dismissedPanelUsername = extractUsernameFromUrl();
+    panel.remove();
+  });
+  header.appendChild(closeButton);
+  panel.appendChild(header);
+
+  addPanelRow(panel, "Follows you", describeRelationship(profile.follower));
+  addPanelRow(panel, "You follow", describeRelationship(profile.following));
+
+  if (profile.previousUsernames.length > 0) {
+    addPanelRow(panel, "Previously", {
+      text: profile.previousUsernames
+        .map(
+          (previous) =>
+            `@${previous.username} (until ${new Date(
+              previous.changedAt
+            ).toLocaleDateString()})`
+        )
+        .join(", "),
+      className: "",
+    });
+  }
+
+  if (profile.notes) {
+    if (profile.notes.tags.length > 0) {
+      const tags = document.createElement("div");
+      tags.className = `${PANEL_CLASS}-tags`;
+      profile.notes.tags.forEach((tag) => {
+        const chip = document.createElement("span");
+        chip.className = `${PANEL_CLASS}-tag`;
+        chip.style.backgroundColor = tag.hex;
+        chip.textContent = tag.name;
+        tags.appendChild(chip);
+      });
+      panel.appendChild(tags);
+    }
+
+    if (profile.notes.note) {
+      const note = document.createElement("div");
+      note.className = `${PANEL_CLASS}-note`;
+      note.textContent = profile.notes.note;
+      panel.appendChild(note);
+    }
+  }
+
+  if (!profile.loggedIn || !profile.userId) {
+    const hint = document.createElement("div");
+    hint.className = `${PANEL_CLASS}-muted`;
+    hint.textContent = profile.loggedIn
+      ? "This user could not be found on Duolingo."
+      : "Log in to Duolingo to follow or unfollow from here.";
+    panel.appendChild(hint);
+    return panel;
+  }
+
+  const unfollow = !!profile.following?.isActive;
+  const actionButton = document.createElement("button");
+  actionButton.className = `${PANEL_CLASS}-action${
+    unfollow ? " unfollow" : ""
+  }`;
+  actionButton.textContent = unfollow ? "Unfollow" : "Follow";
+  panel.appendChild(actionButton);
+
+  const message = document.createElement("div");
+  message.className = `${PANEL_CLASS}-message`;
+  panel.appendChild(message);
+
+  actionButton.addEventListener("click", () =>
+    runPanelAction(profile, unfollow, actionButton, message)
+  );
+
+  return panel;
+}
+
+// Show or refresh the relationship panel for the current profile
+async function updateRelationshipPanel() {
+  const requestId = ++panelRequestId;
+  const username = extractUsernameFromUrl();
+
+  if (!username || username === dismissedPanelUsername) {
+    removeRelationshipPanel();
+    return;
+  }
+
+  try {
+    const profile = await sendMessage({
+      action: "lookupUserByUsername",
+      username: decodeURIComponent(username),
+    });
+
+    // Another profile was opened during the lookup
+    if (requestId !== panelRequestId) return;
+
+    removeRelationshipPanel();
+    if (!profile || profile.error || profile.isSelf) {
+      if (profile && profile.error) {
+        console.error("Error looking up profile:", profile.error);
+      }
+      return;
+    }
+
+    addRelationshipPanelStyles();
+    document.body.appendChild(createRelationshipPanel(profile));
+  } catch (error) {
+    console.error("Error in updateRelationshipPanel:", error);
+  }
+}
+
 // Observer to detect DOM changes (for SPA navigation)
 let observerTimeout = null;
 function observePageChanges() {
@@ -196,7 +653,7 @@ function observePageChanges() {
         const addedNodes = Array.from(mutation.addedNodes);
         if (
           addedNodes.length === 1 &&
-          addedNodes[0].classList?.contains("duolingo-extension-inactive-badge")
+          addedNodes[0].classList?.contains(BADGES_CLASS)
         ) {
           return false;
         }
@@ -219,15 +676,10 @@ function observePageChanges() {
         retryCount = 0;
 
         // Remove existing badge since page content changed
-        const existingBadge = document.querySelector(
-          ".duolingo-extension-inactive-badge"
-        );
-        if (existingBadge) {
-          existingBadge.remove();
-        }
+        removeProfileBadges();
 
         // Retry adding badge after content loads
-        setTimeout(addInactiveBadge, 1500);
+        setTimeout(addProfileBadges, 1500);
       }
     }, 1000); // 1 second debounce
   });
@@ -252,6 +704,10 @@ function listenForNavigation() {
 
     navigationTimeout = setTimeout(() => {
       const newUrl = window.location.href;
+      if (!newUrl.includes("/profile/")) {
+        // Left the profile pages
+        removeRelationshipPanel();
+      }
       if (newUrl !== currentUrl && newUrl.includes("/profile/")) {
         currentUrl = newUrl;
         console.log("Navigation to profile detected:", newUrl);
@@ -262,15 +718,13 @@ function listenForNavigation() {
         retryCount = 0;
 
         // Remove existing badge
-        const existingBadge = document.querySelector(
-          ".duolingo-extension-inactive-badge"
-        );
-        if (existingBadge) {
-          existingBadge.remove();
-        }
+        removeProfileBadges();
 
         // Add badge for new profile if applicable
-        setTimeout(addInactiveBadge, 2000);
+        setTimeout(addProfileBadges, 2000);
+
+        dismissedPanelUsername = null;
+        updateRelationshipPanel();
       }
     }, 500);
   };
@@ -302,10 +756,13 @@ function listenForNavigation() {
 
 // Initialize the script
 function init() {
-  console.log("Duolingo profile inactive user detector initialized");
+  console.log("Duolingo profile relationship badges initialized");
 
   // Add badge immediately if applicable
-  setTimeout(addInactiveBadge, 1000);
+  setTimeout(addProfileBadges, 1000);
+
+  // The panel is fixed to the page, it doesn't wait for the profile to render
+  updateRelationshipPanel();
 
   // Set up observers for dynamic content
   observePageChanges();
@@ -316,7 +773,7 @@ function init() {
   // Also try adding badge when document fully loads
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", () => {
-      setTimeout(addInactiveBadge, 1500);
+      setTimeout(addProfileBadges, 1500);
     });
   }
 }
@@ -329,21 +786,31 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "refreshInactiveBadge") {
     console.log("Received refresh badge request");
 
-    // Reset processing state
-    processingBadge = false;
-    currentProfileUsername = null;
-    retryCount = 0;
+    // Re-check and add badges if needed
+    setTimeout(refreshProfileBadges, 1000);
+    updateRelationshipPanel();
+    sendResponse({ success: true });
+  }
+});
 
-    // Remove existing badge
-    const existingBadge = document.querySelector(
-      ".duolingo-extension-inactive-badge"
-    );
-    if (existingBadge) {
-      existingBadge.remove();
-    }
+// Follow records and badge settings can change while the profile is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.usernameIndex) {
+    usernameIndex = changes.usernameIndex.newValue || {};
+  }
 
-    // Re-check and add badge if needed
-    setTimeout(addInactiveBadge, 1000);
-    sendResponse({ success: true });
+  // Settings are in sync storage, see utils/settings.js
+  const badgeSettings = (settings) =>
+    JSON.stringify([settings?.profileBadges, settings?.badgeColors]);
+  const badgeSettingsChanged =
+    areaName === "sync" &&
+    changes.settings &&
+    badgeSettings(changes.settings.oldValue) !==
+      badgeSettings(changes.settings.newValue);
+  if (
+    (changes.usernameIndex || changes.safelist || badgeSettingsChanged) &&
+    extractUsernameFromUrl()
+  ) {
+    refreshProfileBadges();
   }
 });
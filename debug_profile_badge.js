@@ -5,19 +5,33 @@
 
 console.log("=== Profile Badge Debug Utility ===");
 
+// Container of the badges added by content-script-profile.js
+const DEBUG_BADGES_CLASS = "duolingo-extension-profile-badges";
+
+// Labels and colours of the badge types, for test badges
+const DEBUG_BADGE_TYPES = {
+  followsYou: { label: "Follows you", color: "#1cb0f6" },
+  mutual: { label: "Mutual", color: "#58cc02" },
+  notFollowingBack: { label: "Doesn't follow back", color: "#ff4b4b" },
+  newFollower: { label: "New follower", color: "#ce82ff" },
+  unfollowedYou: { label: "Ex-Follower", color: "#ff9500" },
+  youUnfollowed: { label: "Ex-Following", color: "#ff9500" },
+};
+
 // Function to get current badge information
 function getBadgeInfo() {
-  const badge = document.querySelector(".duolingo-extension-inactive-badge");
-  if (badge) {
+  const container = document.querySelector(`.${DEBUG_BADGES_CLASS}`);
+  if (container) {
     return {
       exists: true,
-      text: badge.textContent,
-      title: badge.title,
-      styles: {
+      badges: Array.from(container.children).map((badge) => ({
+        type: Object.keys(DEBUG_BADGE_TYPES).find((type) =>
+          badge.classList.contains(`${DEBUG_BADGES_CLASS}-${type}`)
+        ),
+        text: badge.textContent,
+        title: badge.title,
         backgroundColor: badge.style.backgroundColor,
-        color: badge.style.color,
-        marginLeft: badge.style.marginLeft,
-      },
+      })),
     };
   }
   return { exists: false };
@@ -62,35 +76,46 @@ function extractUsername() {
   return match ? match[1] : null;
 }
 
-// Function to check storage for user
+// Function to check storage for user, the way the content script finds them:
+// through the username index, by current or earlier username
 async function checkStorage(username) {
   try {
-    const result = await chrome.storage.local.get(["followDates"]);
-    const followDates = result.followDates || { followers: {}, following: {} };
-
-    // Search in both followers and following for the username
-    for (const [userId, userData] of Object.entries(followDates.followers)) {
-      if (userData.username === username) {
-        return { found: true, userId, type: "follower", data: userData };
-      }
+    const { usernameIndex, safelist } = await chrome.storage.local.get([
+      "usernameIndex",
+      "safelist",
+    ]);
+    if (!usernameIndex) {
+      return { found: false, indexMissing: true };
     }
 
-    for (const [userId, userData] of Object.entries(followDates.following)) {
-      if (userData.username === username) {
-        return { found: true, userId, type: "following", data: userData };
-      }
+    const entry = usernameIndex[decodeURIComponent(username).toLowerCase()];
+    if (!entry) {
+      return { found: false };
     }
 
-    return { found: false };
+    return {
+      found: true,
+      ...entry,
+      isSafelisted: !!safelist?.[entry.userId],
+    };
   } catch (error) {
     return { error: error.message };
   }
 }
 
 // Function to manually trigger badge creation
-function testBadgeCreation(type = "following") {
-  // Remove existing badge first
-  const existing = document.querySelector(".duolingo-extension-inactive-badge");
+function testBadgeCreation(type = "youUnfollowed") {
+  const badgeType = DEBUG_BADGE_TYPES[type];
+  if (!badgeType) {
+    console.error(
+      `Unknown badge type "${type}", use one of:`,
+      Object.keys(DEBUG_BADGE_TYPES).join(", ")
+    );
+    return;
+  }
+
+  // Remove existing badges first
+  const existing = document.querySelector(`.${DEBUG_BADGES_CLASS}`);
   if (existing) {
     existing.remove();
   }
@@ -106,33 +131,39 @@ function testBadgeCreation(type = "following") {
   }
 
   // Create test badge
+  const container = document.createElement("div");
+  container.className = DEBUG_BADGES_CLASS;
+  container.style.cssText = `
+    display: flex;
+    flex-wrap: wrap;
+    gap: 6px;
+    margin-block: 8px;
+  `;
+
   const badge = document.createElement("span");
-  badge.className = "duolingo-extension-inactive-badge";
+  badge.className = `duolingo-extension-profile-badge ${DEBUG_BADGES_CLASS}-${type}`;
   badge.style.cssText = `
-    display: inline-block;
-    background-color: #ff9500;
+    display: inline-flex;
+    align-items: center;
+    height: 28px;
+    padding: 0 10px;
+    background-color: ${badgeType.color};
     color: white;
-    font-size: 11px;
+    font-size: 12px;
     font-weight: bold;
-    padding: 2px 6px;
     border-radius: 10px;
-    margin-left: 8px;
-    vertical-align: middle;
     text-transform: uppercase;
     letter-spacing: 0.5px;
-    box-shadow: 0 1px 3px rgba(255, 149, 0, 0.3);
+    white-space: nowrap;
   `;
+  badge.textContent = badgeType.label;
+  badge.title = `Test badge: ${badgeType.label}`;
 
-  const typeText = type === "follower" ? "Ex-Follower" : "Ex-Following";
-  badge.textContent = typeText;
-  badge.title = `Test badge: This user is no longer ${
-    type === "follower" ? "following you" : "being followed by you"
-  }.`;
-
-  usernameEl.appendChild(badge);
+  container.appendChild(badge);
+  usernameEl.appendChild(container);
   console.log("Test badge created successfully");
 
-  return badge;
+  return container;
 }
 
 // Main debug function
@@ -163,13 +194,18 @@ async function debugProfileBadge() {
     console.log("Storage result:", storageResult);
 
     if (storageResult.found) {
-      console.log(`✅ User found in storage as ${storageResult.type}`);
-      console.log(`   Active status: ${storageResult.data.isActive}`);
-      console.log(
-        `   Should show badge: ${storageResult.data.isActive === false}`
-      );
+      const describe = (record) =>
+        record ? (record.isActive ? "active" : "inactive") : "no record";
+      console.log(`✅ User found in storage (ID ${storageResult.userId})`);
+      console.log(`   Follows you: ${describe(storageResult.follower)}`);
+      console.log(`   You follow: ${describe(storageResult.following)}`);
+      console.log(`   Safelisted: ${storageResult.isSafelisted}`);
     } else if (storageResult.error) {
       console.log("❌ Error checking storage:", storageResult.error);
+    } else if (storageResult.indexMissing) {
+      console.log(
+        "❌ Username index missing (the service worker builds it from your follow records)"
+      );
     } else {
       console.log(
         "ℹ️  User not found in storage (expected for users not in your history)"
@@ -179,10 +215,9 @@ async function debugProfileBadge() {
 
   console.log("\n--- Available Actions ---");
   console.log(
-    '- testBadgeCreation("follower") - Create test Ex-Follower badge'
-  );
-  console.log(
-    '- testBadgeCreation("following") - Create test Ex-Following badge'
+    `- testBadgeCreation(type) - Create a test badge, type is one of: ${Object.keys(
+      DEBUG_BADGE_TYPES
+    ).join(", ")}`
   );
   console.log("- getBadgeInfo() - Get current badge information");
   console.log("- findUsernameElements() - Find all possible username elements");
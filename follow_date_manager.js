@@ -7,16 +7,117 @@
 /**
  * Storage structure:
  * followDates = {
- *   followers: { userId: { timestamp: number, username: string, isActive: boolean }, ... },
- *   following: { userId: { timestamp: number, username: string, isActive: boolean }, ... }
+ *   followers: { userId: { timestamp: number, username: string, isActive: boolean, events: Array, previousUsernames: Array }, ... },
+ *   following: { userId: { timestamp: number, username: string, isActive: boolean, events: Array, previousUsernames: Array }, ... }
  * }
+ *
+ * Each record keeps an append-only `events` log ({ type, timestamp, ... }) so the
+ * full relationship timeline survives unfollows, re-follows and username changes.
+ * Earlier usernames are also kept in `previousUsernames` ({ username, changedAt }),
+ * oldest first, so users can be found by a name they no longer use.
+ *
+ * safelist = { userId: { username: string, addedAt: number }, ... }
+ *
+ * Safelisted users are never suggested for unfollow (not-following-back
+ * highlighting, filter, counter and bulk unfollow).
+ *
+ * userNotes = { userId: { note: string, tags: [{ name, color }], username: string, updatedAt: number }, ... }
+ *
+ * Private notes and colour tags are only stored locally, never sent to Duolingo.
  */
 
+import { ensureStorageMigrated } from "./utils/migrations.js";
+import {
+  USERNAME_INDEX_KEY,
+  buildUsernameIndex,
+} from "./utils/usernameIndex.js";
+
+/**
+ * Relationship event types stored in each record's `events` log
+ */
+export const RELATIONSHIP_EVENTS = {
+  FOLLOWED: "followed",
+  UNFOLLOWED: "unfollowed",
+  REFOLLOWED: "refollowed",
+  USERNAME_CHANGED: "username_changed",
+};
+
+/**
+ * Append an event to a record's relationship history
+ * @param {Object} record - Stored follower/following record
+ * @param {string} type - One of RELATIONSHIP_EVENTS
+ * @param {Object} details - Extra fields to keep with the event
+ */
+function appendEvent(record, type, details = {}) {
+  if (!Array.isArray(record.events)) {
+    record.events = [];
+  }
+  record.events.push({ type, timestamp: Date.now(), ...details });
+}
+
+/**
+ * Set a record's username. A known username that changes is kept in
+ * previousUsernames and logged as an event.
+ * @param {Object} record - Stored follower/following record
+ * @param {string} username - Username from Duolingo
+ * @returns {boolean} Whether the stored username changed
+ */
+function updateRecordUsername(record, username) {
+  if (!username || username === "Unknown" || record.username === username) {
+    return false;
+  }
+
+  const previousUsername = record.username;
+  if (previousUsername && previousUsername !== "Unknown") {
+    appendEvent(record, RELATIONSHIP_EVENTS.USERNAME_CHANGED, {
+      username,
+      previousUsername,
+    });
+    if (!Array.isArray(record.previousUsernames)) {
+      record.previousUsernames = [];
+    }
+    record.previousUsernames.push({
+      username: previousUsername,
+      changedAt: record.events[record.events.length - 1].timestamp,
+    });
+  }
+
+  record.username = username;
+  return true;
+}
+
+/**
+ * Combine the previous usernames of a user's follower and following records
+ * @param {string} currentUsername - Username to leave out
+ * @param {...Object} records - The user's records (missing ones are skipped)
+ * @returns {Array<Object>} Earlier usernames ({ username, changedAt }), oldest first
+ */
+export function mergePreviousUsernames(currentUsername, ...records) {
+  const byUsername = new Map();
+  records
+    .flatMap((record) =>
+      Array.isArray(record?.previousUsernames) ? record.previousUsernames : []
+    )
+    .forEach((entry) => {
+      const known = byUsername.get(entry.username);
+      // Both records log the same change, keep the earliest detection
+      if (!known || entry.changedAt < known.changedAt) {
+        byUsername.set(entry.username, entry);
+      }
+    });
+
+  byUsername.delete(currentUsername);
+  return [...byUsername.values()].sort((a, b) => a.changedAt - b.changedAt);
+}
+
 /**
  * Initialize storage if it doesn't exist
  * @returns {Promise} Promise that resolves when storage is initialized
  */
 async function initializeStorage() {
+  // Bring older data up to the current format (once per page or worker)
+  await ensureStorageMigrated();
+
   const result = await chrome.storage.local.get(["followDates"]);
   if (!result.followDates) {
     await chrome.storage.local.set({
@@ -25,66 +126,6 @@ async function initializeStorage() {
         following: {},
       },
     });
-  } else {
-    // Check if we need to migrate data from old format to new format
-    await migrateDataIfNeeded(result.followDates);
-  }
-}
-
-/**
- * Migrate data from old format (userId: timestamp) to new format (userId: {timestamp, username, isActive})
- * @param {Object} followDates - Current follow dates object
- * @returns {Promise} Promise that resolves when migration is complete
- */
-async function migrateDataIfNeeded(followDates) {
-  let needsMigration = false;
-
-  // Check followers
-  for (const userId in followDates.followers) {
-    if (typeof followDates.followers[userId] === "number") {
-      needsMigration = true;
-      const timestamp = followDates.followers[userId];
-      followDates.followers[userId] = {
-        timestamp: timestamp,
-        username: "Unknown",
-        isActive: true, // Assume existing records are active
-      };
-    } else if (
-      followDates.followers[userId] &&
-      typeof followDates.followers[userId].isActive === "undefined"
-    ) {
-      // Add isActive field to existing object records
-      needsMigration = true;
-      followDates.followers[userId].isActive = true;
-    }
-  }
-
-  // Check following
-  for (const userId in followDates.following) {
-    if (typeof followDates.following[userId] === "number") {
-      needsMigration = true;
-      const timestamp = followDates.following[userId];
-      followDates.following[userId] = {
-        timestamp: timestamp,
-        username: "Unknown",
-        isActive: true, // Assume existing records are active
-      };
-    } else if (
-      followDates.following[userId] &&
-      typeof followDates.following[userId].isActive === "undefined"
-    ) {
-      // Add isActive field to existing object records
-      needsMigration = true;
-      followDates.following[userId].isActive = true;
-    }
-  }
-
-  // Save changes if needed
-  if (needsMigration) {
-    console.log(
-      "Migrating follow dates from old format to new format with isActive field"
-    );
-    await saveFollowDates(followDates);
   }
 }
 
@@ -110,7 +151,8 @@ async function saveFollowDates(followDates) {
 /**
  * Register new followers by comparing old and new lists
  * @param {Array} currentFollowers - Current list of followers
- * @returns {Promise<Array>} Promise that resolves with list of new followers
+ * @returns {Promise<Array>} Promise that resolves with list of new followers, including
+ * former followers who followed you again (with `refollowed: true`)
  */
 export async function registerNewFollowers(currentFollowers) {
   await initializeStorage();
@@ -129,7 +171,11 @@ export async function registerNewFollowers(currentFollowers) {
         timestamp: Date.now(),
         username: follower.username || "Unknown",
         isActive: true,
+        previousUsernames: [],
       };
+      appendEvent(storedFollowers[userId], RELATIONSHIP_EVENTS.FOLLOWED, {
+        username: storedFollowers[userId].username,
+      });
       newFollowers.push({
         ...follower,
         followDate: new Date(storedFollowers[userId].timestamp),
@@ -137,8 +183,15 @@ export async function registerNewFollowers(currentFollowers) {
     } else if (storedFollowers[userId] && !storedFollowers[userId].isActive) {
       // If user was inactive, reactivate them
       storedFollowers[userId].isActive = true;
-      storedFollowers[userId].username =
-        follower.username || storedFollowers[userId].username;
+      updateRecordUsername(storedFollowers[userId], follower.username);
+      appendEvent(storedFollowers[userId], RELATIONSHIP_EVENTS.REFOLLOWED, {
+        username: storedFollowers[userId].username,
+      });
+      newFollowers.push({
+        ...follower,
+        followDate: new Date(storedFollowers[userId].timestamp),
+        refollowed: true,
+      });
     }
   });
 
@@ -151,7 +204,8 @@ export async function registerNewFollowers(currentFollowers) {
 /**
  * Register new people you started following
  * @param {Array} currentFollowing - Current list of people you follow
- * @returns {Promise<Array>} Promise that resolves with list of people you just followed
+ * @returns {Promise<Array>} Promise that resolves with list of people you just followed,
+ * including people you followed again (with `refollowed: true`)
  */
 export async function registerNewFollowing(currentFollowing) {
   await initializeStorage();
@@ -169,7 +223,11 @@ export async function registerNewFollowing(currentFollowing) {
         timestamp: Date.now(),
         username: following.username || "Unknown",
         isActive: true,
+        previousUsernames: [],
       };
+      appendEvent(storedFollowing[userId], RELATIONSHIP_EVENTS.FOLLOWED, {
+        username: storedFollowing[userId].username,
+      });
       newFollowing.push({
         ...following,
         followDate: new Date(storedFollowing[userId].timestamp),
@@ -177,8 +235,15 @@ export async function registerNewFollowing(currentFollowing) {
     } else if (storedFollowing[userId] && !storedFollowing[userId].isActive) {
       // If user was inactive, reactivate them
       storedFollowing[userId].isActive = true;
-      storedFollowing[userId].username =
-        following.username || storedFollowing[userId].username;
+      updateRecordUsername(storedFollowing[userId], following.username);
+      appendEvent(storedFollowing[userId], RELATIONSHIP_EVENTS.REFOLLOWED, {
+        username: storedFollowing[userId].username,
+      });
+      newFollowing.push({
+        ...following,
+        followDate: new Date(storedFollowing[userId].timestamp),
+        refollowed: true,
+      });
     }
   });
 
@@ -201,16 +266,25 @@ export async function registerFollow(userId, username = "Unknown") {
   // Check if user already exists in storage
   if (followDates.following[userId]) {
     // User already exists, just reactivate and update username (preserve original timestamp)
+    const wasInactive = followDates.following[userId].isActive === false;
     followDates.following[userId].isActive = true;
-    followDates.following[userId].username =
-      username || followDates.following[userId].username;
+    updateRecordUsername(followDates.following[userId], username);
+    if (wasInactive) {
+      appendEvent(followDates.following[userId], RELATIONSHIP_EVENTS.REFOLLOWED, {
+        username: followDates.following[userId].username,
+      });
+    }
   } else {
     // New user, register current date for the follow
     followDates.following[userId] = {
       timestamp: Date.now(),
       username: username,
       isActive: true,
+      previousUsernames: [],
     };
+    appendEvent(followDates.following[userId], RELATIONSHIP_EVENTS.FOLLOWED, {
+      username,
+    });
   }
 
   // Save changes
@@ -236,16 +310,25 @@ export async function registerFollower(userId, username = "Unknown") {
   // Check if user already exists in storage
   if (followDates.followers[userId]) {
     // User already exists, just reactivate and update username (preserve original timestamp)
+    const wasInactive = followDates.followers[userId].isActive === false;
     followDates.followers[userId].isActive = true;
-    followDates.followers[userId].username =
-      username || followDates.followers[userId].username;
+    updateRecordUsername(followDates.followers[userId], username);
+    if (wasInactive) {
+      appendEvent(followDates.followers[userId], RELATIONSHIP_EVENTS.REFOLLOWED, {
+        username: followDates.followers[userId].username,
+      });
+    }
   } else {
     // New user, register current date for the follower
     followDates.followers[userId] = {
       timestamp: Date.now(),
       username: username,
       isActive: true,
+      previousUsernames: [],
     };
+    appendEvent(followDates.followers[userId], RELATIONSHIP_EVENTS.FOLLOWED, {
+      username,
+    });
   }
 
   // Save changes
@@ -267,9 +350,15 @@ export async function removeFollowing(userId) {
   await initializeStorage();
   const followDates = await getFollowDates();
 
-  // Mark as inactive instead of removing
-  if (followDates.following[userId]) {
+  // Mark as inactive instead of removing (only log the first unfollow)
+  if (
+    followDates.following[userId] &&
+    followDates.following[userId].isActive !== false
+  ) {
     followDates.following[userId].isActive = false;
+    appendEvent(followDates.following[userId], RELATIONSHIP_EVENTS.UNFOLLOWED, {
+      username: followDates.following[userId].username,
+    });
   }
 
   // Save changes
@@ -285,9 +374,15 @@ export async function removeFollower(userId) {
   await initializeStorage();
   const followDates = await getFollowDates();
 
-  // Mark as inactive instead of removing
-  if (followDates.followers[userId]) {
+  // Mark as inactive instead of removing (only log the first unfollow)
+  if (
+    followDates.followers[userId] &&
+    followDates.followers[userId].isActive !== false
+  ) {
     followDates.followers[userId].isActive = false;
+    appendEvent(followDates.followers[userId], RELATIONSHIP_EVENTS.UNFOLLOWED, {
+      username: followDates.followers[userId].username,
+    });
   }
 
   // Save changes
@@ -348,6 +443,7 @@ export async function getAllFollowDates() {
         date: new Date(data.timestamp),
         username: data.username || "Unknown",
         isActive: data.isActive !== undefined ? data.isActive : true,
+        previousUsernames: data.previousUsernames || [],
       };
     } else if (typeof data === "number") {
       // Handle legacy data format (only timestamp)
@@ -366,6 +462,7 @@ export async function getAllFollowDates() {
         date: new Date(data.timestamp),
         username: data.username || "Unknown",
         isActive: data.isActive !== undefined ? data.isActive : true,
+        previousUsernames: data.previousUsernames || [],
       };
     } else if (typeof data === "number") {
       // Handle legacy data format (only timestamp)
@@ -380,6 +477,58 @@ export async function getAllFollowDates() {
   return result;
 }
 
+// In-memory copy of getAllFollowDates for this page, see getFollowDateIndex
+let followDateIndexPromise = null;
+let followDateIndexListening = false;
+
+/**
+ * Get all follow dates from an in-memory index, so rendering many cards
+ * doesn't read storage once per card. The index is loaded once per page and
+ * dropped whenever followDates changes in storage.
+ *
+ * The returned object is shared, callers must not modify it.
+ * @returns {Promise<Object>} Promise that resolves with the same shape as getAllFollowDates
+ */
+export function getFollowDateIndex() {
+  if (!followDateIndexListening) {
+    followDateIndexListening = true;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes.followDates) {
+        followDateIndexPromise = null;
+      }
+    });
+  }
+
+  if (!followDateIndexPromise) {
+    const promise = getAllFollowDates();
+    followDateIndexPromise = promise;
+
+    // Don't keep a failed load, the next call tries again
+    promise.catch(() => {
+      if (followDateIndexPromise === promise) {
+        followDateIndexPromise = null;
+      }
+    });
+  }
+
+  return followDateIndexPromise;
+}
+
+/**
+ * Get when a record became inactive, based on its most recent unfollow event
+ * @param {Object} data - Stored follower/following record
+ * @returns {Date|null} Date the unfollow was detected, or null for records without one
+ */
+function getInactiveSince(data) {
+  const events = Array.isArray(data.events) ? data.events : [];
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (events[i].type === RELATIONSHIP_EVENTS.UNFOLLOWED) {
+      return new Date(events[i].timestamp);
+    }
+  }
+  return null;
+}
+
 /**
  * Get only inactive users (both followers and following)
  * @returns {Promise<Object>} Promise that resolves with inactive users data
@@ -398,6 +547,7 @@ export async function getInactiveUsers() {
       result.followers[userId] = {
         userId: userId,
         date: new Date(data.timestamp),
+        inactiveSince: getInactiveSince(data),
         username: data.username || "Unknown",
         isActive: false,
         relationshipType: "follower",
@@ -411,6 +561,7 @@ export async function getInactiveUsers() {
       result.following[userId] = {
         userId: userId,
         date: new Date(data.timestamp),
+        inactiveSince: getInactiveSince(data),
         username: data.username || "Unknown",
         isActive: false,
         relationshipType: "following",
@@ -421,6 +572,83 @@ export async function getInactiveUsers() {
   return result;
 }
 
+/**
+ * Get the full relationship timeline for a user (both directions)
+ * @param {number|string} userId - ID of the user
+ * @returns {Promise<Array>} Promise that resolves with events sorted from oldest to newest,
+ * each tagged with the relationshipType ("follower" or "following") it belongs to
+ */
+export async function getRelationshipHistory(userId) {
+  const followDates = await getFollowDates();
+  const timeline = [];
+
+  [
+    ["follower", followDates.followers[userId]],
+    ["following", followDates.following[userId]],
+  ].forEach(([relationshipType, data]) => {
+    if (data && Array.isArray(data.events)) {
+      data.events.forEach((event) => {
+        timeline.push({ ...event, relationshipType });
+      });
+    }
+  });
+
+  return timeline.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Summarize one direction of a relationship for lookups
+function describeRecord(data) {
+  if (!data || typeof data !== "object") return null;
+  const inactiveSince = data.isActive === false ? getInactiveSince(data) : null;
+  return {
+    isActive: data.isActive !== false,
+    since: data.timestamp,
+    inactiveSince: inactiveSince ? inactiveSince.getTime() : null,
+  };
+}
+
+/**
+ * Find a stored user by username, including the usernames they had before
+ * @param {string} username - Username to look for (case-insensitive)
+ * @returns {Promise<Object|null>} Promise that resolves with { userId, username, follower, following, previousUsernames, notes },
+ * or null if no stored record matches
+ */
+export async function lookupUserByUsername(username) {
+  // The username index resolves the ID without scanning every record. It is
+  // only missing before the service worker first builds it.
+  const stored = await chrome.storage.local.get([USERNAME_INDEX_KEY]);
+  const usernameIndex =
+    stored[USERNAME_INDEX_KEY] || buildUsernameIndex(await getFollowDates());
+  const entry = usernameIndex[username.toLowerCase()];
+  if (!entry) return null;
+
+  const [followDates, userNotes] = await Promise.all([
+    getFollowDates(),
+    getUserNotes(),
+  ]);
+  const follower = followDates.followers[entry.userId];
+  const following = followDates.following[entry.userId];
+  if (!follower && !following) return null;
+
+  const currentUsername =
+    [follower, following].find(
+      (record) => record && record.username !== "Unknown"
+    )?.username || "Unknown";
+
+  return {
+    userId: entry.userId,
+    username: currentUsername,
+    follower: describeRecord(follower),
+    following: describeRecord(following),
+    previousUsernames: mergePreviousUsernames(
+      currentUsername,
+      follower,
+      following
+    ),
+    notes: userNotes[entry.userId] || null,
+  };
+}
+
 /**
  * Sync storage with current list of people you follow
  * This marks people you no longer follow as inactive instead of removing them
@@ -440,11 +668,15 @@ export async function syncFollowingStorage(currentFollowing) {
 
   // Find people in storage that are no longer in your following list
   const inactivatedFollowing = [];
+  let reactivatedRecords = 0;
   Object.keys(storedFollowing).forEach((userId) => {
     if (!currentFollowingMap.has(userId)) {
       // Found someone you no longer follow
       if (storedFollowing[userId].isActive !== false) {
-        // Only add to list if it wasn't already inactive
+        // Only add to list (and log the unfollow) if it wasn't already inactive
+        appendEvent(storedFollowing[userId], RELATIONSHIP_EVENTS.UNFOLLOWED, {
+          username: storedFollowing[userId].username,
+        });
         inactivatedFollowing.push({
           userId,
           timestamp: storedFollowing[userId].timestamp,
@@ -457,6 +689,12 @@ export async function syncFollowingStorage(currentFollowing) {
       storedFollowing[userId].isActive = false;
     } else {
       // User is still being followed, make sure they're marked as active
+      if (storedFollowing[userId].isActive === false) {
+        appendEvent(storedFollowing[userId], RELATIONSHIP_EVENTS.REFOLLOWED, {
+          username: storedFollowing[userId].username,
+        });
+        reactivatedRecords++;
+      }
       storedFollowing[userId].isActive = true;
     }
   });
@@ -467,14 +705,8 @@ export async function syncFollowingStorage(currentFollowing) {
   // For each current following user, update username if necessary
   currentFollowing.forEach((user) => {
     if (user.userId && user.username && storedFollowing[user.userId]) {
-      // Check if username is missing or different
-      if (
-        !storedFollowing[user.userId].username ||
-        storedFollowing[user.userId].username === "Unknown" ||
-        storedFollowing[user.userId].username !== user.username
-      ) {
-        // Update username
-        storedFollowing[user.userId].username = user.username;
+      // Keeps the old username in the record's history
+      if (updateRecordUsername(storedFollowing[user.userId], user.username)) {
         updatedUsernames++;
       }
       // Make sure active users are marked as active
@@ -482,8 +714,12 @@ export async function syncFollowingStorage(currentFollowing) {
     }
   });
 
-  // Save changes if any updates were made or records inactivated
-  if (inactivatedFollowing.length > 0 || updatedUsernames > 0) {
+  // Save changes if any updates were made or records changed state
+  if (
+    inactivatedFollowing.length > 0 ||
+    reactivatedRecords > 0 ||
+    updatedUsernames > 0
+  ) {
     await saveFollowDates(followDates);
   }
 
@@ -512,11 +748,15 @@ export async function syncFollowersStorage(currentFollowers) {
 
   // Find people in storage that are no longer in your followers list
   const inactivatedFollowers = [];
+  let reactivatedRecords = 0;
   Object.keys(storedFollowers).forEach((userId) => {
     if (!currentFollowersMap.has(userId)) {
       // Found someone who no longer follows you
       if (storedFollowers[userId].isActive !== false) {
-        // Only add to list if it wasn't already inactive
+        // Only add to list (and log the unfollow) if it wasn't already inactive
+        appendEvent(storedFollowers[userId], RELATIONSHIP_EVENTS.UNFOLLOWED, {
+          username: storedFollowers[userId].username,
+        });
         inactivatedFollowers.push({
           userId,
           timestamp: storedFollowers[userId].timestamp,
@@ -529,6 +769,12 @@ export async function syncFollowersStorage(currentFollowers) {
       storedFollowers[userId].isActive = false;
     } else {
       // User is still following, make sure they're marked as active
+      if (storedFollowers[userId].isActive === false) {
+        appendEvent(storedFollowers[userId], RELATIONSHIP_EVENTS.REFOLLOWED, {
+          username: storedFollowers[userId].username,
+        });
+        reactivatedRecords++;
+      }
       storedFollowers[userId].isActive = true;
     }
   });
@@ -539,14 +785,8 @@ export async function syncFollowersStorage(currentFollowers) {
   // For each current follower, update username if necessary
   currentFollowers.forEach((user) => {
     if (user.userId && user.username && storedFollowers[user.userId]) {
-      // Check if username is missing or different
-      if (
-        !storedFollowers[user.userId].username ||
-        storedFollowers[user.userId].username === "Unknown" ||
-        storedFollowers[user.userId].username !== user.username
-      ) {
-        // Update username
-        storedFollowers[user.userId].username = user.username;
+      // Keeps the old username in the record's history
+      if (updateRecordUsername(storedFollowers[user.userId], user.username)) {
         updatedUsernames++;
       }
       // Make sure active followers are marked as active
@@ -554,8 +794,12 @@ export async function syncFollowersStorage(currentFollowers) {
     }
   });
 
-  // Save changes if any updates were made or records inactivated
-  if (inactivatedFollowers.length > 0 || updatedUsernames > 0) {
+  // Save changes if any updates were made or records changed state
+  if (
+    inactivatedFollowers.length > 0 ||
+    reactivatedRecords > 0 ||
+    updatedUsernames > 0
+  ) {
     await saveFollowDates(followDates);
   }
 
@@ -564,3 +808,116 @@ export async function syncFollowersStorage(currentFollowers) {
     updatedUsernames: updatedUsernames,
   };
 }
+
+/**
+ * Get the safelist of users that are never suggested for unfollow
+ * @returns {Promise<Object>} Promise that resolves with the safelist object keyed by userId
+ */
+export async function getSafelist() {
+  const result = await chrome.storage.local.get(["safelist"]);
+  return result.safelist || {};
+}
+
+/**
+ * Add a user to the safelist
+ * @param {number} userId - ID of the user
+ * @param {string} username - Username of the user
+ * @returns {Promise<Object>} Promise that resolves with the updated safelist
+ */
+export async function addToSafelist(userId, username = "Unknown") {
+  const safelist = await getSafelist();
+  safelist[userId] = { username, addedAt: Date.now() };
+  await chrome.storage.local.set({ safelist });
+  return safelist;
+}
+
+/**
+ * Remove a user from the safelist
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object>} Promise that resolves with the updated safelist
+ */
+export async function removeFromSafelist(userId) {
+  const safelist = await getSafelist();
+  delete safelist[userId];
+  await chrome.storage.local.set({ safelist });
+  return safelist;
+}
+
+/**
+ * Colours a tag can have, keyed by the name stored with the tag
+ */
+export const TAG_COLORS = {
+  green: "#58cc02",
+  blue: "#1cb0f6",
+  orange: "#ff9600",
+  purple: "#ce82ff",
+  red: "#ff4b4b",
+  gray: "#777777",
+};
+
+const DEFAULT_TAG_COLOR = "gray";
+
+/**
+ * Trim tag names, drop empty and duplicate tags (ignoring case) and replace
+ * unknown colours. Semicolons are removed from names, they separate the tags
+ * in CSV exports.
+ * @param {Array} tags - Tags ({ name, color })
+ * @returns {Array} The cleaned tags
+ */
+export function normalizeTags(tags = []) {
+  const seen = new Set();
+  const normalized = [];
+  tags.forEach((tag) => {
+    const name = String(tag?.name || "")
+      .replace(/;/g, "")
+      .trim();
+    if (!name || seen.has(name.toLowerCase())) return;
+    seen.add(name.toLowerCase());
+    normalized.push({
+      name,
+      color: TAG_COLORS[tag.color] ? tag.color : DEFAULT_TAG_COLOR,
+    });
+  });
+  return normalized;
+}
+
+/**
+ * Get the private notes and tags of all users
+ * @returns {Promise<Object>} Promise that resolves with the notes object keyed by userId
+ */
+export async function getUserNotes() {
+  const result = await chrome.storage.local.get(["userNotes"]);
+  return result.userNotes || {};
+}
+
+/**
+ * Save the private note and tags of a user. Users left without a note and
+ * tags are removed.
+ * @param {number} userId - ID of the user
+ * @param {Object} entry - { note, tags: [{ name, color }] }
+ * @param {string} username - Username of the user
+ * @returns {Promise<Object>} Promise that resolves with the updated notes object
+ */
+export async function saveUserNote(
+  userId,
+  { note = "", tags = [] },
+  username = "Unknown"
+) {
+  const userNotes = await getUserNotes();
+  const trimmedNote = note.trim();
+  const normalizedTags = normalizeTags(tags);
+
+  if (!trimmedNote && normalizedTags.length === 0) {
+    delete userNotes[userId];
+  } else {
+    userNotes[userId] = {
+      note: trimmedNote,
+      tags: normalizedTags,
+      username,
+      updatedAt: Date.now(),
+    };
+  }
+
+  await chrome.storage.local.set({ userNotes });
+  return userNotes;
+}
@@ -0,0 +1,265 @@
+/**
+ * Options page: edits the settings in utils/settings.js. Every change is
+ * saved right away and picked up by the other pages, the service worker and
+ * the content scripts through storage change events.
+ */
+
+import {
+  DEFAULT_SETTINGS,
+  SETTING_LIMITS,
+  PROFILE_BADGE_LABELS,
+  getSettings,
+  updateSettings,
+  onSettingsChanged,
+} from "./utils/settings.js";
+
+// Settings shown on the page, by section. The input type follows the type of
+// the default value.
+const OPTION_SECTIONS = [
+  {
+    title: "Background sync",
+    fields: [
+      { key: "backgroundSync", label: "Sync in the background" },
+      {
+        key: "feedNotifications",
+        label: "Notify me when a background sync finds new or lost followers",
+      },
+    ],
+  },
+  {
+    title: "Requests to Duolingo",
+    fields: [
+      {
+        key: "requestIntervalMs",
+        label: "Pause between requests",
+        unit: "ms",
+      },
+      { key: "retryAttempts", label: "Attempts per failed request" },
+      {
+        key: "userDetailsCacheHours",
+        label: "Reuse fetched user details for",
+        unit: "hours",
+      },
+      {
+        key: "userDetailsCacheSize",
+        label: "User details kept in memory",
+        unit: "users",
+      },
+      {
+        key: "preloadUserDetailsCount",
+        label: "User details fetched ahead of time",
+        unit: "users",
+      },
+    ],
+  },
+  {
+    title: "Storage",
+    fields: [
+      { key: "compressUserDetails", label: "Compress stored user details" },
+      {
+        key: "storageWarningPercent",
+        label: "Warn when storage usage passes",
+        unit: "%",
+      },
+      {
+        key: "autoPruneStorage",
+        label: "Prune automatically when usage passes the warning threshold",
+      },
+      {
+        key: "pruneUserDetailsDays",
+        label: "Drop user details not refreshed for",
+        unit: "days (0 = never)",
+      },
+      {
+        key: "collapseInactiveDays",
+        label: "Shorten the history of users inactive for",
+        unit: "days (0 = never)",
+      },
+      {
+        key: "maxBackups",
+        label: "Backups kept when pruning",
+        unit: "(0 = all)",
+      },
+      {
+        key: "backupRetentionDays",
+        label: "Delete backups older than",
+        unit: "days",
+      },
+    ],
+  },
+];
+
+// Show a short confirmation next to the input that was saved
+function showStatus(element, text) {
+  element.textContent = text;
+  clearTimeout(element.hideTimeout);
+  element.hideTimeout = setTimeout(() => {
+    element.textContent = "";
+  }, 2000);
+}
+
+// Save a change and show the value as it was stored (numbers get clamped)
+async function saveSetting(changes, status) {
+  try {
+    const settings = await updateSettings(changes);
+    fillInputs(settings);
+    showStatus(status, "Saved");
+  } catch (error) {
+    console.error("Error saving settings:", error);
+    showStatus(status, "Error saving, please try again");
+    fillInputs(await getSettings());
+  }
+}
+
+function createField({ key, label, unit }) {
+  const row = document.createElement("label");
+  row.className = "option-row";
+
+  const input = document.createElement("input");
+  input.dataset.setting = key;
+
+  const status = document.createElement("span");
+  status.className = "option-status";
+
+  if (typeof DEFAULT_SETTINGS[key] === "boolean") {
+    input.type = "checkbox";
+    row.append(input, label, status);
+    input.addEventListener("change", () =>
+      saveSetting({ [key]: input.checked }, status)
+    );
+    return row;
+  }
+
+  const { min, max } = SETTING_LIMITS[key];
+  input.type = "number";
+  input.min = min;
+  input.max = max;
+  input.step = 1;
+
+  const labelText = document.createElement("span");
+  labelText.className = "option-label";
+  labelText.textContent = label;
+  row.append(labelText, input, unit || "", status);
+
+  input.addEventListener("change", () => {
+    const value = Number(input.value);
+    if (input.value === "" || !Number.isFinite(value)) {
+      getSettings().then(fillInputs);
+      return;
+    }
+    saveSetting({ [key]: value }, status);
+  });
+  return row;
+}
+
+// Rows with an on/off toggle and a colour for every profile badge type
+function createBadgeFields() {
+  const list = document.createElement("div");
+
+  Object.entries(PROFILE_BADGE_LABELS).forEach(([type, label]) => {
+    const row = document.createElement("div");
+    row.className = "option-row";
+
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.dataset.badge = type;
+    toggle.title = "Show this badge";
+
+    const colorInput = document.createElement("input");
+    colorInput.type = "color";
+    colorInput.dataset.badgeColor = type;
+    colorInput.title = "Badge colour";
+
+    const labelText = document.createElement("span");
+    labelText.className = "option-label";
+    labelText.textContent = label;
+
+    const status = document.createElement("span");
+    status.className = "option-status";
+
+    row.append(toggle, colorInput, labelText, status);
+    list.appendChild(row);
+
+    toggle.addEventListener("change", async () => {
+      const { profileBadges } = await getSettings();
+      saveSetting(
+        { profileBadges: { ...profileBadges, [type]: toggle.checked } },
+        status
+      );
+    });
+    colorInput.addEventListener("change", async () => {
+      const { badgeColors } = await getSettings();
+      saveSetting(
+        { badgeColors: { ...badgeColors, [type]: colorInput.value } },
+        status
+      );
+    });
+  });
+
+  return list;
+}
+
+// Show the current settings, leaving the input being edited alone
+function fillInputs(settings) {
+  document.querySelectorAll("[data-setting]").forEach((input) => {
+    if (input === document.activeElement && input.type === "number") return;
+
+    const value = settings[input.dataset.setting];
+    if (input.type === "checkbox") {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+  });
+
+  document.querySelectorAll("[data-badge]").forEach((input) => {
+    input.checked = settings.profileBadges[input.dataset.badge];
+  });
+  document.querySelectorAll("[data-badge-color]").forEach((input) => {
+    input.value = settings.badgeColors[input.dataset.badgeColor];
+  });
+}
+
+function renderOptions() {
+  const container = document.getElementById("options");
+
+  OPTION_SECTIONS.forEach(({ title, fields }) => {
+    const section = document.createElement("section");
+    section.className = "options-section";
+    const heading = document.createElement("h2");
+    heading.textContent = title;
+    section.appendChild(heading);
+    fields.forEach((field) => section.appendChild(createField(field)));
+    container.appendChild(section);
+  });
+
+  const badgeSection = document.createElement("section");
+  badgeSection.className = "options-section";
+  badgeSection.innerHTML = `
+    <h2>Profile badges</h2>
+    <p>Badges shown next to the username on Duolingo profile pages.</p>
+  `;
+  badgeSection.appendChild(createBadgeFields());
+  container.appendChild(badgeSection);
+}
+
+// Put every setting shown here back to its default
+async function restoreDefaults() {
+  if (!confirm("Restore all settings on this page to their defaults?")) return;
+
+  // Not edited here, so not reset either
+  const { csvColumns, ...defaults } = DEFAULT_SETTINGS;
+  saveSetting(defaults, document.getElementById("restore-status"));
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  renderOptions();
+  fillInputs(await getSettings());
+
+  document
+    .getElementById("restore-defaults")
+    .addEventListener("click", restoreDefaults);
+
+  // Changes made in the storage viewer or another options tab
+  onSettingsChanged(fillInputs);
+});
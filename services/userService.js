@@ -1,3 +1,12 @@
+import {
+  getSafelist,
+  addToSafelist,
+  removeFromSafelist,
+  getUserNotes,
+  saveUserNote,
+} from "../follow_date_manager.js";
+import { getSettings } from "../utils/settings.js";
+
 // Local cache to store user details
 export const userDetailsCache = new Map();
 
@@ -5,9 +14,14 @@ export const userDetailsCache = new Map();
  * Preload user details in the background
  *
  * @param {Array} users - List of users to preload details for
- * @param {number} maxPreload - Maximum number of users to preload (default: 10)
+ * @param {number} [maxPreload] - Maximum number of users to preload (default:
+ * the preloadUserDetailsCount setting)
  */
-export async function preloadUserDetails(users, maxPreload = 10) {
+export async function preloadUserDetails(users, maxPreload) {
+  if (maxPreload === undefined) {
+    ({ preloadUserDetailsCount: maxPreload } = await getSettings());
+  }
+
   // Limit the number of preloads to not overload the API
   const usersToPreload = users.slice(0, maxPreload);
 
@@ -40,8 +54,23 @@ export async function preloadUserDetails(users, maxPreload = 10) {
   }
 }
 
+// Users of the Following tab, counted by the not following back counter
+let followingUsers = [];
+
+/**
+ * Set the users counted by the not following back counter
+ *
+ * @param {Array} users - Users in the Following list
+ */
+export function setFollowingUsers(users) {
+  followingUsers = users;
+}
+
 /**
  * Update the counter of users who don't follow back
+ *
+ * Counted from the user data rather than the rendered cards, since the list
+ * only mounts the visible cards.
  */
 export function updateNotFollowingBackCounter() {
   const followingContainer = document.getElementById("following-container");
@@ -56,8 +85,11 @@ export function updateNotFollowingBackCounter() {
   }
 
   // Count users not following back
-  const notFollowingBack = followingContainer.querySelectorAll(
-    ".not-following-back"
+  const notFollowingBack = followingUsers.filter(
+    (user) =>
+      user.isFollowing &&
+      !user.isFollowedBy &&
+      !safelistedUserIds.has(user.userId)
   ).length;
   if (notFollowingBack > 0) {
     const counter = document.createElement("div");
@@ -117,3 +149,199 @@ export async function getUserDetails(userId) {
     throw error;
   }
 }
+
+// Follow/unfollow operations waiting in the background offline queue,
+// keyed by queue ID. Cards register callbacks to hear how they end.
+export const pendingOperations = new Map();
+
+/**
+ * Load the operations currently in the background offline queue
+ */
+export async function loadPendingOperations() {
+  const response = await new Promise((resolve) =>
+    chrome.runtime.sendMessage({ action: "getOfflineQueueStatus" }, resolve)
+  );
+
+  pendingOperations.clear();
+  if (response && response.operations) {
+    response.operations.forEach((operation) => {
+      pendingOperations.set(operation.id, {
+        type: operation.type,
+        targetUserId: operation.targetUserId,
+      });
+    });
+  }
+}
+
+/**
+ * Find the queued operation for a user, if any
+ *
+ * @param {string|number} userId - The target user ID
+ * @returns {Object|null} The pending operation with its queue ID
+ */
+export function getPendingOperation(userId) {
+  for (const [queueId, operation] of pendingOperations) {
+    if (String(operation.targetUserId) === String(userId)) {
+      return { queueId, ...operation };
+    }
+  }
+  return null;
+}
+
+/**
+ * Ask the background to drop a queued operation
+ *
+ * @param {string} queueId - The queue ID of the operation
+ * @returns {Promise<Object>} The background response
+ */
+export async function cancelQueuedOperation(queueId) {
+  const response = await new Promise((resolve) =>
+    chrome.runtime.sendMessage(
+      { action: "cancelQueuedOperation", queueId },
+      resolve
+    )
+  );
+
+  if (response && response.success) {
+    pendingOperations.delete(queueId);
+  }
+  return response;
+}
+
+/**
+ * Handle an offlineQueueUpdate message from the background
+ *
+ * @param {Object} message - The update ({ event, queueId, type, targetUserId, followInfo, error })
+ */
+export function handleOfflineQueueUpdate(message) {
+  if (message.event === "enqueued" || message.event === "retrying") {
+    if (!pendingOperations.has(message.queueId)) {
+      pendingOperations.set(message.queueId, {
+        type: message.type,
+        targetUserId: message.targetUserId,
+      });
+    }
+    return;
+  }
+
+  // completed, failed or cancelled: the operation left the queue
+  const operation = pendingOperations.get(message.queueId);
+  pendingOperations.delete(message.queueId);
+
+  if (operation && operation.onSettled) {
+    operation.onSettled(message);
+  }
+}
+
+// User IDs selected for bulk actions on the Following tab
+export const selectedUserIds = new Set();
+const selectionListeners = new Set();
+
+/**
+ * Select or unselect a user for bulk actions
+ *
+ * @param {string|number} userId - The user ID
+ * @param {boolean} selected - Whether the user should be selected
+ */
+export function setUserSelected(userId, selected) {
+  if (selected) {
+    selectedUserIds.add(userId);
+  } else {
+    selectedUserIds.delete(userId);
+  }
+  selectionListeners.forEach((callback) => callback(selectedUserIds));
+}
+
+/**
+ * Listen for changes to the bulk selection
+ *
+ * @param {Function} callback - Called with the selected user IDs
+ */
+export function onSelectionChange(callback) {
+  selectionListeners.add(callback);
+}
+
+// User IDs on the safelist, never suggested for unfollow
+export const safelistedUserIds = new Set();
+
+/**
+ * Load the safelist from storage
+ */
+export async function loadSafelist() {
+  const safelist = await getSafelist();
+  safelistedUserIds.clear();
+  Object.keys(safelist).forEach((userId) =>
+    safelistedUserIds.add(Number(userId))
+  );
+}
+
+/**
+ * Add a user to or remove them from the safelist
+ *
+ * @param {Object} user - User data
+ * @param {boolean} safelisted - Whether the user should be safelisted
+ */
+export async function setUserSafelisted(user, safelisted) {
+  if (safelisted) {
+    await addToSafelist(user.userId, user.username);
+    safelistedUserIds.add(user.userId);
+    // Safelisted users can't be part of a bulk unfollow
+    setUserSelected(user.userId, false);
+  } else {
+    await removeFromSafelist(user.userId);
+    safelistedUserIds.delete(user.userId);
+  }
+}
+
+// Private notes and tags by user ID ({ note, tags, username, updatedAt })
+export const userNotes = new Map();
+const userNotesListeners = new Set();
+
+/**
+ * Load the private notes and tags from storage
+ */
+export async function loadUserNotes() {
+  const notes = await getUserNotes();
+  userNotes.clear();
+  Object.entries(notes).forEach(([userId, entry]) =>
+    userNotes.set(Number(userId), entry)
+  );
+}
+
+/**
+ * Save the private note and tags of a user
+ *
+ * @param {Object} user - User data
+ * @param {Object} entry - { note, tags: [{ name, color }] }
+ */
+export async function setUserNote(user, entry) {
+  const notes = await saveUserNote(user.userId, entry, user.username);
+  if (notes[user.userId]) {
+    userNotes.set(user.userId, notes[user.userId]);
+  } else {
+    userNotes.delete(user.userId);
+  }
+  userNotesListeners.forEach((callback) => callback(user.userId));
+}
+
+/**
+ * Get every tag in use, with the colour it was last given
+ *
+ * @returns {Array} Tags ({ name, color }) sorted by name
+ */
+export function getKnownTags() {
+  const tags = new Map();
+  userNotes.forEach((entry) =>
+    entry.tags.forEach((tag) => tags.set(tag.name.toLowerCase(), tag))
+  );
+  return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Listen for changes to the notes and tags
+ *
+ * @param {Function} callback - Called with the ID of the changed user
+ */
+export function onUserNotesChange(callback) {
+  userNotesListeners.add(callback);
+}
@@ -2,6 +2,35 @@
  * Script to view and manage extension storage data
  */
 
+import { getGrowthStats, summarizeGrowth } from "./utils/growthAnalytics.js";
+import { getSettings, updateSettings } from "./utils/settings.js";
+import {
+  loadCsvData,
+  buildCsvRows,
+  toCsv,
+  downloadCsv,
+} from "./utils/csvExport.js";
+import { showCsvExportDialog } from "./ui/csvExportDialog.js";
+import {
+  IMPORT_MODES,
+  CONFLICT_POLICY_LABELS,
+  parseImportFile,
+  planImport,
+} from "./utils/dataImport.js";
+import { dataPersistence } from "./utils/offlineSupport.js";
+import {
+  unpackUserDetails,
+  saveStoredUserDetails,
+  updateStoredUserDetails,
+} from "./utils/userDetailsStorage.js";
+import {
+  getStorageUsage,
+  pruneStorage,
+  formatBytes,
+} from "./utils/storageManager.js";
+import { showImportWizard } from "./ui/importWizardDialog.js";
+import { TAG_COLORS, mergePreviousUsernames } from "./follow_date_manager.js";
+
 // Global variable to store current sort state
 let currentSort = {
   column: "timestamp", // Default sort by timestamp
@@ -18,6 +47,7 @@ let currentFilters = {
   streakTo: null,
   xpFrom: null,
   xpTo: null,
+  tag: "all",
 };
 
 // Function to format a date as a readable string
@@ -28,15 +58,64 @@ function formatDate(timestamp) {
   return `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
 }
 
+// Function to build the filterable data of a user from both lists
+function buildUserData(userId, followDates, userDetails, userNotes = {}) {
+  const followingData = followDates.following[userId];
+  const followerData = followDates.followers[userId];
+  const details = userDetails[userId] || {};
+  const notes = userNotes[userId] || {};
+  const username =
+    (followingData && followingData.username) ||
+    (followerData && followerData.username) ||
+    "Unknown";
+
+  return {
+    userId,
+    username,
+    previousUsernames: mergePreviousUsernames(
+      username,
+      followingData,
+      followerData
+    ),
+    following: !!followingData,
+    follower: !!followerData,
+    followingActive: followingData ? followingData.isActive !== false : false,
+    followerActive: followerData ? followerData.isActive !== false : false,
+    timestamp: Math.max(
+      followingData
+        ? typeof followingData === "object"
+          ? followingData.timestamp
+          : followingData
+        : 0,
+      followerData
+        ? typeof followerData === "object"
+          ? followerData.timestamp
+          : followerData
+        : 0
+    ),
+    followersCount: details.followersCount || 0,
+    followingCount: details.followingCount || 0,
+    streak: details.streak !== undefined ? details.streak : -1,
+    totalXp: details.totalXp || 0,
+    plus: details.hasPlus || false,
+    lastUpdated: details.lastUpdated || 0,
+    tags: notes.tags || [],
+    note: notes.note || "",
+    details,
+  };
+}
+
 // Function to display storage data
 async function displayStorageData() {
   try {
     const result = await chrome.storage.local.get([
       "followDates",
       "userDetails",
+      "userNotes",
     ]);
     const followDates = result.followDates || { followers: {}, following: {} };
-    const userDetails = result.userDetails || {};
+    const userDetails = await unpackUserDetails(result.userDetails);
+    const userNotes = result.userNotes || {};
 
     const container = document.getElementById("storage-data");
     if (!container) return;
@@ -59,45 +138,9 @@ async function displayStorageData() {
     countInfo.className = "storage-counts";
 
     // Get filtered count if filters are active
-    const usersArray = Array.from(uniqueUsers).map((userId) => {
-      const followingData = followDates.following[userId];
-      const followerData = followDates.followers[userId];
-      const details = userDetails[userId] || {};
-      const username =
-        (followingData && followingData.username) ||
-        (followerData && followerData.username) ||
-        "Unknown";
-
-      return {
-        userId,
-        username,
-        following: !!followingData,
-        follower: !!followerData,
-        followingActive: followingData
-          ? followingData.isActive !== false
-          : false,
-        followerActive: followerData ? followerData.isActive !== false : false,
-        timestamp: Math.max(
-          followingData
-            ? typeof followingData === "object"
-              ? followingData.timestamp
-              : followingData
-            : 0,
-          followerData
-            ? typeof followerData === "object"
-              ? followerData.timestamp
-              : followerData
-            : 0
-        ),
-        followersCount: details.followersCount || 0,
-        followingCount: details.followingCount || 0,
-        streak: details.streak !== undefined ? details.streak : -1,
-        totalXp: details.totalXp || 0,
-        plus: details.hasPlus || false,
-        lastUpdated: details.lastUpdated || 0,
-        details,
-      };
-    });
+    const usersArray = Array.from(uniqueUsers).map((userId) =>
+      buildUserData(userId, followDates, userDetails, userNotes)
+    );
 
     const filteredUsers = usersArray.filter(applyFilters);
     const followingCount = Object.keys(followDates.following).length;
@@ -195,14 +238,28 @@ async function displayStorageData() {
           </div>
         </div>
         <div class="filter-group">
-          <label>&nbsp;</label>
-          <div class="filter-group-row">
-            <!-- Placeholder for future filters -->
-          </div>
+          <label>Tag</label>
+          <select id="tag-filter">
+            <option value="all">All Users</option>
+          </select>
         </div>
       </div>
     `;
 
+    // Tags in use, plus the filtered one if it's no longer used
+    const tagNames = new Set();
+    Object.values(userNotes).forEach((entry) =>
+      (entry.tags || []).forEach((tag) => tagNames.add(tag.name))
+    );
+    if (currentFilters.tag !== "all") tagNames.add(currentFilters.tag);
+    const tagSelect = filtersSection.querySelector("#tag-filter");
+    [...tagNames].sort().forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      tagSelect.appendChild(option);
+    });
+
     // Add event listeners for filter buttons
     filtersSection
       .querySelector("#apply-filters")
@@ -221,6 +278,7 @@ async function displayStorageData() {
       currentFilters.followStatus;
     filtersSection.querySelector("#plus-status").value =
       currentFilters.plusStatus;
+    tagSelect.value = currentFilters.tag;
     if (currentFilters.streakFrom)
       filtersSection.querySelector("#streak-from").value =
         currentFilters.streakFrom;
@@ -239,7 +297,12 @@ async function displayStorageData() {
     // Create merged table if there's data
     if (uniqueUsers.size > 0) {
       container.appendChild(
-        createDataTable("User Relationships", followDates, userDetails)
+        createDataTable(
+          "User Relationships",
+          followDates,
+          userDetails,
+          userNotes
+        )
       );
     } else {
       const emptyMessage = document.createElement("p");
@@ -258,7 +321,7 @@ async function displayStorageData() {
 }
 
 // Function to create a table with data
-function createDataTable(title, followDates, userDetails) {
+function createDataTable(title, followDates, userDetails, userNotes) {
   const section = document.createElement("div");
   section.className = "storage-section";
 
@@ -286,6 +349,7 @@ function createDataTable(title, followDates, userDetails) {
     { text: "Total XP", key: "totalXp" },
     { text: "Plus", key: "plus" },
     { text: "Details Last Updated", key: "lastUpdated" },
+    { text: "Tags", key: "tags" },
     { text: "Actions", key: null }, // No sorting for actions
   ];
 
@@ -316,7 +380,13 @@ function createDataTable(title, followDates, userDetails) {
         indicator.textContent = currentSort.direction === "asc" ? " ↑" : " ↓";
 
         // Resort and rebuild table body
-        rebuildTableBody(tbody, followDates, userDetails, currentSort);
+        rebuildTableBody(
+          tbody,
+          followDates,
+          userDetails,
+          userNotes,
+          currentSort
+        );
       });
 
       // Set initial sort indicator if this is the current sort column
@@ -334,7 +404,7 @@ function createDataTable(title, followDates, userDetails) {
 
   // Table body
   const tbody = document.createElement("tbody");
-  rebuildTableBody(tbody, followDates, userDetails, currentSort);
+  rebuildTableBody(tbody, followDates, userDetails, userNotes, currentSort);
 
   table.appendChild(tbody);
   section.appendChild(table);
@@ -428,6 +498,13 @@ function applyFilters(userData) {
   if (currentFilters.xpTo !== null && userData.totalXp > currentFilters.xpTo)
     return false;
 
+  // Tag filter
+  if (
+    currentFilters.tag !== "all" &&
+    !userData.tags.some((tag) => tag.name === currentFilters.tag)
+  )
+    return false;
+
   return true;
 }
 
@@ -450,6 +527,7 @@ function updateFilters() {
     xpTo: document.getElementById("xp-to").value
       ? parseInt(document.getElementById("xp-to").value)
       : null,
+    tag: document.getElementById("tag-filter").value,
   };
   displayStorageData();
 }
@@ -464,6 +542,7 @@ function resetFilters() {
   document.getElementById("streak-to").value = "";
   document.getElementById("xp-from").value = "";
   document.getElementById("xp-to").value = "";
+  document.getElementById("tag-filter").value = "all";
 
   currentFilters = {
     dateFrom: null,
@@ -474,13 +553,14 @@ function resetFilters() {
     streakTo: null,
     xpFrom: null,
     xpTo: null,
+    tag: "all",
   };
 
   displayStorageData();
 }
 
 // Function to rebuild table body with sorted data
-function rebuildTableBody(tbody, followDates, userDetails, sort) {
+function rebuildTableBody(tbody, followDates, userDetails, userNotes, sort) {
   // Clear existing rows
   tbody.innerHTML = "";
 
@@ -495,6 +575,7 @@ function rebuildTableBody(tbody, followDates, userDetails, sort) {
     const followingData = followDates.following[userId];
     const followerData = followDates.followers[userId];
     const details = userDetails[userId] || {};
+    const notes = userNotes[userId] || {};
     const username =
       (followingData && followingData.username) ||
       (followerData && followerData.username) ||
@@ -503,6 +584,11 @@ function rebuildTableBody(tbody, followDates, userDetails, sort) {
     return {
       userId,
       username,
+      previousUsernames: mergePreviousUsernames(
+        username,
+        followingData,
+        followerData
+      ),
       following: !!followingData,
       follower: !!followerData,
       followingActive: followingData ? followingData.isActive !== false : false,
@@ -525,6 +611,8 @@ function rebuildTableBody(tbody, followDates, userDetails, sort) {
       totalXp: details.totalXp || 0,
       plus: details.hasPlus || false,
       lastUpdated: details.lastUpdated || 0,
+      tags: notes.tags || [],
+      note: notes.note || "",
       followingData,
       followerData,
       details,
@@ -542,6 +630,11 @@ function rebuildTableBody(tbody, followDates, userDetails, sort) {
           String(b[sort.column])
         );
         break;
+      case "tags": {
+        const tagNames = (user) => user.tags.map((tag) => tag.name).join(",");
+        comparison = tagNames(a).localeCompare(tagNames(b));
+        break;
+      }
       case "following":
       case "follower":
       case "plus":
@@ -595,6 +688,20 @@ function rebuildTableBody(tbody, followDates, userDetails, sort) {
     // Username
     const usernameCell = document.createElement("td");
     usernameCell.textContent = userData.username;
+    if (userData.previousUsernames.length > 0) {
+      const historyElement = document.createElement("div");
+      historyElement.className = "previous-usernames";
+      historyElement.textContent = `was ${userData.previousUsernames
+        .map((previous) => `@${previous.username}`)
+        .join(", ")}`;
+      historyElement.title = userData.previousUsernames
+        .map(
+          (previous) =>
+            `@${previous.username} until ${formatDate(previous.changedAt)}`
+        )
+        .join("\n");
+      usernameCell.appendChild(historyElement);
+    }
     row.appendChild(usernameCell);
 
     // Following Status
@@ -685,6 +792,28 @@ function rebuildTableBody(tbody, followDates, userDetails, sort) {
     }
     row.appendChild(lastUpdatedCell);
 
+    // Tags, with the private note as tooltip
+    const tagsCell = document.createElement("td");
+    userData.tags.forEach((tag) => {
+      const chip = document.createElement("span");
+      chip.className = "tag-chip";
+      chip.style.backgroundColor = TAG_COLORS[tag.color] || TAG_COLORS.gray;
+      chip.textContent = tag.name;
+      tagsCell.appendChild(chip);
+    });
+    if (userData.note) {
+      const noteIcon = document.createElement("span");
+      noteIcon.className = "note-indicator";
+      noteIcon.textContent = "📝";
+      noteIcon.title = userData.note;
+      tagsCell.appendChild(noteIcon);
+    }
+    if (tagsCell.childElementCount === 0) {
+      tagsCell.textContent = "-";
+      tagsCell.className = "no-details";
+    }
+    row.appendChild(tagsCell);
+
     // Actions
     const actionsCell = document.createElement("td");
     const updateButton = document.createElement("button");
@@ -720,20 +849,16 @@ function rebuildTableBody(tbody, followDates, userDetails, sort) {
         console.log("Response from getUserDetails:", response);
 
         if (response && response.details) {
-          const result = await chrome.storage.local.get(["userDetails"]);
-          const storedUserDetails = result.userDetails || {};
-          storedUserDetails[userData.userId] = {
-            ...response.details,
-            lastUpdated: Date.now(),
-          };
+          const storedUserDetails = await updateStoredUserDetails(
+            userData.userId,
+            response.details
+          );
 
           console.log(
             "Storing user details:",
             storedUserDetails[userData.userId]
           );
 
-          await chrome.storage.local.set({ userDetails: storedUserDetails });
-
           // Instead of rebuilding the entire table, just update this row
           const row = updateButton.closest("tr");
           updateUserRow(row, userData, storedUserDetails);
@@ -809,7 +934,7 @@ function updateUserRow(row, userData, userDetails) {
   }
 
   // Update the update button
-  const updateButton = row.children[11].querySelector(".update-details-button");
+  const updateButton = row.children[12].querySelector(".update-details-button");
   updateButton.disabled = false;
   updateButton.innerHTML = `
     <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -886,6 +1011,27 @@ style.textContent = `
   .recent-update {
     color: #000000;
   }
+
+  .tag-chip {
+    display: inline-block;
+    margin: 1px 4px 1px 0;
+    padding: 1px 6px;
+    border-radius: 10px;
+    color: white;
+    font-size: 11px;
+    font-weight: bold;
+    white-space: nowrap;
+  }
+
+  .note-indicator {
+    cursor: help;
+  }
+
+  .previous-usernames {
+    color: #999;
+    font-size: 11px;
+    cursor: help;
+  }
   
   .old-update {
     color: #1cb0f6;
@@ -988,9 +1134,13 @@ async function exportStorageData() {
     const result = await chrome.storage.local.get([
       "followDates",
       "userDetails",
+      "safelist",
+      "userNotes",
     ]);
     const followDates = result.followDates || { followers: {}, following: {} };
-    const userDetails = result.userDetails || {};
+    const userDetails = await unpackUserDetails(result.userDetails);
+    const safelist = result.safelist || {};
+    const userNotes = result.userNotes || {};
 
     // Calculate statistics for export metadata
     const activeFollowing = Object.values(followDates.following).filter(
@@ -1010,8 +1160,10 @@ async function exportStorageData() {
     const exportData = {
       followDates: followDates,
       userDetails: userDetails,
+      safelist: safelist,
+      userNotes: userNotes,
       exportDate: new Date().toISOString(),
-      version: "1.2",
+      version: "1.3",
       description:
         "Duolingo Followers & Following Manager - Exported Data with Inactive User Support",
       statistics: {
@@ -1026,6 +1178,8 @@ async function exportStorageData() {
           total: activeFollowing + inactiveFollowing,
         },
         userDetailsCount: Object.keys(userDetails).length,
+        safelistCount: Object.keys(safelist).length,
+        userNotesCount: Object.keys(userNotes).length,
       },
     };
 
@@ -1056,12 +1210,151 @@ async function exportStorageData() {
   }
 }
 
-// Function to import data from a JSON file
+// Function to get the records of a filtered user that match the follow
+// status filter, so e.g. "Inactive Followers" doesn't export following rows
+function getFilteredRecords(userData) {
+  const records = [];
+  const status = currentFilters.followStatus;
+
+  const includeFollowing = {
+    following: userData.followingActive,
+    "inactive-following": !userData.followingActive,
+    "inactive-all": !userData.followingActive,
+    followers: false,
+    "inactive-followers": false,
+  }[status];
+  const includeFollower = {
+    followers: userData.followerActive,
+    "inactive-followers": !userData.followerActive,
+    "inactive-all": !userData.followerActive,
+    following: false,
+    "inactive-following": false,
+  }[status];
+
+  if (userData.following && includeFollowing !== false) {
+    records.push({ userId: userData.userId, relationship: "following" });
+  }
+  if (userData.follower && includeFollower !== false) {
+    records.push({ userId: userData.userId, relationship: "follower" });
+  }
+
+  return records;
+}
+
+// Function to export the filtered users as CSV with the picked columns
+async function exportCsvData() {
+  try {
+    const data = await loadCsvData();
+    const uniqueUsers = new Set([
+      ...Object.keys(data.followDates.following),
+      ...Object.keys(data.followDates.followers),
+    ]);
+
+    const records = Array.from(uniqueUsers)
+      .map((userId) =>
+        buildUserData(
+          userId,
+          data.followDates,
+          data.userDetails,
+          data.userNotes
+        )
+      )
+      .filter(applyFilters)
+      .flatMap(getFilteredRecords);
+
+    if (records.length === 0) {
+      alert("No users match the current filters.");
+      return;
+    }
+
+    await showCsvExportDialog({
+      description: `${records.length} rows matching the current filters`,
+      onExport: (columnKeys) =>
+        downloadCsv(
+          toCsv(buildCsvRows(records, data), columnKeys),
+          `duolingo-follow-dates-${formatDateForFilename(new Date())}.csv`
+        ),
+    });
+  } catch (error) {
+    console.error("Error exporting CSV:", error);
+    alert(`Error exporting CSV: ${error.message}`);
+  }
+}
+
+// Read the storage sections an import can write
+async function loadImportTargets() {
+  const result = await chrome.storage.local.get([
+    "followDates",
+    "userDetails",
+    "safelist",
+    "userNotes",
+  ]);
+  return {
+    followDates: result.followDates || { followers: {}, following: {} },
+    userDetails: await unpackUserDetails(result.userDetails),
+    safelist: result.safelist || {},
+    userNotes: result.userNotes || {},
+  };
+}
+
+// Function to write a validated import after backing up the current data
+async function applyImport(parsed, options) {
+  try {
+    // Plan against fresh data in case a sync ran while the wizard was open
+    const current = await loadImportTargets();
+    const { result, preview } = planImport(parsed, current, options);
+
+    const backupKey = await dataPersistence.createBackup("import");
+    const { userDetails, ...sections } = result;
+    await chrome.storage.local.set(sections);
+    await saveStoredUserDetails(userDetails);
+
+    // Update the display
+    await displayStorageData();
+    await displayBackups();
+
+    const describeCounts = (counts) =>
+      `${counts.added} new, ${counts.overwritten} overwritten, ` +
+      `${counts.conflicts} conflicting dates` +
+      (options.mode === IMPORT_MODES.REPLACE
+        ? `, ${counts.removed} removed`
+        : "");
+
+    let message =
+      `Import completed successfully!\n\n` +
+      `- Followers: ${describeCounts(preview.followers)}\n` +
+      `- Following: ${describeCounts(preview.following)}\n`;
+
+    if (preview.userDetails.added || preview.userDetails.overwritten) {
+      message += `- User Details: ${preview.userDetails.added} new, ${preview.userDetails.overwritten} overwritten\n`;
+    }
+    if (preview.safelist.added > 0) {
+      message += `- Safelist: ${preview.safelist.added} new users\n`;
+    }
+    if (preview.userNotes.added || preview.userNotes.overwritten) {
+      message += `- Notes and tags: ${preview.userNotes.added} new, ${preview.userNotes.overwritten} overwritten\n`;
+    }
+
+    const method =
+      options.mode === IMPORT_MODES.REPLACE
+        ? "Replacement"
+        : `Merge (${CONFLICT_POLICY_LABELS[options.policy].toLowerCase()})`;
+    message +=
+      `\nMethod: ${method}\n` + `Backup of the previous data: ${backupKey}`;
+
+    alert(message);
+  } catch (error) {
+    console.error("Error importing data:", error);
+    alert(`Error importing data: ${error.message}`);
+  }
+}
+
+// Function to import data from a JSON or CSV file through the import wizard
 function importStorageData() {
   // Create a temporary file input
   const fileInput = document.createElement("input");
   fileInput.type = "file";
-  fileInput.accept = ".json";
+  fileInput.accept = ".json,.csv";
 
   fileInput.addEventListener("change", async (event) => {
     try {
@@ -1070,158 +1363,15 @@ function importStorageData() {
 
       // Read the file as text
       const fileContent = await readFileAsText(file);
-
-      // Parse the JSON
-      const importedData = JSON.parse(fileContent);
-
-      // Verify the file has the expected format
-      if (
-        !importedData.followDates ||
-        typeof importedData.followDates !== "object" ||
-        !importedData.followDates.followers ||
-        !importedData.followDates.following
-      ) {
-        throw new Error(
-          "Invalid file format. The file does not contain valid follow date data."
-        );
-      }
-
-      // Ask if user wants to replace or merge
-      const action = confirm(
-        "How do you want to import the data?\n\n" +
-          "OK = REPLACE (deletes all existing data and uses only the file data)\n" +
-          "CANCEL = MERGE (keeps existing data and adds the file data)"
-      );
-
-      // Get current data if merging
-      let currentData = { followers: {}, following: {} };
-      let currentUserDetails = {};
-      if (!action) {
-        // If chose to merge
-        const result = await chrome.storage.local.get([
-          "followDates",
-          "userDetails",
-        ]);
-        currentData = result.followDates || { followers: {}, following: {} };
-        currentUserDetails = result.userDetails || {};
-      }
-
-      // Ensure imported data is in the correct format (with username)
-      const processedData = {
-        followers: {},
-        following: {},
-      };
-
-      // Process followers
-      Object.entries(importedData.followDates.followers).forEach(
-        ([userId, data]) => {
-          if (typeof data === "object" && data.timestamp) {
-            // New format (with isActive support)
-            processedData.followers[userId] = {
-              timestamp: data.timestamp,
-              username: data.username || "Unknown",
-              isActive: data.isActive !== undefined ? data.isActive : true,
-            };
-          } else if (typeof data === "number") {
-            // Old format (convert)
-            processedData.followers[userId] = {
-              timestamp: data,
-              username: "Unknown",
-              isActive: true, // Assume legacy records are active
-            };
-          }
-        }
-      );
-
-      // Process following
-      Object.entries(importedData.followDates.following).forEach(
-        ([userId, data]) => {
-          if (typeof data === "object" && data.timestamp) {
-            // New format (with isActive support)
-            processedData.following[userId] = {
-              timestamp: data.timestamp,
-              username: data.username || "Unknown",
-              isActive: data.isActive !== undefined ? data.isActive : true,
-            };
-          } else if (typeof data === "number") {
-            // Old format (convert)
-            processedData.following[userId] = {
-              timestamp: data,
-              username: "Unknown",
-              isActive: true, // Assume legacy records are active
-            };
-          }
-        }
-      );
-
-      // Prepare data to save
-      const newData = {
-        followers: action
-          ? { ...processedData.followers }
-          : { ...currentData.followers, ...processedData.followers },
-        following: action
-          ? { ...processedData.following }
-          : { ...currentData.following, ...processedData.following },
-      };
-
-      // Handle userDetails if present in import file
-      const importedUserDetails = importedData.userDetails || {};
-      const newUserDetails = action
-        ? { ...importedUserDetails }
-        : { ...currentUserDetails, ...importedUserDetails };
-
-      // Save the data
-      await chrome.storage.local.set({
-        followDates: newData,
-        userDetails: newUserDetails,
+      const parsed = parseImportFile(fileContent, file.name);
+      const current = await loadImportTargets();
+
+      showImportWizard({
+        fileName: file.name,
+        parsed,
+        getPreview: (options) => planImport(parsed, current, options).preview,
+        onImport: (options) => applyImport(parsed, options),
       });
-
-      // Update the display
-      await displayStorageData();
-
-      // Success message with detailed statistics
-      const followersCount = Object.keys(
-        importedData.followDates.followers
-      ).length;
-      const followingCount = Object.keys(
-        importedData.followDates.following
-      ).length;
-      const userDetailsCount = Object.keys(
-        importedData.userDetails || {}
-      ).length;
-
-      // Calculate active/inactive breakdown for imported data
-      const importedActiveFollowers = Object.values(
-        importedData.followDates.followers
-      ).filter((data) =>
-        typeof data === "object" ? data.isActive !== false : true
-      ).length;
-      const importedInactiveFollowers =
-        followersCount - importedActiveFollowers;
-
-      const importedActiveFollowing = Object.values(
-        importedData.followDates.following
-      ).filter((data) =>
-        typeof data === "object" ? data.isActive !== false : true
-      ).length;
-      const importedInactiveFollowing =
-        followingCount - importedActiveFollowing;
-
-      let message =
-        `Import completed successfully!\n\n` +
-        `Imported data:\n` +
-        `- Followers: ${followersCount} total (${importedActiveFollowers} active, ${importedInactiveFollowers} inactive)\n` +
-        `- Following: ${followingCount} total (${importedActiveFollowing} active, ${importedInactiveFollowing} inactive)\n`;
-
-      if (userDetailsCount > 0) {
-        message += `- User Details: ${userDetailsCount} users\n`;
-      }
-
-      message +=
-        `\nMethod: ${action ? "Replacement" : "Merge"}\n\n` +
-        `Note: Inactive users represent past relationships that are no longer active.`;
-
-      alert(message);
     } catch (error) {
       console.error("Error importing data:", error);
       alert(`Error importing data: ${error.message}`);
@@ -1333,14 +1483,688 @@ async function updateUsernames() {
   }
 }
 
+// Function to render the background sync status line
+function renderBackgroundSyncStatus(status) {
+  const statusElement = document.getElementById("background-sync-status");
+  if (!statusElement) return;
+
+  if (status.error && !status.lastRun) {
+    statusElement.textContent = `Error: ${status.error}`;
+    return;
+  }
+
+  const parts = [];
+  if (status.enabled) {
+    parts.push(`Runs every ${status.intervalMinutes} minutes.`);
+    if (status.nextRun) {
+      parts.push(`Next run: ${formatDate(status.nextRun)}.`);
+    }
+  } else {
+    parts.push("Background sync is disabled.");
+  }
+  if (status.lastRun) {
+    parts.push(
+      status.error
+        ? `Last run failed ${formatDate(status.lastRun)}: ${status.error}`
+        : `Last run: ${formatDate(status.lastRun)}.`
+    );
+  }
+
+  statusElement.textContent = parts.join(" ");
+}
+
+// Function to set up the background sync toggle
+async function initBackgroundSyncControls() {
+  const checkbox = document.getElementById("background-sync-enabled");
+  if (!checkbox) return;
+
+  const status = await new Promise((resolve) =>
+    chrome.runtime.sendMessage({ action: "getBackgroundSyncStatus" }, resolve)
+  );
+  if (status && !status.error) {
+    checkbox.checked = status.enabled;
+  }
+  renderBackgroundSyncStatus(status || {});
+
+  checkbox.addEventListener("change", async () => {
+    checkbox.disabled = true;
+    const updatedStatus = await new Promise((resolve) =>
+      chrome.runtime.sendMessage(
+        { action: "setBackgroundSync", enabled: checkbox.checked },
+        resolve
+      )
+    );
+    checkbox.disabled = false;
+
+    if (!updatedStatus || updatedStatus.error) {
+      checkbox.checked = !checkbox.checked;
+    }
+    renderBackgroundSyncStatus(updatedStatus || {});
+  });
+
+  // Notifications only come from the background sync, no alarm to update
+  const notificationsCheckbox = document.getElementById(
+    "feed-notifications-enabled"
+  );
+  if (!notificationsCheckbox) return;
+
+  notificationsCheckbox.checked = (await getSettings()).feedNotifications;
+  notificationsCheckbox.addEventListener("change", async () => {
+    try {
+      await updateSettings({
+        feedNotifications: notificationsCheckbox.checked,
+      });
+    } catch (error) {
+      console.error("Error saving notification setting:", error);
+      notificationsCheckbox.checked = !notificationsCheckbox.checked;
+    }
+  });
+}
+
+// Number of days shown in the growth stats
+let growthPeriod = 7;
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 44 };
+
+// Function to create an SVG element with attributes
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) =>
+    element.setAttribute(name, value)
+  );
+  return element;
+}
+
+// Function to create an empty chart with the first and last date labels
+function createChartSvg(days) {
+  const svg = createSvgElement("svg", {
+    viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+  });
+
+  const bottom = CHART_HEIGHT - 4;
+  const firstLabel = createSvgElement("text", {
+    x: CHART_PADDING.left,
+    y: bottom,
+  });
+  firstLabel.textContent = days[0].date.toLocaleDateString();
+  svg.appendChild(firstLabel);
+
+  const lastLabel = createSvgElement("text", {
+    x: CHART_WIDTH - CHART_PADDING.right,
+    y: bottom,
+    "text-anchor": "end",
+  });
+  lastLabel.textContent = days[days.length - 1].date.toLocaleDateString();
+  svg.appendChild(lastLabel);
+
+  return svg;
+}
+
+// Function to add a min/max label on the left side of a chart
+function addValueLabel(svg, y, text) {
+  const label = createSvgElement("text", {
+    x: CHART_PADDING.left - 6,
+    y: y + 4,
+    "text-anchor": "end",
+  });
+  label.textContent = text;
+  svg.appendChild(label);
+}
+
+// Function to draw a line chart of a daily value, skipping days without data
+function createLineChart(days, getValue, { color, format }) {
+  const svg = createChartSvg(days);
+  const values = days.map(getValue);
+  const known = values.filter((value) => value !== null);
+  if (known.length === 0) return svg;
+
+  let min = Math.min(...known);
+  let max = Math.max(...known);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (index) =>
+    CHART_PADDING.left +
+    (days.length > 1 ? (index / (days.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) =>
+    CHART_PADDING.top + (1 - (value - min) / (max - min)) * plotHeight;
+
+  addValueLabel(svg, y(max), format(max));
+  addValueLabel(svg, y(min), format(min));
+
+  // Start a new segment after a gap in the data
+  let path = "";
+  let drawing = false;
+  values.forEach((value, index) => {
+    if (value === null) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? "L" : "M"}${x(index)},${y(value)} `;
+    drawing = true;
+  });
+
+  svg.appendChild(
+    createSvgElement("path", {
+      d: path.trim(),
+      fill: "none",
+      stroke: color,
+      "stroke-width": 2,
+    })
+  );
+
+  // Single days have no line, mark them with a dot
+  if (known.length === 1) {
+    const index = values.findIndex((value) => value !== null);
+    svg.appendChild(
+      createSvgElement("circle", {
+        cx: x(index),
+        cy: y(values[index]),
+        r: 3,
+        fill: color,
+      })
+    );
+  }
+
+  return svg;
+}
+
+// Function to draw gained followers above and lost followers below zero
+function createChurnChart(days) {
+  const svg = createChartSvg(days);
+  const max = Math.max(1, ...days.map((day) => Math.max(day.gained, day.lost)));
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const zero = CHART_PADDING.top + plotHeight / 2;
+  const barWidth = plotWidth / days.length;
+  const scale = plotHeight / 2 / max;
+
+  addValueLabel(svg, CHART_PADDING.top, `+${max}`);
+  addValueLabel(svg, zero, "0");
+  addValueLabel(svg, CHART_PADDING.top + plotHeight, `-${max}`);
+
+  svg.appendChild(
+    createSvgElement("line", {
+      x1: CHART_PADDING.left,
+      x2: CHART_WIDTH - CHART_PADDING.right,
+      y1: zero,
+      y2: zero,
+      stroke: "#ddd",
+    })
+  );
+
+  days.forEach((day, index) => {
+    const x = CHART_PADDING.left + index * barWidth + barWidth * 0.1;
+    const width = Math.max(barWidth * 0.8, 1);
+
+    if (day.gained > 0) {
+      svg.appendChild(
+        createSvgElement("rect", {
+          x,
+          y: zero - day.gained * scale,
+          width,
+          height: day.gained * scale,
+          fill: "#58cc02",
+        })
+      );
+    }
+    if (day.lost > 0) {
+      svg.appendChild(
+        createSvgElement("rect", {
+          x,
+          y: zero,
+          width,
+          height: day.lost * scale,
+          fill: "#ff4b4b",
+        })
+      );
+    }
+  });
+
+  return svg;
+}
+
+// Function to create a chart block with a title
+function createChartSection(title, chart) {
+  const section = document.createElement("div");
+  section.className = "growth-chart";
+
+  const heading = document.createElement("h4");
+  heading.textContent = title;
+  section.appendChild(heading);
+  section.appendChild(chart);
+
+  return section;
+}
+
+// Function to format a ratio as a percentage
+function formatPercent(value) {
+  return value === null ? "N/A" : `${Math.round(value * 1000) / 10}%`;
+}
+
+// Function to display the growth summary and charts for the selected period
+async function displayGrowthStats() {
+  const container = document.getElementById("growth-stats");
+  if (!container) return;
+
+  try {
+    const stats = await getGrowthStats();
+    const { days, totals } = summarizeGrowth(stats, growthPeriod);
+
+    container.innerHTML = "";
+
+    if (Object.keys(stats.snapshots).length === 0) {
+      container.innerHTML =
+        "<p>No growth data yet. Open the extension popup to run a sync.</p>";
+      return;
+    }
+
+    const summary = document.createElement("div");
+    summary.className = "growth-summary";
+    [
+      [
+        "Net follower growth",
+        totals.netGrowth === null
+          ? "N/A"
+          : `${totals.netGrowth > 0 ? "+" : ""}${totals.netGrowth}`,
+      ],
+      ["Followers gained", totals.gained],
+      ["Followers lost", totals.lost],
+      ["Churn rate", formatPercent(totals.churnRate)],
+      ["Follow-back rate", formatPercent(totals.followBackRate)],
+    ].forEach(([label, value]) => {
+      const item = document.createElement("div");
+      item.className = "growth-summary-item";
+      item.innerHTML = `
+        <span class="growth-summary-value"></span>
+        <span class="growth-summary-label"></span>
+      `;
+      item.querySelector(".growth-summary-value").textContent = value;
+      item.querySelector(".growth-summary-label").textContent = label;
+      summary.appendChild(item);
+    });
+    container.appendChild(summary);
+
+    container.appendChild(
+      createChartSection(
+        "Followers",
+        createLineChart(days, (day) => day.followers, {
+          color: "#1cb0f6",
+          format: (value) => Math.round(value).toLocaleString(),
+        })
+      )
+    );
+    container.appendChild(
+      createChartSection(
+        "Followers gained and lost per day",
+        createChurnChart(days)
+      )
+    );
+    container.appendChild(
+      createChartSection(
+        "Follow-back rate (people you follow who follow you)",
+        createLineChart(days, (day) => day.followBackRate, {
+          color: "#ce82ff",
+          format: formatPercent,
+        })
+      )
+    );
+  } catch (error) {
+    console.error("Error displaying growth stats:", error);
+    container.innerHTML = `<p>Error loading growth stats: ${error.message}</p>`;
+  }
+}
+
+// Function to set up the growth stats period buttons
+function initGrowthStatsControls() {
+  const buttons = document.querySelectorAll(".growth-period-buttons button");
+  buttons.forEach((button) => {
+    button.addEventListener("click", () => {
+      growthPeriod = Number(button.dataset.days);
+      buttons.forEach((other) =>
+        other.classList.toggle("active", other === button)
+      );
+      displayGrowthStats();
+    });
+  });
+
+  displayGrowthStats();
+}
+
+// Settings edited in the storage manager, by input ID
+const STORAGE_NUMBER_SETTINGS = {
+  "storage-warning-percent": "storageWarningPercent",
+  "prune-user-details-days": "pruneUserDetailsDays",
+  "collapse-inactive-days": "collapseInactiveDays",
+  "max-backups": "maxBackups",
+};
+
+// Function to show the storage usage per category
+async function displayStorageUsage() {
+  const container = document.getElementById("storage-usage");
+  if (!container) return;
+
+  try {
+    const [usage, { storageWarningPercent }] = await Promise.all([
+      getStorageUsage(),
+      getSettings(),
+    ]);
+
+    container.innerHTML = `
+      <div class="storage-usage-total"></div>
+      <div class="storage-usage-bar"><div></div></div>
+      <table class="storage-usage-table"><tbody></tbody></table>
+    `;
+
+    const used = formatBytes(usage.totalBytes);
+    const quota = formatBytes(usage.quotaBytes);
+    const percent = usage.usagePercentage.toFixed(1);
+    container.querySelector(
+      ".storage-usage-total"
+    ).textContent = `${used} of ${quota} used (${percent}%)`;
+
+    const totalBar = container.querySelector(".storage-usage-bar");
+    totalBar.classList.toggle(
+      "warning",
+      usage.usagePercentage >= storageWarningPercent
+    );
+    const barWidth = Math.min(100, usage.usagePercentage);
+    totalBar.firstElementChild.style.width = `${barWidth}%`;
+
+    const tbody = container.querySelector("tbody");
+    usage.categories.forEach((category) => {
+      const share = usage.totalBytes
+        ? (category.bytes / usage.totalBytes) * 100
+        : 0;
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td></td>
+        <td></td>
+        <td><div class="storage-usage-bar"><div></div></div></td>
+      `;
+      const cells = row.querySelectorAll("td");
+      cells[0].textContent = category.label;
+      cells[1].textContent = formatBytes(category.bytes);
+      row.querySelector(".storage-usage-bar div").style.width = `${share}%`;
+      tbody.appendChild(row);
+    });
+  } catch (error) {
+    console.error("Error displaying storage usage:", error);
+    container.innerHTML = `<p>Error loading storage usage: ${error.message}</p>`;
+  }
+}
+
+// Function to prune storage with the current rules
+async function pruneStorageNow() {
+  if (
+    !confirm(
+      "Prune storage now?\n\n" +
+        "Old cached user details and backups are deleted, and the history " +
+        "of long-inactive users is shortened to their first follow and last " +
+        "unfollow."
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const summary = await pruneStorage();
+
+    await displayStorageUsage();
+    await displayBackups();
+    await displayStorageData();
+
+    alert(
+      `Storage pruned, ${formatBytes(summary.bytesFreed)} freed.\n\n` +
+        `- Cached user details removed: ${summary.userDetailsRemoved}\n` +
+        `- Inactive histories collapsed: ${summary.recordsCollapsed}\n` +
+        `- Backups deleted: ${summary.backupsRemoved}`
+    );
+  } catch (error) {
+    console.error("Error pruning storage:", error);
+    alert(`Error pruning storage: ${error.message}`);
+  }
+}
+
+// Function to set up the storage manager
+async function initStorageManagerControls() {
+  const settings = await getSettings();
+
+  Object.entries(STORAGE_NUMBER_SETTINGS).forEach(([inputId, key]) => {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+
+    input.value = settings[key];
+    input.addEventListener("change", async () => {
+      const value = Number(input.value);
+      if (!Number.isInteger(value) || value < Number(input.min)) {
+        input.value = (await getSettings())[key];
+        return;
+      }
+
+      try {
+        await updateSettings({ [key]: value });
+        await displayStorageUsage();
+      } catch (error) {
+        console.error("Error saving storage setting:", error);
+      }
+    });
+  });
+
+  const autoPruneCheckbox = document.getElementById("auto-prune-storage");
+  if (autoPruneCheckbox) {
+    autoPruneCheckbox.checked = settings.autoPruneStorage;
+    autoPruneCheckbox.addEventListener("change", async () => {
+      try {
+        await updateSettings({ autoPruneStorage: autoPruneCheckbox.checked });
+      } catch (error) {
+        console.error("Error saving auto prune setting:", error);
+        autoPruneCheckbox.checked = !autoPruneCheckbox.checked;
+      }
+    });
+  }
+
+  const pruneButton = document.getElementById("prune-storage");
+  if (pruneButton) {
+    pruneButton.addEventListener("click", pruneStorageNow);
+  }
+
+  displayStorageUsage();
+}
+
+const BACKUP_REASON_LABELS = {
+  manual: "Manual",
+  daily: "Daily",
+  import: "Before import",
+  migration: "Before migration",
+  restore: "Before restore",
+};
+
+// Function to list the stored backups with their actions
+async function displayBackups() {
+  const container = document.getElementById("backups-list");
+  if (!container) return;
+
+  const backups = await dataPersistence.listBackups();
+  if (backups.length === 0) {
+    container.innerHTML = `<p class="backups-empty">No backups yet.</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="backups-table">
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Type</th>
+          <th>Size</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody></tbody>
+    </table>
+  `;
+
+  const tbody = container.querySelector("tbody");
+  backups.forEach((backup) => {
+    const row = document.createElement("tr");
+    row.innerHTML = `
+      <td></td>
+      <td></td>
+      <td></td>
+      <td>
+        <button class="restore-backup">Restore</button>
+        <button class="download-backup">Download</button>
+        <button class="delete-backup">Delete</button>
+      </td>
+    `;
+    const cells = row.querySelectorAll("td");
+    cells[0].textContent = formatDate(backup.timestamp);
+    cells[1].textContent = BACKUP_REASON_LABELS[backup.reason] || backup.reason;
+    cells[2].textContent = formatBytes(backup.size);
+
+    row
+      .querySelector(".restore-backup")
+      .addEventListener("click", () => restoreBackup(backup));
+    row
+      .querySelector(".download-backup")
+      .addEventListener("click", () => downloadBackup(backup));
+    row
+      .querySelector(".delete-backup")
+      .addEventListener("click", () => deleteBackup(backup));
+
+    tbody.appendChild(row);
+  });
+}
+
+// Function to restore a backup, after backing up the current data
+async function restoreBackup(backup) {
+  if (
+    !confirm(
+      `Restore the backup from ${formatDate(backup.timestamp)}?\n\n` +
+        "All current extension data is replaced by the backup. A backup of " +
+        "the current data is saved first."
+    )
+  ) {
+    return;
+  }
+
+  try {
+    await dataPersistence.createBackup("restore");
+    await dataPersistence.restoreFromBackup(backup.key);
+
+    await displayStorageData();
+    await displayGrowthStats();
+    await displayBackups();
+    alert("Backup restored successfully!");
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    alert(`Error restoring backup: ${error.message}`);
+  }
+}
+
+// Function to download the data of a backup as a JSON file. The file has
+// the same sections as an export, so it can also be imported.
+async function downloadBackup(backup) {
+  try {
+    const { data } = await dataPersistence.getBackup(backup.key);
+    // Keep the file readable and importable
+    data.userDetails = await unpackUserDetails(data.userDetails);
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+
+    const downloadLink = document.createElement("a");
+    downloadLink.href = url;
+    downloadLink.download = `duolingo-backup-${formatDateForFilename(
+      backup.date
+    )}-${backup.timestamp}.json`;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+
+    setTimeout(() => {
+      document.body.removeChild(downloadLink);
+      URL.revokeObjectURL(url);
+    }, 100);
+  } catch (error) {
+    console.error("Error downloading backup:", error);
+    alert(`Error downloading backup: ${error.message}`);
+  }
+}
+
+// Function to delete a backup
+async function deleteBackup(backup) {
+  if (!confirm(`Delete the backup from ${formatDate(backup.timestamp)}?`)) {
+    return;
+  }
+
+  try {
+    await dataPersistence.deleteBackup(backup.key);
+    await displayBackups();
+    await displayStorageUsage();
+  } catch (error) {
+    console.error("Error deleting backup:", error);
+    alert(`Error deleting backup: ${error.message}`);
+  }
+}
+
+// Function to set up the backups panel
+async function initBackupControls() {
+  const createButton = document.getElementById("create-backup");
+  if (createButton) {
+    createButton.addEventListener("click", async () => {
+      try {
+        await dataPersistence.createBackup("manual");
+        await displayBackups();
+        await displayStorageUsage();
+      } catch (error) {
+        console.error("Error creating backup:", error);
+        alert(`Error creating backup: ${error.message}`);
+      }
+    });
+  }
+
+  displayBackups();
+
+  const compressCheckbox = document.getElementById("compress-user-details");
+  if (!compressCheckbox) return;
+
+  compressCheckbox.checked = (await getSettings()).compressUserDetails;
+  compressCheckbox.addEventListener("change", async () => {
+    try {
+      // The service worker converts the stored details right away
+      await updateSettings({ compressUserDetails: compressCheckbox.checked });
+    } catch (error) {
+      console.error("Error saving compression setting:", error);
+      compressCheckbox.checked = !compressCheckbox.checked;
+    }
+  });
+}
+
 // Initialize the page when the DOM is loaded
 document.addEventListener("DOMContentLoaded", () => {
   displayStorageData();
+  initBackgroundSyncControls();
+  initGrowthStatsControls();
+  initStorageManagerControls();
+  initBackupControls();
 
   // Add listeners for buttons
   const refreshButton = document.getElementById("refresh-storage");
   if (refreshButton) {
-    refreshButton.addEventListener("click", displayStorageData);
+    refreshButton.addEventListener("click", () => {
+      displayStorageData();
+      displayGrowthStats();
+    });
   }
 
   const clearButton = document.getElementById("clear-storage");
@@ -1354,6 +2178,11 @@ document.addEventListener("DOMContentLoaded", () => {
     exportButton.addEventListener("click", exportStorageData);
   }
 
+  const exportCsvButton = document.getElementById("export-csv");
+  if (exportCsvButton) {
+    exportCsvButton.addEventListener("click", exportCsvData);
+  }
+
   const importButton = document.getElementById("import-storage");
   if (importButton) {
     importButton.addEventListener("click", importStorageData);
@@ -0,0 +1,228 @@
+import { applyUnfollowSuccess } from "./userCard.js";
+import {
+  selectedUserIds,
+  setUserSelected,
+  onSelectionChange,
+  safelistedUserIds,
+} from "../services/userService.js";
+
+/**
+ * Create the bulk actions bar for the Following tab
+ *
+ * @param {Object} options - Bar options
+ * @param {Array} options.users - Users in the Following list
+ * @param {HTMLElement} options.container - The Following users container
+ * @param {Map} options.followerIds - Map of follower IDs
+ * @param {Map} options.followingIds - Map of following IDs
+ * @param {Function} options.getFilteredUsers - Returns the users matching the current filter
+ * @returns {HTMLElement} The bulk actions bar element
+ */
+export function createBulkActionsBar({
+  users,
+  container,
+  followerIds,
+  followingIds,
+  getFilteredUsers,
+}) {
+  const bar = document.createElement("div");
+  bar.className = "bulk-actions-bar";
+  bar.innerHTML = `
+    <div class="bulk-actions-row">
+      <span class="bulk-selected-count">0 selected</span>
+      <button class="bulk-select-all">Select all filtered</button>
+      <button class="bulk-clear">Clear</button>
+      <button class="bulk-unfollow-button" disabled>Unfollow selected</button>
+    </div>
+    <div class="bulk-progress" style="display: none">
+      <div class="bulk-progress-track">
+        <div class="bulk-progress-bar"></div>
+      </div>
+      <div class="bulk-progress-row">
+        <span class="bulk-progress-text"></span>
+        <button class="bulk-pause-button">Pause</button>
+      </div>
+    </div>
+    <div class="bulk-report" style="display: none"></div>
+  `;
+
+  const selectedCount = bar.querySelector(".bulk-selected-count");
+  const selectAllButton = bar.querySelector(".bulk-select-all");
+  const clearButton = bar.querySelector(".bulk-clear");
+  const unfollowButton = bar.querySelector(".bulk-unfollow-button");
+  const progress = bar.querySelector(".bulk-progress");
+  const progressBar = bar.querySelector(".bulk-progress-bar");
+  const progressText = bar.querySelector(".bulk-progress-text");
+  const pauseButton = bar.querySelector(".bulk-pause-button");
+  const report = bar.querySelector(".bulk-report");
+
+  let running = false;
+  // Report entries whose card was already updated
+  let appliedCount = 0;
+
+  function updateSelectionUI() {
+    selectedCount.textContent = `${selectedUserIds.size} selected`;
+    unfollowButton.disabled = running || selectedUserIds.size === 0;
+  }
+
+  // Match rendered checkboxes to the selection after a bulk change
+  function syncCheckboxes() {
+    container.querySelectorAll(".user-card").forEach((card) => {
+      const checkbox = card.querySelector(".bulk-select-checkbox");
+      if (checkbox) {
+        checkbox.checked = selectedUserIds.has(Number(card.dataset.userId));
+      }
+    });
+  }
+
+  onSelectionChange(updateSelectionUI);
+
+  selectAllButton.addEventListener("click", () => {
+    getFilteredUsers().forEach((user) => setUserSelected(user.userId, true));
+    syncCheckboxes();
+  });
+
+  clearButton.addEventListener("click", () => {
+    [...selectedUserIds].forEach((userId) => setUserSelected(userId, false));
+    syncCheckboxes();
+  });
+
+  unfollowButton.addEventListener("click", async () => {
+    const selectedUsers = users
+      .filter(
+        (user) =>
+          user.isFollowing &&
+          selectedUserIds.has(user.userId) &&
+          !safelistedUserIds.has(user.userId)
+      )
+      .map((user) => ({ userId: user.userId, username: user.username }));
+
+    if (selectedUsers.length === 0) return;
+    if (
+      !confirm(
+        `Unfollow ${selectedUsers.length} ${
+          selectedUsers.length === 1 ? "user" : "users"
+        }?`
+      )
+    ) {
+      return;
+    }
+
+    appliedCount = 0;
+    const response = await new Promise((resolve) =>
+      chrome.runtime.sendMessage(
+        { action: "bulkUnfollow", users: selectedUsers },
+        resolve
+      )
+    );
+
+    if (!response || response.error) {
+      alert((response && response.error) || "Could not start bulk unfollow.");
+      return;
+    }
+  });
+
+  pauseButton.addEventListener("click", () => {
+    const action =
+      pauseButton.dataset.paused === "true"
+        ? "resumeBulkUnfollow"
+        : "pauseBulkUnfollow";
+    chrome.runtime.sendMessage({ action }, (status) => renderStatus(status));
+  });
+
+  function renderStatus(status) {
+    if (!status || (!status.running && !status.done)) return;
+
+    running = status.running;
+    updateSelectionUI();
+    selectAllButton.disabled = running;
+    clearButton.disabled = running;
+
+    // Update the cards of users unfollowed since the last update
+    status.report.slice(appliedCount).forEach((entry) => {
+      if (entry.status !== "unfollowed") return;
+
+      const user = users.find((u) => u.userId === entry.userId);
+      if (user) {
+        const card = container.querySelector(
+          `[data-user-id="${entry.userId}"]`
+        );
+        applyUnfollowSuccess(user, card, followerIds, followingIds);
+      }
+    });
+    appliedCount = status.report.length;
+
+    const percent = status.total ? (status.processed / status.total) * 100 : 0;
+    progress.style.display = "block";
+    progressBar.style.width = `${percent}%`;
+    progressText.textContent = status.paused
+      ? `Paused at ${status.processed} of ${status.total}`
+      : `Unfollowed ${status.processed} of ${status.total}...`;
+    pauseButton.dataset.paused = status.paused ? "true" : "false";
+    pauseButton.textContent = status.paused ? "Resume" : "Pause";
+    pauseButton.style.display = status.running ? "" : "none";
+
+    if (status.done) {
+      progressText.textContent = `Finished ${status.processed} of ${status.total}`;
+      renderReport(status.report);
+    } else {
+      report.style.display = "none";
+    }
+  }
+
+  function renderReport(entries) {
+    const counts = { unfollowed: 0, queued: 0, failed: 0 };
+    entries.forEach((entry) => counts[entry.status]++);
+
+    report.innerHTML = `
+      <div class="bulk-report-header">
+        <span class="bulk-report-summary"></span>
+        <button class="bulk-report-close">Close</button>
+      </div>
+      <ul class="bulk-report-list"></ul>
+    `;
+    report.querySelector(".bulk-report-summary").textContent = [
+      `${counts.unfollowed} unfollowed`,
+      counts.queued > 0 ? `${counts.queued} queued for retry` : "",
+      counts.failed > 0 ? `${counts.failed} failed` : "",
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+    const list = report.querySelector(".bulk-report-list");
+    entries.forEach((entry) => {
+      const item = document.createElement("li");
+      item.className = `bulk-report-item ${entry.status}`;
+      item.textContent =
+        entry.status === "failed"
+          ? `@${entry.username}: failed (${entry.error})`
+          : `@${entry.username}: ${
+              entry.status === "queued" ? "queued for retry" : "unfollowed"
+            }`;
+      list.appendChild(item);
+    });
+
+    report
+      .querySelector(".bulk-report-close")
+      .addEventListener("click", () => {
+        report.style.display = "none";
+        progress.style.display = "none";
+      });
+    report.style.display = "block";
+  }
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === "bulkUnfollowProgress") {
+      renderStatus(message);
+    }
+  });
+
+  // Pick up a run started before the popup was reopened
+  chrome.runtime.sendMessage({ action: "getBulkUnfollowStatus" }, (status) => {
+    if (status && status.running) {
+      appliedCount = status.report.length;
+      renderStatus(status);
+    }
+  });
+
+  return bar;
+}
@@ -0,0 +1,61 @@
+import { FEED_EVENTS, describeFeedEntry } from "../utils/changeFeed.js";
+import { formatDate } from "../utils/dateUtils.js";
+
+/**
+ * Create the panel listing the relationship changes since the last visit
+ *
+ * @param {Array} entries - Unseen feed entries, oldest first
+ * @returns {HTMLElement} The panel element
+ */
+export function createChangeFeedPanel(entries) {
+  const panel = document.createElement("div");
+  panel.className = "change-feed-panel";
+  panel.innerHTML = `
+    <div class="change-feed-header">
+      <span class="change-feed-summary"></span>
+      <button class="change-feed-toggle">Show</button>
+      <button class="change-feed-dismiss" title="Dismiss">&times;</button>
+    </div>
+    <ul class="change-feed-list" style="display: none"></ul>
+  `;
+
+  const lost = entries.filter(
+    (entry) => entry.type === FEED_EVENTS.LOST_FOLLOWER
+  ).length;
+  const gained = entries.length - lost;
+
+  const summary = [];
+  if (gained > 0) {
+    summary.push(`${gained} new ${gained === 1 ? "follower" : "followers"}`);
+  }
+  if (lost > 0) {
+    summary.push(`${lost} unfollowed you`);
+  }
+  panel.querySelector(
+    ".change-feed-summary"
+  ).textContent = `Since your last visit: ${summary.join(", ")}`;
+
+  // Newest first
+  const list = panel.querySelector(".change-feed-list");
+  [...entries].reverse().forEach((entry) => {
+    const item = document.createElement("li");
+    item.className = `change-feed-item ${entry.type}`;
+    item.textContent = `${describeFeedEntry(entry)} · ${formatDate(
+      entry.timestamp
+    )}`;
+    list.appendChild(item);
+  });
+
+  const toggleButton = panel.querySelector(".change-feed-toggle");
+  toggleButton.addEventListener("click", () => {
+    const hidden = list.style.display === "none";
+    list.style.display = hidden ? "block" : "none";
+    toggleButton.textContent = hidden ? "Hide" : "Show";
+  });
+
+  panel
+    .querySelector(".change-feed-dismiss")
+    .addEventListener("click", () => panel.remove());
+
+  return panel;
+}
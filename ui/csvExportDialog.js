@@ -0,0 +1,167 @@
+import { CSV_COLUMNS } from "../utils/csvExport.js";
+import { getSettings, updateSettings } from "../utils/settings.js";
+
+// The dialog is shown in the popup and the storage viewer, so it brings its
+// own styles instead of relying on either page's stylesheet
+const DIALOG_STYLES = `
+  .csv-export-overlay {
+    position: fixed;
+    inset: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: rgba(0, 0, 0, 0.35);
+    z-index: 2000;
+  }
+
+  .csv-export-dialog {
+    width: 320px;
+    padding: 16px;
+    background: #ffffff;
+    border-radius: 12px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+    font-size: 14px;
+    color: #333;
+  }
+
+  .csv-export-dialog h3 {
+    margin: 0 0 4px 0;
+    font-size: 16px;
+  }
+
+  .csv-export-description {
+    margin: 0 0 12px 0;
+    font-size: 13px;
+    color: #777;
+  }
+
+  .csv-export-columns {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 6px 12px;
+    margin-bottom: 16px;
+  }
+
+  .csv-export-columns label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    cursor: pointer;
+  }
+
+  .csv-export-actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+  }
+
+  .csv-export-actions button {
+    padding: 6px 14px;
+    border: none;
+    border-radius: 8px;
+    cursor: pointer;
+    font-size: 13px;
+  }
+
+  .csv-export-cancel {
+    background: #f0f0f0;
+    color: #555;
+  }
+
+  .csv-export-confirm {
+    background: #1cb0f6;
+    color: #ffffff;
+  }
+
+  .csv-export-confirm:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+`;
+
+function addDialogStyles() {
+  if (document.getElementById("csv-export-styles")) return;
+
+  const style = document.createElement("style");
+  style.id = "csv-export-styles";
+  style.textContent = DIALOG_STYLES;
+  document.head.appendChild(style);
+}
+
+/**
+ * Show the column picker for a CSV export. The picked columns are saved in
+ * the settings and preselected next time.
+ *
+ * @param {Object} options - Dialog options
+ * @param {string} options.description - What will be exported (e.g. "42 filtered users")
+ * @param {Function} options.onExport - Called with the picked column keys
+ */
+export async function showCsvExportDialog({ description, onExport }) {
+  addDialogStyles();
+
+  const { csvColumns } = await getSettings();
+  const selected = new Set(
+    csvColumns || CSV_COLUMNS.map((column) => column.key)
+  );
+
+  const overlay = document.createElement("div");
+  overlay.className = "csv-export-overlay";
+  overlay.innerHTML = `
+    <div class="csv-export-dialog">
+      <h3>Export CSV</h3>
+      <p class="csv-export-description"></p>
+      <div class="csv-export-columns"></div>
+      <div class="csv-export-actions">
+        <button class="csv-export-cancel">Cancel</button>
+        <button class="csv-export-confirm">Export</button>
+      </div>
+    </div>
+  `;
+  overlay.querySelector(".csv-export-description").textContent = description;
+
+  const confirmButton = overlay.querySelector(".csv-export-confirm");
+  const columnsContainer = overlay.querySelector(".csv-export-columns");
+
+  CSV_COLUMNS.forEach((column) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = selected.has(column.key);
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) {
+        selected.add(column.key);
+      } else {
+        selected.delete(column.key);
+      }
+      confirmButton.disabled = selected.size === 0;
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(column.label));
+    columnsContainer.appendChild(label);
+  });
+  confirmButton.disabled = selected.size === 0;
+
+  const close = () => overlay.remove();
+
+  overlay.querySelector(".csv-export-cancel").addEventListener("click", close);
+  overlay.addEventListener("click", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  confirmButton.addEventListener("click", async () => {
+    // Keep the file's column order, not the click order
+    const columnKeys = CSV_COLUMNS.map((column) => column.key).filter((key) =>
+      selected.has(key)
+    );
+    close();
+
+    try {
+      await updateSettings({ csvColumns: columnKeys });
+    } catch (error) {
+      console.warn("Could not save the CSV columns:", error);
+    }
+    await onExport(columnKeys);
+  });
+
+  document.body.appendChild(overlay);
+}
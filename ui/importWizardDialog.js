@@ -0,0 +1,381 @@
+import {
+  IMPORT_MODES,
+  CONFLICT_POLICIES,
+  CONFLICT_POLICY_LABELS,
+} from "../utils/dataImport.js";
+
+const WIZARD_STYLES = `
+  .import-wizard-overlay {
+    position: fixed;
+    inset: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: rgba(0, 0, 0, 0.35);
+    z-index: 2000;
+  }
+
+  .import-wizard {
+    width: 480px;
+    max-height: 90vh;
+    overflow-y: auto;
+    padding: 16px;
+    background: #ffffff;
+    border-radius: 12px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+    font-size: 14px;
+    color: #333;
+  }
+
+  .import-wizard h3 {
+    margin: 0 0 4px 0;
+    font-size: 16px;
+  }
+
+  .import-wizard h4 {
+    margin: 16px 0 6px 0;
+    font-size: 14px;
+  }
+
+  .import-wizard-description {
+    margin: 0;
+    font-size: 13px;
+    color: #777;
+  }
+
+  .import-wizard-messages ul {
+    margin: 8px 0 0 0;
+    padding-left: 20px;
+    font-size: 13px;
+  }
+
+  .import-wizard-errors {
+    color: #ea2b2b;
+  }
+
+  .import-wizard-warnings {
+    color: #b26b00;
+  }
+
+  .import-wizard-options label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin-bottom: 4px;
+    cursor: pointer;
+  }
+
+  .import-wizard-options select {
+    margin-top: 4px;
+    padding: 4px;
+  }
+
+  .import-wizard table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 13px;
+  }
+
+  .import-wizard th,
+  .import-wizard td {
+    padding: 4px 6px;
+    border-bottom: 1px solid #eee;
+    text-align: right;
+  }
+
+  .import-wizard th:first-child,
+  .import-wizard td:first-child {
+    text-align: left;
+  }
+
+  .import-wizard-samples {
+    margin: 8px 0 0 0;
+    padding-left: 20px;
+    font-size: 12px;
+    color: #555;
+  }
+
+  .import-wizard-note {
+    margin: 16px 0;
+    font-size: 12px;
+    color: #777;
+  }
+
+  .import-wizard-actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+  }
+
+  .import-wizard-actions button {
+    padding: 6px 14px;
+    border: none;
+    border-radius: 8px;
+    cursor: pointer;
+    font-size: 13px;
+  }
+
+  .import-wizard-cancel {
+    background: #f0f0f0;
+    color: #555;
+  }
+
+  .import-wizard-confirm {
+    background: #58cc02;
+    color: #ffffff;
+  }
+`;
+
+function addWizardStyles() {
+  if (document.getElementById("import-wizard-styles")) return;
+
+  const style = document.createElement("style");
+  style.id = "import-wizard-styles";
+  style.textContent = WIZARD_STYLES;
+  document.head.appendChild(style);
+}
+
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleDateString();
+}
+
+function createMessageList(className, title, messages) {
+  const container = document.createElement("div");
+  container.className = className;
+  container.innerHTML = "<h4></h4><ul></ul>";
+  container.querySelector("h4").textContent = title;
+
+  const list = container.querySelector("ul");
+  messages.forEach((message) => {
+    const item = document.createElement("li");
+    item.textContent = message;
+    list.appendChild(item);
+  });
+
+  return container;
+}
+
+function renderValidation(container, validation) {
+  container.innerHTML = "";
+
+  if (validation.errors.length > 0) {
+    container.appendChild(
+      createMessageList(
+        "import-wizard-errors",
+        "The file can't be imported",
+        validation.errors
+      )
+    );
+    return;
+  }
+
+  const warnings = [];
+  if (validation.invalidRecords.length > 0) {
+    warnings.push(
+      `${validation.invalidRecords.length} records without a valid follow date will be skipped`
+    );
+  }
+  Object.entries(validation.unknownFields).forEach(([path, count]) => {
+    warnings.push(`Unknown field "${path}" (${count}×) will be ignored`);
+  });
+
+  if (warnings.length > 0) {
+    container.appendChild(
+      createMessageList("import-wizard-warnings", "Warnings", warnings)
+    );
+  }
+}
+
+function renderPreview(container, preview, mode) {
+  const replacing = mode === IMPORT_MODES.REPLACE;
+
+  container.innerHTML = `
+    <h4>Changes</h4>
+    <table>
+      <thead>
+        <tr>
+          <th></th>
+          <th>New</th>
+          <th>Overwritten</th>
+          <th>Conflicting dates</th>
+          <th>Unchanged</th>
+          ${replacing ? "<th>Removed</th>" : ""}
+        </tr>
+      </thead>
+      <tbody></tbody>
+    </table>
+  `;
+
+  const tbody = container.querySelector("tbody");
+  [
+    ["Followers", preview.followers],
+    ["Following", preview.following],
+  ].forEach(([label, counts]) => {
+    const row = document.createElement("tr");
+    const cells = [
+      label,
+      counts.added,
+      counts.overwritten,
+      counts.conflicts,
+      counts.unchanged,
+    ];
+    if (replacing) cells.push(counts.removed);
+
+    cells.forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+
+  const extras = [];
+  if (preview.userDetails.added || preview.userDetails.overwritten) {
+    extras.push(
+      `User details: ${preview.userDetails.added} new, ${preview.userDetails.overwritten} overwritten`
+    );
+  }
+  if (preview.safelist.added) {
+    extras.push(`Safelist: ${preview.safelist.added} new users`);
+  }
+  if (preview.userNotes.added || preview.userNotes.overwritten) {
+    extras.push(
+      `Notes and tags: ${preview.userNotes.added} new, ${preview.userNotes.overwritten} overwritten`
+    );
+  }
+  extras.forEach((text) => {
+    const line = document.createElement("p");
+    line.className = "import-wizard-description";
+    line.textContent = text;
+    container.appendChild(line);
+  });
+
+  if (preview.conflictSamples.length > 0) {
+    const samples = document.createElement("ul");
+    samples.className = "import-wizard-samples";
+    preview.conflictSamples.forEach((sample) => {
+      const item = document.createElement("li");
+      item.textContent =
+        `${sample.username} (${sample.type}): ` +
+        `${formatTimestamp(sample.existingTimestamp)} stored, ` +
+        `${formatTimestamp(sample.importedTimestamp)} in file → ` +
+        `keeps ${formatTimestamp(sample.keptTimestamp)}`;
+      samples.appendChild(item);
+    });
+    container.appendChild(samples);
+  }
+}
+
+/**
+ * Show the import wizard for a parsed file: validation results, the import
+ * mode and conflict policy, and a preview of the changes.
+ *
+ * @param {Object} options - Wizard options
+ * @param {string} options.fileName - Name of the imported file
+ * @param {Object} options.parsed - Result of parseImportFile
+ * @param {Function} options.getPreview - Called with { mode, policy }, returns the preview from planImport
+ * @param {Function} options.onImport - Called with { mode, policy } when the import is confirmed
+ */
+export function showImportWizard({ fileName, parsed, getPreview, onImport }) {
+  addWizardStyles();
+
+  const { validation } = parsed;
+  const options = {
+    mode: IMPORT_MODES.MERGE,
+    policy: CONFLICT_POLICIES.EARLIEST,
+  };
+
+  const overlay = document.createElement("div");
+  overlay.className = "import-wizard-overlay";
+  overlay.innerHTML = `
+    <div class="import-wizard">
+      <h3>Import data</h3>
+      <p class="import-wizard-description"></p>
+      <div class="import-wizard-messages"></div>
+      <div class="import-wizard-options">
+        <h4>Import mode</h4>
+        <label>
+          <input type="radio" name="import-mode" value="${IMPORT_MODES.MERGE}" checked />
+          Merge into the existing data
+        </label>
+        <label>
+          <input type="radio" name="import-mode" value="${IMPORT_MODES.REPLACE}" />
+          Replace the existing data
+        </label>
+        <h4>When follow dates conflict</h4>
+        <select class="import-wizard-policy"></select>
+      </div>
+      <div class="import-wizard-preview"></div>
+      <p class="import-wizard-note">
+        A backup of the current data is saved before anything is written.
+      </p>
+      <div class="import-wizard-actions">
+        <button class="import-wizard-cancel">Cancel</button>
+        <button class="import-wizard-confirm">Import</button>
+      </div>
+    </div>
+  `;
+
+  const schemaVersion = validation.version || "unknown";
+  overlay.querySelector(
+    ".import-wizard-description"
+  ).textContent = `${fileName} · ${parsed.format.toUpperCase()} · schema version ${schemaVersion}`;
+  renderValidation(
+    overlay.querySelector(".import-wizard-messages"),
+    validation
+  );
+
+  const close = () => overlay.remove();
+  overlay
+    .querySelector(".import-wizard-cancel")
+    .addEventListener("click", close);
+  overlay.addEventListener("click", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  const confirmButton = overlay.querySelector(".import-wizard-confirm");
+
+  // Nothing to choose or preview when the file can't be imported
+  if (!validation.valid) {
+    overlay.querySelector(".import-wizard-options").remove();
+    overlay.querySelector(".import-wizard-note").remove();
+    confirmButton.remove();
+    document.body.appendChild(overlay);
+    return;
+  }
+
+  const policySelect = overlay.querySelector(".import-wizard-policy");
+  Object.entries(CONFLICT_POLICY_LABELS).forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    policySelect.appendChild(option);
+  });
+  policySelect.value = options.policy;
+
+  const previewContainer = overlay.querySelector(".import-wizard-preview");
+  const updatePreview = () => {
+    // Replacing always keeps the file's records
+    policySelect.disabled = options.mode === IMPORT_MODES.REPLACE;
+    renderPreview(previewContainer, getPreview(options), options.mode);
+  };
+
+  overlay.querySelectorAll('input[name="import-mode"]').forEach((radio) => {
+    radio.addEventListener("change", () => {
+      options.mode = radio.value;
+      updatePreview();
+    });
+  });
+  policySelect.addEventListener("change", () => {
+    options.policy = policySelect.value;
+    updatePreview();
+  });
+
+  confirmButton.addEventListener("click", async () => {
+    close();
+    await onImport({ ...options });
+  });
+
+  updatePreview();
+  document.body.appendChild(overlay);
+}
@@ -0,0 +1,162 @@
+/**
+ * Sort options for the popup lists. Users missing the sorted value (e.g. no
+ * cached streak) always go last.
+ */
+export const SORT_OPTIONS = {
+  default: { label: "Default order" },
+  name: { label: "Name (A-Z)" },
+  xp: { label: "XP (highest first)" },
+  followDate: { label: "Follow date (newest first)" },
+  streak: { label: "Streak (longest first)" },
+};
+
+/**
+ * Create the search box, sort select and tag filter shown above the lists
+ *
+ * @param {Object} state - List state ({ query, sort, tag }) updated in place
+ * @param {Function} onChange - Called after the state changed
+ * @returns {HTMLElement} The controls element
+ */
+export function createListControls(state, onChange) {
+  const controls = document.createElement("div");
+  controls.className = "list-controls";
+
+  const searchInput = document.createElement("input");
+  searchInput.type = "search";
+  searchInput.className = "list-search-input";
+  searchInput.placeholder = "Search by name or username";
+  searchInput.value = state.query;
+  controls.appendChild(searchInput);
+
+  const sortSelect = document.createElement("select");
+  sortSelect.className = "list-sort-select";
+  sortSelect.title = "Sort";
+  Object.entries(SORT_OPTIONS).forEach(([value, { label }]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    sortSelect.appendChild(option);
+  });
+  sortSelect.value = state.sort;
+  controls.appendChild(sortSelect);
+
+  // Filled by updateTagFilter, hidden until a tag exists
+  const tagSelect = document.createElement("select");
+  tagSelect.className = "list-tag-select";
+  tagSelect.title = "Filter by tag";
+  tagSelect.style.display = "none";
+  controls.appendChild(tagSelect);
+
+  // Wait for a pause in typing before re-rendering long lists
+  let searchTimeout = null;
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => {
+      state.query = searchInput.value;
+      onChange();
+    }, 200);
+  });
+
+  sortSelect.addEventListener("change", () => {
+    state.sort = sortSelect.value;
+    onChange();
+  });
+
+  tagSelect.addEventListener("change", () => {
+    state.tag = tagSelect.value;
+    onChange();
+  });
+
+  return controls;
+}
+
+/**
+ * Fill the tag filter with the tags in use. A filtered tag that is no longer
+ * used is kept so the filter doesn't change under the user.
+ *
+ * @param {HTMLElement} controls - Element from createListControls
+ * @param {Array} tags - Tags ({ name, color }) in use
+ * @param {Object} state - List state ({ tag })
+ */
+export function updateTagFilter(controls, tags, state) {
+  const tagSelect = controls.querySelector(".list-tag-select");
+  const names = tags.map((tag) => tag.name);
+  if (state.tag && !names.includes(state.tag)) {
+    names.unshift(state.tag);
+  }
+
+  tagSelect.innerHTML = "";
+  ["", ...names].forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = name || "All tags";
+    tagSelect.appendChild(option);
+  });
+  tagSelect.value = state.tag;
+  tagSelect.style.display = names.length > 0 ? "" : "none";
+}
+
+/**
+ * Filter users by the search query and tag and sort them, without touching
+ * the input
+ *
+ * @param {Array} users - Users to filter and sort
+ * @param {Object} state - List state ({ query, sort, tag })
+ * @param {Object} context - Sort data: followDates (userId -> { date }),
+ * userDetails (userId -> cached details with streak) and userNotes
+ * (Map of userId -> { tags })
+ * @returns {Array} A new array with the matching users in order
+ */
+export function applyListControls(users, state, context = {}) {
+  const {
+    followDates = {},
+    userDetails = {},
+    userNotes = new Map(),
+  } = context;
+  const query = state.query.trim().toLowerCase();
+
+  let result = users;
+  if (query) {
+    result = result.filter(
+      (user) =>
+        (user.displayName || "").toLowerCase().includes(query) ||
+        (user.username || "").toLowerCase().includes(query)
+    );
+  }
+  if (state.tag) {
+    result = result.filter((user) =>
+      (userNotes.get(Number(user.userId))?.tags || []).some(
+        (tag) => tag.name === state.tag
+      )
+    );
+  }
+
+  const getSortValue = {
+    name: (user) => (user.displayName || user.username || "").toLowerCase(),
+    xp: (user) => user.totalXp,
+    followDate: (user) => {
+      const date = user.date || followDates[user.userId]?.date;
+      return date ? new Date(date).getTime() : undefined;
+    },
+    streak: (user) => userDetails[user.userId]?.streak,
+  }[state.sort];
+
+  if (!getSortValue) {
+    return result === users ? [...users] : result;
+  }
+
+  // Names ascending, everything else descending
+  const direction = state.sort === "name" ? 1 : -1;
+  return [...result].sort((a, b) => {
+    const valueA = getSortValue(a);
+    const valueB = getSortValue(b);
+
+    const missingA = valueA === undefined || valueA === null;
+    const missingB = valueB === undefined || valueB === null;
+
+    if (missingA || missingB) return missingA - missingB;
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    return 0;
+  });
+}
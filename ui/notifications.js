@@ -126,3 +126,121 @@ export function showUsernameUpdateNotification(
     }
   }, 5000);
 }
+
+/**
+ * Display a notification offering to undo an action before it happens
+ *
+ * @param {string} message - Description of the pending action
+ * @param {Object} options - Notification options
+ * @param {number} options.duration - How long Undo is offered, in milliseconds
+ * @param {Function} options.onUndo - Called when the user clicks Undo
+ * @returns {Function} Function that dismisses the notification early
+ */
+export function showUndoNotification(message, { duration = 5000, onUndo }) {
+  let stack = document.querySelector(".undo-notification-stack");
+  if (!stack) {
+    stack = document.createElement("div");
+    stack.className = "undo-notification-stack";
+    document.body.appendChild(stack);
+  }
+
+  const notification = document.createElement("div");
+  notification.className = "undo-notification";
+  notification.innerHTML = `
+    <span class="undo-notification-message"></span>
+    <button class="undo-notification-button">Undo</button>
+    <div class="undo-notification-timer"></div>
+  `;
+  notification.querySelector(".undo-notification-message").textContent =
+    message;
+  notification.querySelector(
+    ".undo-notification-timer"
+  ).style.animationDuration = `${duration}ms`;
+  stack.appendChild(notification);
+
+  // Add style for notification if it doesn't exist yet
+  if (!document.getElementById("undo-notification-style")) {
+    const style = document.createElement("style");
+    style.id = "undo-notification-style";
+    style.textContent = `
+      .undo-notification-stack {
+        position: fixed;
+        bottom: 20px;
+        left: 20px;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        z-index: 1000;
+      }
+
+      .undo-notification {
+        position: relative;
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        background-color: #333;
+        color: white;
+        border-radius: 4px;
+        padding: 10px 14px;
+        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.2);
+        font-size: 14px;
+        overflow: hidden;
+        max-width: 300px;
+        animation: undo-slide-in 0.3s ease-out;
+      }
+
+      @keyframes undo-slide-in {
+        from { transform: translateY(100%); opacity: 0; }
+        to { transform: translateY(0); opacity: 1; }
+      }
+
+      .undo-notification-message {
+        flex-grow: 1;
+      }
+
+      .undo-notification-button {
+        background: none;
+        border: none;
+        color: #1cb0f6;
+        font-weight: 700;
+        font-size: 14px;
+        cursor: pointer;
+        padding: 0;
+      }
+
+      .undo-notification-timer {
+        position: absolute;
+        left: 0;
+        bottom: 0;
+        height: 3px;
+        width: 100%;
+        background: #1cb0f6;
+        transform-origin: left;
+        animation: undo-countdown linear forwards;
+      }
+
+      @keyframes undo-countdown {
+        from { transform: scaleX(1); }
+        to { transform: scaleX(0); }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  const dismiss = () => {
+    clearTimeout(timer);
+    notification.remove();
+  };
+
+  notification
+    .querySelector(".undo-notification-button")
+    .addEventListener("click", () => {
+      dismiss();
+      onUndo();
+    });
+
+  // Undo is no longer possible once the action went through
+  const timer = setTimeout(dismiss, duration);
+
+  return dismiss;
+}
@@ -0,0 +1,30 @@
+import { formatBytes } from "../utils/storageManager.js";
+
+/**
+ * Create the warning shown when storage usage passes the threshold
+ *
+ * @param {Object} usage - Result of getStorageTotals
+ * @returns {HTMLElement} The warning element
+ */
+export function createStorageWarning(usage) {
+  const warning = document.createElement("div");
+  warning.className = "storage-warning";
+  warning.innerHTML = `
+    <span class="storage-warning-text"></span>
+    <a href="storage_viewer.html#storage-manager" target="_blank">Manage storage</a>
+    <button class="storage-warning-dismiss" title="Dismiss">&times;</button>
+  `;
+
+  const percent = Math.round(usage.usagePercentage);
+  const used = formatBytes(usage.totalBytes);
+  const quota = formatBytes(usage.quotaBytes);
+  warning.querySelector(
+    ".storage-warning-text"
+  ).textContent = `Storage is ${percent}% full (${used} of ${quota})`;
+
+  warning
+    .querySelector(".storage-warning-dismiss")
+    .addEventListener("click", () => warning.remove());
+
+  return warning;
+}
@@ -378,6 +378,159 @@ export function addStyles() {
       color: #333;
     }
     
+    .sync-strategy-info {
+      padding: 8px 16px 0 16px;
+      font-size: 12px;
+      color: #777;
+      background: #ffffff;
+    }
+    
+    .storage-warning {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin: 8px 16px 0 16px;
+      padding: 8px 12px;
+      background: #fff0f0;
+      border: 1px solid #ffd0d0;
+      border-radius: 8px;
+      font-size: 13px;
+    }
+    
+    .storage-warning-text {
+      flex: 1;
+      font-weight: 600;
+      color: #ea2b2b;
+    }
+    
+    .storage-warning a {
+      color: #1cb0f6;
+      text-decoration: none;
+    }
+    
+    .storage-warning-dismiss {
+      padding: 2px 8px;
+      font-size: 12px;
+      border: none;
+      border-radius: 6px;
+      background: transparent;
+      color: #777;
+      cursor: pointer;
+    }
+    
+    .change-feed-panel {
+      margin: 8px 16px 0 16px;
+      padding: 8px 12px;
+      background: #fff8f0;
+      border: 1px solid #ffe4cc;
+      border-radius: 8px;
+      font-size: 13px;
+    }
+    
+    .change-feed-header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+    
+    .change-feed-summary {
+      flex: 1;
+      font-weight: 600;
+      color: #ff9600;
+    }
+    
+    .change-feed-toggle,
+    .change-feed-dismiss {
+      padding: 2px 8px;
+      font-size: 12px;
+      border: none;
+      border-radius: 6px;
+      background: transparent;
+      color: #777;
+      cursor: pointer;
+    }
+    
+    .change-feed-toggle:hover,
+    .change-feed-dismiss:hover {
+      background: #ffe4cc;
+    }
+    
+    .change-feed-list {
+      list-style: none;
+      margin: 6px 0 0 0;
+      padding: 0;
+      max-height: 100px;
+      overflow-y: auto;
+    }
+    
+    .change-feed-item {
+      padding: 2px 0;
+      color: #58a700;
+    }
+    
+    .change-feed-item.lost_follower {
+      color: #ff4b4b;
+    }
+    
+    .change-feed-item.follow_back {
+      color: #1cb0f6;
+    }
+    
+    .list-controls {
+      display: flex;
+      gap: 8px;
+      padding: 8px 16px 0 16px;
+      background: #ffffff;
+    }
+    
+    .list-search-input {
+      flex: 1;
+      min-width: 0;
+      padding: 6px 10px;
+      font-size: 13px;
+      border: 1px solid #ddd;
+      border-radius: 8px;
+    }
+    
+    .list-sort-select {
+      padding: 6px 8px;
+      font-size: 13px;
+      border: 1px solid #ddd;
+      border-radius: 8px;
+      background: #ffffff;
+    }
+    
+    .csv-export-button {
+      padding: 6px 10px;
+      font-size: 13px;
+      font-weight: 600;
+      border: 1px solid #ddd;
+      border-radius: 8px;
+      background: #ffffff;
+      color: #1cb0f6;
+      cursor: pointer;
+    }
+    
+    .csv-export-button:hover {
+      background: #f5f9ff;
+    }
+    
+    .list-tag-select {
+      max-width: 110px;
+      padding: 6px 8px;
+      font-size: 13px;
+      border: 1px solid #ddd;
+      border-radius: 8px;
+      background: #ffffff;
+    }
+    
+    .list-search-input:focus,
+    .list-sort-select:focus,
+    .list-tag-select:focus {
+      outline: none;
+      border-color: #1cb0f6;
+    }
+    
     .filter-container {
       margin: 0;
       padding: 16px;
@@ -417,6 +570,106 @@ export function addStyles() {
       color: #ffffff;
     }
     
+    .bulk-actions-bar {
+      padding: 8px 16px;
+      background: #ffffff;
+      border-bottom: 1px solid #eee;
+      font-size: 13px;
+    }
+    
+    .bulk-actions-row,
+    .bulk-progress-row,
+    .bulk-report-header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+    
+    .bulk-selected-count {
+      flex: 1;
+      color: #777;
+      font-weight: 600;
+    }
+    
+    .bulk-actions-bar button {
+      background-color: #f5f5f5;
+      color: #666;
+      border: none;
+      padding: 6px 10px;
+      border-radius: 8px;
+      cursor: pointer;
+      font-size: 12px;
+      font-weight: 600;
+    }
+    
+    .bulk-actions-bar button:disabled {
+      cursor: default;
+      opacity: 0.5;
+    }
+    
+    .bulk-actions-bar .bulk-unfollow-button {
+      background-color: #ff4b4b;
+      color: #ffffff;
+    }
+    
+    .bulk-progress {
+      margin-top: 8px;
+    }
+    
+    .bulk-progress-track {
+      height: 6px;
+      background: #eee;
+      border-radius: 3px;
+      overflow: hidden;
+      margin-bottom: 6px;
+    }
+    
+    .bulk-progress-bar {
+      height: 100%;
+      width: 0;
+      background: #ff4b4b;
+      transition: width 0.3s ease;
+    }
+    
+    .bulk-progress-text,
+    .bulk-report-summary {
+      flex: 1;
+      color: #666;
+    }
+    
+    .bulk-report {
+      margin-top: 8px;
+    }
+    
+    .bulk-report-list {
+      list-style: none;
+      margin: 6px 0 0 0;
+      padding: 0;
+      max-height: 120px;
+      overflow-y: auto;
+    }
+    
+    .bulk-report-item {
+      padding: 2px 0;
+      color: #58a700;
+    }
+    
+    .bulk-report-item.queued {
+      color: #a66f00;
+    }
+    
+    .bulk-report-item.failed {
+      color: #ff4b4b;
+    }
+    
+    .bulk-select-checkbox {
+      flex-shrink: 0;
+      width: 16px;
+      height: 16px;
+      margin: 0;
+      cursor: pointer;
+    }
+    
     .users-container {
       max-height: 460px;
       overflow-y: auto;
@@ -431,6 +684,13 @@ export function addStyles() {
       scrollbar-color: #1cb0f6 #f0f0f0;
     }
     
+    .virtual-list {
+      display: flex;
+      flex-direction: column;
+      flex-shrink: 0;
+      gap: 12px;
+    }
+    
     .users-container::-webkit-scrollbar {
       width: 8px;
     }
@@ -484,6 +744,11 @@ export function addStyles() {
       transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
     }
     
+    /* Unfollow waiting out its undo window */
+    .user-card.unfollow-scheduled {
+      opacity: 0.6;
+    }
+    
     /* Style for users who don't follow back */
     .not-following-back {
       background: rgba(255, 150, 0, 0.05);
@@ -507,6 +772,22 @@ export function addStyles() {
       box-shadow: 0 2px 4px rgba(255, 150, 0, 0.2);
     }
     
+    .safelist-toggle {
+      background: transparent;
+      border: none;
+      color: #ccc;
+      font-size: 20px;
+      line-height: 1;
+      padding: 4px;
+      cursor: pointer;
+      transition: color 0.2s ease;
+    }
+    
+    .safelist-toggle:hover,
+    .safelist-toggle.active {
+      color: #ffc800;
+    }
+    
     .streak-warning {
       color: #ff4b4b;
       font-size: 11px;
@@ -701,6 +982,35 @@ export function addStyles() {
       font-size: 14px;
     }
     
+    .pending-action {
+      display: inline-flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 10px;
+      border-radius: 8px;
+      background: #fff8e1;
+      border: 1px dashed #ffc800;
+      font-size: 13px;
+      font-weight: 600;
+      color: #a66f00;
+    }
+    
+    .pending-cancel-button {
+      background: transparent;
+      border: none;
+      color: #777;
+      font-size: 13px;
+      font-weight: 600;
+      cursor: pointer;
+      padding: 0;
+      text-decoration: underline;
+    }
+    
+    .pending-cancel-button:disabled {
+      cursor: default;
+      opacity: 0.6;
+    }
+    
     .follow-button {
       background: linear-gradient(45deg, #58cc02, #4caf50);
       color: white;
@@ -829,6 +1139,155 @@ export function addStyles() {
       font-style: italic;
     }
     
+    .relationship-timeline {
+      margin-top: 10px;
+    }
+    
+    .timeline-title {
+      margin: 5px 0;
+      font-weight: bold;
+      color: #666;
+    }
+    
+    .timeline-list {
+      list-style-type: none;
+      padding-left: 10px;
+      margin: 5px 0;
+    }
+    
+    .timeline-item {
+      margin-bottom: 3px;
+      font-size: 12px;
+      color: #777;
+    }
+    
+    .timeline-item.unfollowed {
+      color: #ff4b4b;
+    }
+    
+    .timeline-item.refollowed {
+      color: #58cc02;
+    }
+    
+    .user-tags {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px;
+      margin: 4px 0;
+    }
+    
+    .user-tag {
+      display: inline-flex;
+      align-items: center;
+      gap: 2px;
+      padding: 1px 6px;
+      border-radius: 10px;
+      color: white;
+      font-size: 11px;
+      font-weight: bold;
+    }
+    
+    .user-tag-remove {
+      padding: 0 0 0 2px;
+      border: none;
+      background: none;
+      color: white;
+      font-size: 12px;
+      line-height: 1;
+      cursor: pointer;
+    }
+    
+    .user-note-indicator {
+      font-size: 12px;
+      cursor: help;
+    }
+    
+    .user-notes-editor {
+      margin-top: 10px;
+    }
+    
+    .user-notes-title {
+      margin: 5px 0;
+      font-weight: bold;
+      color: #666;
+    }
+    
+    .user-note-input {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 6px;
+      font-family: inherit;
+      font-size: 12px;
+      border: 1px solid #ddd;
+      border-radius: 6px;
+      resize: vertical;
+    }
+    
+    .user-tag-list {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      margin: 5px 0;
+    }
+    
+    .user-tag-row,
+    .user-notes-actions {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-top: 5px;
+    }
+    
+    .user-tag-input {
+      flex: 1;
+      min-width: 0;
+      padding: 4px 6px;
+      font-size: 12px;
+      border: 1px solid #ddd;
+      border-radius: 6px;
+    }
+    
+    .user-tag-color {
+      padding: 3px;
+      font-size: 12px;
+      border: 1px solid #ddd;
+      border-radius: 6px;
+    }
+    
+    .user-notes-actions {
+      justify-content: flex-end;
+    }
+    
+    .user-notes-status {
+      font-size: 12px;
+      color: #58cc02;
+    }
+    
+    .user-tag-add,
+    .user-notes-save {
+      padding: 4px 10px;
+      font-size: 12px;
+      font-weight: 600;
+      border: 1px solid #ddd;
+      border-radius: 6px;
+      background: #ffffff;
+      color: #1cb0f6;
+      cursor: pointer;
+    }
+    
+    .user-notes-save {
+      background: #1cb0f6;
+      border-color: #1cb0f6;
+      color: white;
+    }
+    
+    .user-tag-add:disabled,
+    .user-notes-save:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+    
     .details-error {
       color: #ff4b4b;
       text-align: center;
@@ -843,7 +1302,14 @@ export function addStyles() {
       margin-top: 2px;
       font-style: italic;
     }
-    
+
+    .previous-usernames {
+      font-size: 11px;
+      color: #999;
+      margin-top: 2px;
+      cursor: help;
+    }
+
     .user-relationship {
       display: flex;
       flex-wrap: wrap;
@@ -1027,75 +1493,6 @@ export function addStyles() {
       opacity: 1;
     }
 
-    /* Loading skeleton styles */
-    .skeleton-card {
-      display: flex;
-      align-items: center;
-      padding: 16px;
-      border-radius: 12px;
-      background: #ffffff;
-      margin-bottom: 12px;
-      position: relative;
-      overflow: hidden;
-    }
-
-    .skeleton-card::after {
-      content: '';
-      position: absolute;
-      top: 0;
-      right: 0;
-      bottom: 0;
-      left: 0;
-      transform: translateX(-100%);
-      background-image: linear-gradient(
-        90deg,
-        rgba(255, 255, 255, 0) 0,
-        rgba(255, 255, 255, 0.2) 20%,
-        rgba(255, 255, 255, 0.5) 60%,
-        rgba(255, 255, 255, 0)
-      );
-      animation: shimmer 2s infinite;
-    }
-
-    @keyframes shimmer {
-      100% {
-        transform: translateX(100%);
-      }
-    }
-
-    .skeleton-avatar {
-      width: 60px;
-      height: 60px;
-      border-radius: 50%;
-      background: #f0f0f0;
-      margin-right: 16px;
-      flex-shrink: 0;
-    }
-
-    .skeleton-content {
-      flex: 1;
-    }
-
-    .skeleton-line {
-      height: 12px;
-      background: #f0f0f0;
-      border-radius: 6px;
-      margin-bottom: 8px;
-    }
-
-    .skeleton-line.title {
-      width: 40%;
-      height: 16px;
-    }
-
-    .skeleton-line.subtitle {
-      width: 60%;
-    }
-
-    .skeleton-line.text {
-      width: 80%;
-    }
-
     /* Improved progress bar styles */
     .progress-bar-container {
       width: 80%;
@@ -1187,6 +1584,24 @@ export function addStyles() {
       opacity: 1;
     }
     
+    .refollow-button {
+      margin-left: auto;
+      flex-shrink: 0;
+      background: #ffffff;
+      color: #58cc02;
+      border: 1px solid #58cc02;
+      padding: 6px 12px;
+      border-radius: 8px;
+      font-weight: 600;
+      font-size: 13px;
+      cursor: pointer;
+    }
+    
+    .refollow-button:disabled {
+      cursor: default;
+      opacity: 0.6;
+    }
+    
     .loading-inactive {
       display: flex;
       flex-direction: column;
@@ -1,121 +1,96 @@
 import {
-  getFollowerDate,
-  getFollowingDate,
-  removeFollowing,
+  getFollowDateIndex,
+  getRelationshipHistory,
+  mergePreviousUsernames,
+  RELATIONSHIP_EVENTS,
 } from "../follow_date_manager.js";
 import { formatDate } from "../utils/dateUtils.js";
+import { updateStoredUserDetails } from "../utils/userDetailsStorage.js";
+import { showUndoNotification } from "./notifications.js";
+import { createVirtualList } from "./virtualList.js";
+import { renderUserTags, createUserNotesEditor } from "./userNotesEditor.js";
 import { userDetailsCache } from "../services/userService.js";
 import { updateNotFollowingBackCounter } from "../services/userService.js";
+import {
+  pendingOperations,
+  getPendingOperation,
+  cancelQueuedOperation,
+  selectedUserIds,
+  setUserSelected,
+  safelistedUserIds,
+  setUserSafelisted,
+  onUserNotesChange,
+} from "../services/userService.js";
+
+// How long an unfollow can be undone before the request is sent (ms)
+const UNFOLLOW_UNDO_DELAY = 5000;
+
+// Virtual list of each rendered container, kept so later renders reuse the
+// cached cards
+const virtualLists = new WeakMap();
+
+// A user can have a card in several tabs, refresh the tags of all of them.
+// Detached cards are refreshed when mounted again.
+onUserNotesChange((userId) => {
+  document
+    .querySelectorAll(`.user-card[data-user-id="${userId}"] .user-tags`)
+    .forEach((container) => renderUserTags(container, userId));
+});
 
 /**
- * Render user cards with optimized batch rendering
+ * Render user cards in a virtual list that only mounts the visible cards
  *
  * @param {Array} users - List of users to render
  * @param {HTMLElement} container - Container to render cards into
  * @param {boolean} showUnfollowButton - Whether to show unfollow button
  * @param {Map} followerIds - Map of follower IDs
  * @param {Map} followingIds - Map of following IDs
+ * @param {string} [emptyMessage] - Message shown instead of the default one
+ * when there are no users (e.g. nothing matches the search)
  */
 export async function renderUserCards(
   users,
   container,
   showUnfollowButton,
   followerIds,
-  followingIds
+  followingIds,
+  emptyMessage = null
 ) {
-  container.innerHTML = "";
-
-  if (users.length === 0) {
-    const emptyMessage = document.createElement("p");
-    emptyMessage.className = "empty-message";
-    emptyMessage.textContent = showUnfollowButton
-      ? "You are not following anyone."
-      : "You have no followers.";
-    container.appendChild(emptyMessage);
-    return;
-  }
-
-  // Show loading skeletons first
-  const skeletonFragment = document.createDocumentFragment();
-  const numSkeletons = Math.min(5, users.length); // Show up to 5 skeletons
-
-  for (let i = 0; i < numSkeletons; i++) {
-    const skeleton = createSkeletonCard();
-    skeletonFragment.appendChild(skeleton);
+  let list = virtualLists.get(container);
+  if (!list) {
+    container.innerHTML = "";
+    list = createVirtualList(container, {
+      getKey: (user) => user.userId,
+      renderItem: (user) =>
+        createUserCard(user, showUnfollowButton, followerIds, followingIds),
+      // The selection and tags may have changed while the card was detached
+      onMount: (card, user) => {
+        const selectCheckbox = card.querySelector(".bulk-select-checkbox");
+        if (selectCheckbox) {
+          selectCheckbox.checked =
+            !selectCheckbox.disabled && selectedUserIds.has(user.userId);
+        }
+        renderUserTags(card.querySelector(".user-tags"), user.userId);
+      },
+    });
+    virtualLists.set(container, list);
   }
-  container.appendChild(skeletonFragment);
-
-  // Create document fragment for batch DOM operations
-  const fragment = document.createDocumentFragment();
 
-  // Number of users per batch
-  const BATCH_SIZE = 20;
+  const previousMessage = container.querySelector(":scope > .empty-message");
+  if (previousMessage) previousMessage.remove();
 
-  // Function to process a batch of users
-  async function processBatch(startIndex) {
-    const endIndex = Math.min(startIndex + BATCH_SIZE, users.length);
+  list.setItems(users);
 
-    // Remove skeletons when first batch is ready
-    if (startIndex === 0) {
-      container.innerHTML = "";
-    }
-
-    // Process users in current batch
-    for (let i = startIndex; i < endIndex; i++) {
-      const user = users[i];
-      const card = createUserCard(
-        user,
-        showUnfollowButton,
-        followerIds,
-        followingIds
-      );
-      fragment.appendChild(card);
-    }
-
-    // Add fragment to container
-    container.appendChild(fragment);
-
-    // If there are more users, schedule next batch
-    if (endIndex < users.length) {
-      // Small delay to allow UI to respond
-      setTimeout(() => {
-        window.requestAnimationFrame(() => {
-          processBatch(endIndex);
-        });
-      }, 10);
-    }
+  if (users.length === 0) {
+    const message = document.createElement("p");
+    message.className = "empty-message";
+    message.textContent =
+      emptyMessage ||
+      (showUnfollowButton
+        ? "You are not following anyone."
+        : "You have no followers.");
+    container.appendChild(message);
   }
-
-  // Start batch processing
-  processBatch(0);
-}
-
-// Helper function to create a skeleton loading card
-function createSkeletonCard() {
-  const skeleton = document.createElement("div");
-  skeleton.className = "skeleton-card";
-
-  const avatar = document.createElement("div");
-  avatar.className = "skeleton-avatar";
-  skeleton.appendChild(avatar);
-
-  const content = document.createElement("div");
-  content.className = "skeleton-content";
-
-  const title = document.createElement("div");
-  title.className = "skeleton-line title";
-  content.appendChild(title);
-
-  const subtitle = document.createElement("div");
-  subtitle.className = "skeleton-line subtitle";
-  content.appendChild(subtitle);
-
-  const text = document.createElement("div");
-  text.className = "skeleton-line text";
-  content.appendChild(text);
-
-  skeleton.appendChild(content);
-  return skeleton;
 }
 
 /**
@@ -137,6 +112,20 @@ export function createUserCard(
   card.className = "user-card";
   card.dataset.userId = user.userId;
 
+  // Selection checkbox for bulk actions (only for following tab)
+  if (showUnfollowButton && user.isFollowing) {
+    const selectCheckbox = document.createElement("input");
+    selectCheckbox.type = "checkbox";
+    selectCheckbox.className = "bulk-select-checkbox";
+    selectCheckbox.title = "Select for bulk actions";
+    selectCheckbox.checked = selectedUserIds.has(user.userId);
+    selectCheckbox.addEventListener("click", (e) => e.stopPropagation());
+    selectCheckbox.addEventListener("change", () => {
+      setUserSelected(user.userId, selectCheckbox.checked);
+    });
+    card.appendChild(selectCheckbox);
+  }
+
   // Profile picture
   const picture = document.createElement("img");
   picture.className = "user-picture";
@@ -171,14 +160,8 @@ export function createUserCard(
   card.appendChild(picture);
 
   // Highlight users who aren't following back (in the "Following" tab)
-  if (showUnfollowButton && !user.isFollowedBy) {
-    card.classList.add("not-following-back");
-
-    // Not following back indicator
-    const notFollowingBadge = document.createElement("div");
-    notFollowingBadge.className = "not-following-badge";
-    notFollowingBadge.textContent = "Not following you";
-    card.appendChild(notFollowingBadge);
+  if (showUnfollowButton) {
+    updateNotFollowingBackState(card, user);
   }
 
   // User info container
@@ -224,6 +207,12 @@ export function createUserCard(
   username.appendChild(usernameLink);
   userInfo.appendChild(username);
 
+  // Private tags and note indicator
+  const tagsContainer = document.createElement("div");
+  tagsContainer.className = "user-tags";
+  renderUserTags(tagsContainer, user.userId);
+  userInfo.appendChild(tagsContainer);
+
   // XP
   const xp = document.createElement("p");
   xp.className = "user-xp";
@@ -280,6 +269,11 @@ export function createUserCard(
   actionsContainer.className = "actions-container";
   card.appendChild(actionsContainer);
 
+  // Safelist star (only for following tab)
+  if (showUnfollowButton && user.isFollowing) {
+    addSafelistToggle(actionsContainer, user, card);
+  }
+
   // Unfollow button (only for following tab)
   if (showUnfollowButton && user.isFollowing) {
     addUnfollowButton(actionsContainer, user, card, followerIds, followingIds);
@@ -299,6 +293,78 @@ export function createUserCard(
   return card;
 }
 
+/**
+ * Highlight a Following card when the user doesn't follow back, unless they
+ * are safelisted
+ *
+ * @param {HTMLElement} card - User card element
+ * @param {Object} user - User data
+ */
+function updateNotFollowingBackState(card, user) {
+  const safelisted = safelistedUserIds.has(user.userId);
+  const highlight = !user.isFollowedBy && !safelisted;
+
+  card.classList.toggle("not-following-back", highlight);
+  card.classList.toggle("safelisted", safelisted);
+
+  // Not following back indicator
+  let notFollowingBadge = card.querySelector(".not-following-badge");
+  if (highlight && !notFollowingBadge) {
+    notFollowingBadge = document.createElement("div");
+    notFollowingBadge.className = "not-following-badge";
+    notFollowingBadge.textContent = "Not following you";
+    card.insertBefore(notFollowingBadge, card.querySelector(".user-info"));
+  } else if (!highlight && notFollowingBadge) {
+    notFollowingBadge.remove();
+  }
+
+  // Safelisted users can't be selected for bulk unfollow
+  const selectCheckbox = card.querySelector(".bulk-select-checkbox");
+  if (selectCheckbox) {
+    selectCheckbox.disabled = safelisted;
+    if (safelisted) selectCheckbox.checked = false;
+  }
+}
+
+/**
+ * Add the safelist star toggle to a user card
+ *
+ * @param {HTMLElement} actionsContainer - Container for actions
+ * @param {Object} user - User data
+ * @param {HTMLElement} card - User card element
+ */
+function addSafelistToggle(actionsContainer, user, card) {
+  const safelistButton = document.createElement("button");
+  safelistButton.className = "safelist-toggle";
+
+  const render = () => {
+    const safelisted = safelistedUserIds.has(user.userId);
+    safelistButton.textContent = safelisted ? "★" : "☆";
+    safelistButton.title = safelisted
+      ? "Remove from safelist"
+      : "Add to safelist (never suggest unfollowing)";
+    safelistButton.classList.toggle("active", safelisted);
+  };
+  render();
+
+  safelistButton.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    safelistButton.disabled = true;
+    try {
+      await setUserSafelisted(user, !safelistedUserIds.has(user.userId));
+      render();
+      updateNotFollowingBackState(card, user);
+      updateNotFollowingBackCounter();
+    } catch (error) {
+      console.error("Error updating safelist:", error);
+      alert("Error updating safelist. Please try again.");
+    } finally {
+      safelistButton.disabled = false;
+    }
+  });
+  actionsContainer.appendChild(safelistButton);
+}
+
 /**
  * Load follow date information asynchronously
  *
@@ -308,10 +374,12 @@ export function createUserCard(
  */
 async function loadFollowDateInfo(user, showUnfollowButton, userInfo) {
   try {
+    // One shared in-memory lookup instead of a storage read per card
+    const followDates = await getFollowDateIndex();
     let followDateInfo = null;
     if (showUnfollowButton) {
       // In the list of people you follow
-      const followDateData = await getFollowingDate(user.userId);
+      const followDateData = followDates.following[user.userId];
       if (followDateData) {
         followDateInfo = document.createElement("div");
         followDateInfo.className = "follow-date-info";
@@ -343,7 +411,7 @@ async function loadFollowDateInfo(user, showUnfollowButton, userInfo) {
       }
     } else {
       // In the followers list
-      const followerDateData = await getFollowerDate(user.userId);
+      const followerDateData = followDates.followers[user.userId];
       if (followerDateData) {
         followDateInfo = document.createElement("div");
         followDateInfo.className = "follow-date-info";
@@ -374,6 +442,30 @@ async function loadFollowDateInfo(user, showUnfollowButton, userInfo) {
         }
       }
     }
+
+    // Usernames this user had before, from either relationship
+    const previousUsernames = mergePreviousUsernames(
+      user.username,
+      followDates.followers[user.userId],
+      followDates.following[user.userId]
+    );
+    if (previousUsernames.length > 0) {
+      const historyElement = document.createElement("div");
+      historyElement.className = "previous-usernames";
+      historyElement.textContent = `Formerly ${previousUsernames
+        .map((previous) => `@${previous.username}`)
+        .join(", ")}`;
+      historyElement.title = previousUsernames
+        .map(
+          (previous) =>
+            `@${previous.username} until ${formatDate(previous.changedAt)}`
+        )
+        .join("\n");
+      userInfo.insertBefore(
+        historyElement,
+        userInfo.querySelector(".additional-info-container")
+      );
+    }
   } catch (error) {
     console.error("Error loading follow date:", error);
   }
@@ -443,15 +535,7 @@ function setupExpandButtonHandler(
               userDetailsCache.set(userId, userDetails);
 
               // Save user details to Chrome storage
-              const result = await chrome.storage.local.get(["userDetails"]);
-              const storedUserDetails = result.userDetails || {};
-              storedUserDetails[userId] = {
-                ...userDetails,
-                lastUpdated: Date.now(),
-              };
-              await chrome.storage.local.set({
-                userDetails: storedUserDetails,
-              });
+              await updateStoredUserDetails(userId, userDetails);
             }
 
             // Remove loading indicator
@@ -571,11 +655,86 @@ function setupExpandButtonHandler(
           errorMessage.textContent = "Error loading details";
           additionalInfoContainer.appendChild(errorMessage);
         }
+
+        // Relationship history is stored locally, so show it even if details failed
+        await appendRelationshipTimeline(additionalInfoContainer, user.userId);
+
+        additionalInfoContainer.appendChild(createUserNotesEditor(user));
       }
     }
   });
 }
 
+/**
+ * Append the stored relationship timeline to the additional info container
+ *
+ * @param {HTMLElement} container - The container for additional info
+ * @param {number} userId - ID of the user
+ */
+async function appendRelationshipTimeline(container, userId) {
+  try {
+    const events = await getRelationshipHistory(userId);
+    if (events.length === 0) return;
+
+    const timelineContainer = document.createElement("div");
+    timelineContainer.className = "relationship-timeline";
+
+    const timelineTitle = document.createElement("p");
+    timelineTitle.className = "timeline-title";
+    timelineTitle.textContent = "Relationship history:";
+    timelineContainer.appendChild(timelineTitle);
+
+    const timelineList = document.createElement("ul");
+    timelineList.className = "timeline-list";
+
+    // Username changes are logged on both records, only show them once
+    const seenUsernameChanges = new Set();
+
+    events.forEach((event) => {
+      if (event.type === RELATIONSHIP_EVENTS.USERNAME_CHANGED) {
+        const key = `${event.previousUsername}->${event.username}`;
+        if (seenUsernameChanges.has(key)) return;
+        seenUsernameChanges.add(key);
+      }
+
+      const eventItem = document.createElement("li");
+      eventItem.className = `timeline-item ${event.type}`;
+      eventItem.textContent = `${new Date(
+        event.timestamp
+      ).toLocaleDateString()}: ${describeRelationshipEvent(event)}`;
+      timelineList.appendChild(eventItem);
+    });
+
+    timelineContainer.appendChild(timelineList);
+    container.appendChild(timelineContainer);
+  } catch (error) {
+    console.error("Error loading relationship history:", error);
+  }
+}
+
+/**
+ * Get a human readable description for a relationship event
+ *
+ * @param {Object} event - Event from the relationship timeline
+ * @returns {string} The event description
+ */
+function describeRelationshipEvent(event) {
+  const isFollower = event.relationshipType === "follower";
+
+  switch (event.type) {
+    case RELATIONSHIP_EVENTS.FOLLOWED:
+      return isFollower ? "Started following you" : "You followed them";
+    case RELATIONSHIP_EVENTS.UNFOLLOWED:
+      return isFollower ? "Unfollowed you" : "You unfollowed them";
+    case RELATIONSHIP_EVENTS.REFOLLOWED:
+      return isFollower ? "Followed you again" : "You followed them again";
+    case RELATIONSHIP_EVENTS.USERNAME_CHANGED:
+      return `Changed username from @${event.previousUsername} to @${event.username}`;
+    default:
+      return event.type;
+  }
+}
+
 /**
  * Add unfollow button to user card
  *
@@ -595,63 +754,64 @@ function addUnfollowButton(
   const unfollowButton = document.createElement("button");
   unfollowButton.className = "unfollow-button";
   unfollowButton.textContent = "Unfollow";
+
+  const onCompleted = () =>
+    applyUnfollowSuccess(user, card, followerIds, followingIds);
+
   unfollowButton.addEventListener("click", async (e) => {
     e.stopPropagation();
     try {
       unfollowButton.disabled = true;
       unfollowButton.textContent = "Unfollowing...";
+      card.classList.add("unfollow-scheduled");
+
+      // The background waits out the undo window before sending the request
+      const dismissUndo = showUndoNotification(
+        `Unfollowing @${user.username}`,
+        {
+          duration: UNFOLLOW_UNDO_DELAY,
+          onUndo: () =>
+            chrome.runtime.sendMessage({
+              action: "undoUnfollow",
+              userId: user.userId,
+            }),
+        }
+      );
 
       const response = await new Promise((resolve) =>
         chrome.runtime.sendMessage(
           {
             action: "unfollow",
             userId: user.userId,
+            undoDelay: UNFOLLOW_UNDO_DELAY,
           },
           resolve
         )
       );
+      dismissUndo();
+      card.classList.remove("unfollow-scheduled");
 
-      if (response.successful) {
-        // Remove the following record
-        await removeFollowing(user.userId);
-
-        // Update both maps to reflect the new state
-        followingIds.delete(user.userId);
-        user.isFollowing = false;
-
-        // Update any matching user in the followers list
-        const followerCard = document.querySelector(
-          `#followers-container [data-user-id="${user.userId}"]`
+      if (response.undone) {
+        unfollowButton.disabled = false;
+        unfollowButton.textContent = "Unfollow";
+      } else if (response.queued) {
+        // Couldn't reach Duolingo, the background will retry it
+        unfollowButton.disabled = false;
+        unfollowButton.textContent = "Unfollow";
+        pendingOperations.set(response.queueId, {
+          ...pendingOperations.get(response.queueId),
+          type: "unfollow",
+          targetUserId: user.userId,
+        });
+        showPendingState(
+          actionsContainer,
+          unfollowButton,
+          response.queueId,
+          onCompleted
         );
-        if (followerCard) {
-          const mutualBadge = followerCard.querySelector(".mutual-badge");
-          if (mutualBadge) mutualBadge.remove();
-
-          // Add a follow button since we're no longer following them
-          const followerActionsContainer =
-            followerCard.querySelector(".actions-container");
-          if (
-            followerActionsContainer &&
-            !followerActionsContainer.querySelector(".follow-button")
-          ) {
-            addFollowButton(
-              followerActionsContainer,
-              user,
-              followerCard.querySelector(".user-info"),
-              followerIds,
-              followingIds
-            );
-          }
-        }
-
-        // Remove the card with animation
-        card.classList.add("unfollowed");
-        setTimeout(() => {
-          card.remove();
-
-          // Recalculate and update the not following back counter
-          updateNotFollowingBackCounter();
-        }, 500);
+      } else if (response.successful) {
+        // The background already marked the following record as inactive
+        onCompleted();
       } else {
         unfollowButton.disabled = false;
         unfollowButton.textContent = "Unfollow";
@@ -659,12 +819,74 @@ function addUnfollowButton(
       }
     } catch (error) {
       console.error("Error unfollowing user:", error);
+      card.classList.remove("unfollow-scheduled");
       unfollowButton.disabled = false;
       unfollowButton.textContent = "Unfollow";
       alert("Error unfollowing user. Please try again.");
     }
   });
   actionsContainer.appendChild(unfollowButton);
+
+  // Restore the pending state of an unfollow queued in an earlier session
+  const pending = getPendingOperation(user.userId);
+  if (pending && pending.type === "unfollow") {
+    showPendingState(
+      actionsContainer,
+      unfollowButton,
+      pending.queueId,
+      onCompleted
+    );
+  }
+}
+
+/**
+ * Update the popup after a user was unfollowed
+ *
+ * @param {Object} user - User data
+ * @param {HTMLElement|null} card - User card element
+ * @param {Map} followerIds - Map of follower IDs
+ * @param {Map} followingIds - Map of following IDs
+ */
+export function applyUnfollowSuccess(user, card, followerIds, followingIds) {
+  // Update both maps to reflect the new state
+  followingIds.delete(user.userId);
+  user.isFollowing = false;
+  setUserSelected(user.userId, false);
+
+  // The followers list has its own copy of the user, rebuild its card so
+  // it shows the follow button again
+  const followersList = virtualLists.get(
+    document.getElementById("followers-container")
+  );
+  const follower = followersList && followersList.getItem(user.userId);
+  if (follower) {
+    follower.isFollowing = false;
+    followersList.invalidate(user.userId);
+  }
+
+  const followingList = virtualLists.get(
+    document.getElementById("following-container")
+  );
+  const removeCard = () => {
+    if (followingList) {
+      followingList.removeItem(user.userId);
+    } else if (card) {
+      card.remove();
+    }
+
+    // Recalculate and update the not following back counter
+    updateNotFollowingBackCounter();
+  };
+
+  // Cards that aren't mounted are removed right away
+  if (!card || !card.isConnected) {
+    removeCard();
+    return;
+  }
+
+  // Remove the card with animation
+  card.classList.add("unfollowed");
+  setTimeout(removeCard, 500);
 }
 
 /**
@@ -686,6 +908,10 @@ function addFollowButton(
   const followButton = document.createElement("button");
   followButton.className = "follow-button";
   followButton.textContent = "Follow";
+
+  const onCompleted = (followInfo) =>
+    applyFollowSuccess(followButton, user, userInfo, followingIds, followInfo);
+
   followButton.addEventListener("click", async (e) => {
     e.stopPropagation();
     try {
@@ -702,58 +928,25 @@ function addFollowButton(
         )
       );
 
-      if (response.successful) {
+      if (response.queued) {
+        // Couldn't reach Duolingo, the background will retry it
+        followButton.disabled = false;
+        followButton.textContent = "Follow";
+        pendingOperations.set(response.queueId, {
+          ...pendingOperations.get(response.queueId),
+          type: "follow",
+          targetUserId: user.userId,
+        });
+        showPendingState(
+          actionsContainer,
+          followButton,
+          response.queueId,
+          (message) => onCompleted(message.followInfo)
+        );
+      } else if (response.successful) {
         // We don't need to call registerFollow here, as it's already done in background.js
         // and the response object (followInfo) already contains the registered date
-
-        // Update maps and user object
-        followingIds.set(user.userId, true);
-        user.isFollowing = true;
-
-        // Update UI to show user is now followed
-        followButton.className = "follow-button followed";
-        followButton.textContent = "Following";
-
-        // Add mutual badge if user follows you
-        if (user.isFollowedBy) {
-          if (
-            !document.querySelector(
-              `[data-user-id="${user.userId}"] .mutual-badge`
-            )
-          ) {
-            const mutualBadge = document.createElement("span");
-            mutualBadge.className = "mutual-badge";
-            mutualBadge.textContent = "Mutual";
-            userInfo.appendChild(mutualBadge);
-          }
-        }
-
-        // Add follow date info, if available
-        if (response.followInfo && response.followInfo.followDate) {
-          // If there isn't already an element with follow date
-          if (!userInfo.querySelector(".follow-date-info")) {
-            const followDateInfo = document.createElement("div");
-            followDateInfo.className = "follow-date-info";
-            followDateInfo.textContent = `Following since: ${formatDate(
-              response.followInfo.followDate
-            )}`;
-
-            // Insert in appropriate place
-            const xpElement = userInfo.querySelector(".user-xp");
-            const additionalInfoContainer = userInfo.querySelector(
-              ".additional-info-container"
-            );
-
-            if (xpElement && additionalInfoContainer) {
-              userInfo.insertBefore(followDateInfo, additionalInfoContainer);
-            } else {
-              userInfo.appendChild(followDateInfo);
-            }
-          }
-        }
-
-        // Update the not following back counter if needed
-        updateNotFollowingBackCounter();
+        onCompleted(response.followInfo);
       } else {
         followButton.disabled = false;
         followButton.textContent = "Follow";
@@ -767,4 +960,141 @@ function addFollowButton(
     }
   });
   actionsContainer.appendChild(followButton);
+
+  // Restore the pending state of a follow queued in an earlier session
+  const pending = getPendingOperation(user.userId);
+  if (pending && pending.type === "follow") {
+    showPendingState(
+      actionsContainer,
+      followButton,
+      pending.queueId,
+      (message) => onCompleted(message.followInfo)
+    );
+  }
+}
+
+/**
+ * Update the popup after a user was followed
+ *
+ * @param {HTMLElement} followButton - The follow button of the card
+ * @param {Object} user - User data
+ * @param {HTMLElement} userInfo - User info container
+ * @param {Map} followingIds - Map of following IDs
+ * @param {Object|null} followInfo - Follow date info returned by the background
+ */
+function applyFollowSuccess(
+  followButton,
+  user,
+  userInfo,
+  followingIds,
+  followInfo
+) {
+  // Update maps and user object
+  followingIds.set(user.userId, true);
+  user.isFollowing = true;
+
+  // Update UI to show user is now followed
+  followButton.disabled = true;
+  followButton.className = "follow-button followed";
+  followButton.textContent = "Following";
+
+  // Add mutual badge if user follows you
+  if (user.isFollowedBy) {
+    if (
+      !document.querySelector(`[data-user-id="${user.userId}"] .mutual-badge`)
+    ) {
+      const mutualBadge = document.createElement("span");
+      mutualBadge.className = "mutual-badge";
+      mutualBadge.textContent = "Mutual";
+      userInfo.appendChild(mutualBadge);
+    }
+  }
+
+  // Add follow date info, if available
+  if (followInfo && followInfo.followDate) {
+    // If there isn't already an element with follow date
+    if (!userInfo.querySelector(".follow-date-info")) {
+      const followDateInfo = document.createElement("div");
+      followDateInfo.className = "follow-date-info";
+      followDateInfo.textContent = `Following since: ${formatDate(
+        followInfo.followDate
+      )}`;
+
+      // Insert in appropriate place
+      const xpElement = userInfo.querySelector(".user-xp");
+      const additionalInfoContainer = userInfo.querySelector(
+        ".additional-info-container"
+      );
+
+      if (xpElement && additionalInfoContainer) {
+        userInfo.insertBefore(followDateInfo, additionalInfoContainer);
+      } else {
+        userInfo.appendChild(followDateInfo);
+      }
+    }
+  }
+
+  // Update the not following back counter if needed
+  updateNotFollowingBackCounter();
+}
+
+/**
+ * Show a queued follow/unfollow on the card until the background settles it
+ *
+ * @param {HTMLElement} actionsContainer - Container for actions
+ * @param {HTMLElement} button - The follow/unfollow button hidden meanwhile
+ * @param {string} queueId - Queue ID of the operation
+ * @param {Function} onCompleted - Called with the update once it succeeded
+ */
+function showPendingState(actionsContainer, button, queueId, onCompleted) {
+  const operation = pendingOperations.get(queueId);
+  if (!operation) return;
+
+  button.style.display = "none";
+
+  const pendingAction = document.createElement("div");
+  pendingAction.className = "pending-action";
+  pendingAction.title =
+    "Duolingo couldn't be reached. This will be retried automatically.";
+
+  const pendingLabel = document.createElement("span");
+  pendingLabel.className = "pending-label";
+  pendingLabel.textContent =
+    operation.type === "follow" ? "Follow pending" : "Unfollow pending";
+  pendingAction.appendChild(pendingLabel);
+
+  const cancelButton = document.createElement("button");
+  cancelButton.className = "pending-cancel-button";
+  cancelButton.textContent = "Cancel";
+  pendingAction.appendChild(cancelButton);
+
+  actionsContainer.appendChild(pendingAction);
+
+  const restore = () => {
+    pendingAction.remove();
+    button.style.display = "";
+  };
+
+  cancelButton.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    cancelButton.disabled = true;
+
+    const response = await cancelQueuedOperation(queueId);
+    if (response && response.success) {
+      restore();
+    } else {
+      cancelButton.disabled = false;
+      alert((response && response.error) || "Could not cancel the operation.");
+    }
+  });
+
+  operation.onSettled = (message) => {
+    restore();
+
+    if (message.event === "completed") {
+      onCompleted(message);
+    } else if (message.event === "failed") {
+      alert(`Could not ${operation.type} user: ${message.error}`);
+    }
+  };
 }
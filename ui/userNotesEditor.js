@@ -0,0 +1,180 @@
+import { TAG_COLORS } from "../follow_date_manager.js";
+import {
+  userNotes,
+  setUserNote,
+  getKnownTags,
+} from "../services/userService.js";
+
+/**
+ * Create a coloured tag chip
+ *
+ * @param {Object} tag - Tag ({ name, color })
+ * @param {Function} [onRemove] - Shows a remove button calling this when set
+ * @returns {HTMLElement} The chip element
+ */
+export function createTagChip(tag, onRemove = null) {
+  const chip = document.createElement("span");
+  chip.className = "user-tag";
+  chip.style.backgroundColor = TAG_COLORS[tag.color] || TAG_COLORS.gray;
+  chip.textContent = tag.name;
+
+  if (onRemove) {
+    const removeButton = document.createElement("button");
+    removeButton.className = "user-tag-remove";
+    removeButton.title = `Remove tag "${tag.name}"`;
+    removeButton.innerHTML = "&times;";
+    removeButton.addEventListener("click", onRemove);
+    chip.appendChild(removeButton);
+  }
+
+  return chip;
+}
+
+/**
+ * Show a user's tags and a note indicator in a card
+ *
+ * @param {HTMLElement} container - The card's tag container
+ * @param {number} userId - ID of the user
+ */
+export function renderUserTags(container, userId) {
+  const entry = userNotes.get(userId);
+  container.innerHTML = "";
+
+  (entry?.tags || []).forEach((tag) =>
+    container.appendChild(createTagChip(tag))
+  );
+
+  if (entry?.note) {
+    const noteIcon = document.createElement("span");
+    noteIcon.className = "user-note-indicator";
+    noteIcon.textContent = "📝";
+    noteIcon.title = entry.note;
+    container.appendChild(noteIcon);
+  }
+
+  container.style.display = container.childElementCount > 0 ? "" : "none";
+}
+
+/**
+ * Create the private note and tag editor shown in the expanded card
+ *
+ * @param {Object} user - User data
+ * @returns {HTMLElement} The editor element
+ */
+export function createUserNotesEditor(user) {
+  const entry = userNotes.get(user.userId);
+  let tags = entry ? [...entry.tags] : [];
+
+  const editor = document.createElement("div");
+  editor.className = "user-notes-editor";
+  editor.innerHTML = `
+    <p class="user-notes-title">Private note and tags:</p>
+    <textarea class="user-note-input" rows="2"
+      placeholder="Only stored in this browser"></textarea>
+    <div class="user-tag-list"></div>
+    <div class="user-tag-row">
+      <input type="text" class="user-tag-input" placeholder="New tag"
+        maxlength="30">
+      <select class="user-tag-color" title="Tag colour"></select>
+      <button class="user-tag-add">Add</button>
+    </div>
+    <div class="user-notes-actions">
+      <span class="user-notes-status"></span>
+      <button class="user-notes-save">Save</button>
+    </div>
+  `;
+
+  const noteInput = editor.querySelector(".user-note-input");
+  const tagList = editor.querySelector(".user-tag-list");
+  const tagInput = editor.querySelector(".user-tag-input");
+  const colorSelect = editor.querySelector(".user-tag-color");
+  const status = editor.querySelector(".user-notes-status");
+  const saveButton = editor.querySelector(".user-notes-save");
+
+  noteInput.value = entry?.note || "";
+
+  Object.keys(TAG_COLORS).forEach((color) => {
+    const option = document.createElement("option");
+    option.value = color;
+    option.textContent = color;
+    colorSelect.appendChild(option);
+  });
+
+  // Suggest the tags already used on other users
+  const knownTags = getKnownTags();
+  const datalist = document.createElement("datalist");
+  datalist.id = `user-tags-${user.userId}`;
+  knownTags.forEach((tag) => {
+    const option = document.createElement("option");
+    option.value = tag.name;
+    datalist.appendChild(option);
+  });
+  editor.appendChild(datalist);
+  tagInput.setAttribute("list", datalist.id);
+
+  const markChanged = () => {
+    status.textContent = "";
+  };
+
+  const renderTags = () => {
+    tagList.innerHTML = "";
+    tags.forEach((tag) =>
+      tagList.appendChild(
+        createTagChip(tag, () => {
+          tags = tags.filter((other) => other !== tag);
+          renderTags();
+          markChanged();
+        })
+      )
+    );
+  };
+  renderTags();
+
+  // Reuse the colour of an existing tag with the same name
+  tagInput.addEventListener("input", () => {
+    const name = tagInput.value.trim().toLowerCase();
+    const known = knownTags.find((tag) => tag.name.toLowerCase() === name);
+    if (known) colorSelect.value = known.color;
+  });
+
+  const addTag = () => {
+    // Semicolons separate tags in CSV exports
+    const name = tagInput.value.replace(/;/g, "").trim();
+    if (!name) return;
+    if (tags.some((tag) => tag.name.toLowerCase() === name.toLowerCase())) {
+      tagInput.value = "";
+      return;
+    }
+    tags = [...tags, { name, color: colorSelect.value }];
+    tagInput.value = "";
+    renderTags();
+    markChanged();
+  };
+
+  editor.querySelector(".user-tag-add").addEventListener("click", addTag);
+  tagInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      addTag();
+    }
+  });
+  noteInput.addEventListener("input", markChanged);
+
+  saveButton.addEventListener("click", async () => {
+    // Don't lose a tag that was typed but not added yet
+    addTag();
+
+    saveButton.disabled = true;
+    try {
+      await setUserNote(user, { note: noteInput.value, tags });
+      status.textContent = "Saved";
+    } catch (error) {
+      console.error("Error saving note:", error);
+      status.textContent = "Error saving, please try again";
+    } finally {
+      saveButton.disabled = false;
+    }
+  });
+
+  return editor;
+}
@@ -0,0 +1,255 @@
+/**
+ * Create a virtual list that only mounts the items visible in a scrollable
+ * container. Elements are cached per key, so a card scrolled back into view
+ * keeps its state (expanded details, pending actions, loaded follow date).
+ *
+ * Item heights are measured with a ResizeObserver once mounted; items that
+ * were never shown use the estimated height.
+ *
+ * @param {HTMLElement} container - Scrollable container (overflow-y: auto)
+ * @param {Object} options - List options
+ * @param {Function} options.getKey - Returns a unique key for an item
+ * @param {Function} options.renderItem - Creates the element for an item
+ * @param {Function} [options.onMount] - Called with (element, item) when a
+ * cached element is attached again
+ * @param {number} [options.estimatedHeight] - Height of unmeasured items
+ * @param {number} [options.overscan] - Items mounted above and below the view
+ * @param {number} [options.cacheSize] - Detached elements kept in the cache
+ * @returns {Object} The list with setItems, getItem, removeItem, invalidate,
+ * refresh and destroy
+ */
+export function createVirtualList(
+  container,
+  {
+    getKey,
+    renderItem,
+    onMount = null,
+    estimatedHeight = 96,
+    overscan = 4,
+    cacheSize = 200,
+  }
+) {
+  const list = document.createElement("div");
+  list.className = "virtual-list";
+  container.appendChild(list);
+
+  // Space between items, taken from the CSS so offsets match the layout
+  const gap = parseFloat(getComputedStyle(list).rowGap) || 0;
+
+  let items = [];
+  const keyIndex = new Map();
+  const heights = new Map();
+  // Elements by key, in least recently used order
+  const cache = new Map();
+  const mounted = new Map();
+  const elementKeys = new WeakMap();
+
+  let firstVisibleIndex = 0;
+  let frame = null;
+
+  const itemObserver = new ResizeObserver((entries) => {
+    let scrollAdjustment = 0;
+    let changed = false;
+
+    entries.forEach((entry) => {
+      const key = elementKeys.get(entry.target);
+      const height = entry.target.offsetHeight;
+
+      // Detached or collapsing elements report no height, keep the last one
+      if (!keyIndex.has(key) || height === 0) return;
+
+      const previousHeight = heights.get(key) ?? estimatedHeight;
+      if (previousHeight === height) return;
+
+      heights.set(key, height);
+      changed = true;
+
+      // Keep the visible items in place when an item above them resizes
+      if (keyIndex.get(key) < firstVisibleIndex) {
+        scrollAdjustment += height - previousHeight;
+      }
+    });
+
+    if (scrollAdjustment !== 0) {
+      container.scrollTop += scrollAdjustment;
+    }
+    if (changed) {
+      scheduleUpdate();
+    }
+  });
+
+  // Re-render when the container is shown or resized (e.g. on tab change)
+  const containerObserver = new ResizeObserver(() => scheduleUpdate());
+  containerObserver.observe(container);
+
+  container.addEventListener("scroll", scheduleUpdate, { passive: true });
+
+  function scheduleUpdate() {
+    if (frame === null) {
+      frame = window.requestAnimationFrame(update);
+    }
+  }
+
+  function getElement(item) {
+    const key = getKey(item);
+    let element = cache.get(key);
+
+    if (element) {
+      // Move to the end of the least recently used order
+      cache.delete(key);
+    } else {
+      element = renderItem(item);
+      elementKeys.set(element, key);
+    }
+
+    cache.set(key, element);
+    return element;
+  }
+
+  // Drop the least recently used detached elements over the cache size
+  function trimCache() {
+    for (const key of cache.keys()) {
+      if (cache.size <= cacheSize) break;
+      if (!mounted.has(key)) {
+        cache.delete(key);
+      }
+    }
+  }
+
+  function unmount(key) {
+    const element = mounted.get(key);
+    if (!element) return;
+
+    itemObserver.unobserve(element);
+    element.remove();
+    mounted.delete(key);
+  }
+
+  function update() {
+    if (frame !== null) {
+      window.cancelAnimationFrame(frame);
+      frame = null;
+    }
+
+    // Item offsets within the list, including the gap after each item
+    const offsets = new Float64Array(items.length + 1);
+    items.forEach((item, index) => {
+      const height = heights.get(getKey(item)) ?? estimatedHeight;
+      offsets[index + 1] = offsets[index] + height + gap;
+    });
+
+    const listTop =
+      list.getBoundingClientRect().top -
+      container.getBoundingClientRect().top +
+      container.scrollTop;
+    const viewTop = container.scrollTop - listTop;
+    const viewBottom = viewTop + container.clientHeight;
+
+    let start = 0;
+    while (start < items.length && offsets[start + 1] - gap < viewTop) {
+      start++;
+    }
+    let end = start;
+    while (end < items.length && offsets[end] <= viewBottom) {
+      end++;
+    }
+
+    firstVisibleIndex = start;
+    start = Math.max(0, start - overscan);
+    end = Math.min(items.length, end + overscan);
+
+    // Unmount the elements that left the range
+    const visibleKeys = new Set(items.slice(start, end).map(getKey));
+    [...mounted.keys()].forEach((key) => {
+      if (!visibleKeys.has(key)) unmount(key);
+    });
+
+    // Mount the range in order, leaving elements already in place untouched
+    let previous = null;
+    for (let index = start; index < end; index++) {
+      const item = items[index];
+      const key = getKey(item);
+      const wasCached = cache.has(key);
+      const element = getElement(item);
+      const expected = previous ? previous.nextSibling : list.firstChild;
+
+      if (!mounted.has(key)) {
+        mounted.set(key, element);
+        itemObserver.observe(element);
+        if (onMount && wasCached) {
+          onMount(element, item);
+        }
+      }
+      if (element !== expected) {
+        list.insertBefore(element, expected);
+      }
+      previous = element;
+    }
+
+    list.style.paddingTop = `${offsets[start]}px`;
+    list.style.paddingBottom = `${offsets[items.length] - offsets[end]}px`;
+
+    trimCache();
+  }
+
+  return {
+    /**
+     * Replace the items and scroll back to the top
+     * @param {Array} newItems - Items to show
+     */
+    setItems(newItems) {
+      items = newItems;
+      keyIndex.clear();
+      items.forEach((item, index) => keyIndex.set(getKey(item), index));
+      container.scrollTop = 0;
+      update();
+    },
+
+    /**
+     * Get the item with a key
+     * @param {*} key - Item key
+     * @returns {*} The item, or undefined when it isn't in the list
+     */
+    getItem(key) {
+      return keyIndex.has(key) ? items[keyIndex.get(key)] : undefined;
+    },
+
+    /**
+     * Remove an item without changing the scroll position
+     * @param {*} key - Item key
+     */
+    removeItem(key) {
+      if (!keyIndex.has(key)) return;
+
+      items = items.filter((item) => getKey(item) !== key);
+      keyIndex.clear();
+      items.forEach((item, index) => keyIndex.set(getKey(item), index));
+      unmount(key);
+      cache.delete(key);
+      heights.delete(key);
+      scheduleUpdate();
+    },
+
+    /**
+     * Drop the cached element of an item so it is rendered again
+     * @param {*} key - Item key
+     */
+    invalidate(key) {
+      unmount(key);
+      cache.delete(key);
+      scheduleUpdate();
+    },
+
+    /** Re-render after a change that affects the layout */
+    refresh: scheduleUpdate,
+
+    /** Stop observing and remove the list from the container */
+    destroy() {
+      if (frame !== null) window.cancelAnimationFrame(frame);
+      itemObserver.disconnect();
+      containerObserver.disconnect();
+      container.removeEventListener("scroll", scheduleUpdate);
+      list.remove();
+    },
+  };
+}
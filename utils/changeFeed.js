@@ -0,0 +1,102 @@
+/**
+ * Feed of relationship changes noticed by syncs, shown in the popup and as a
+ * badge count on the extension action icon
+ */
+
+/**
+ * Storage structure:
+ * changeFeed = [{ type, userId, username, timestamp }, ...] (oldest first)
+ * lastFeedVisit = timestamp of the last time the feed was shown in the popup
+ */
+
+/**
+ * Types of feed entries
+ */
+export const FEED_EVENTS = {
+  NEW_FOLLOWER: "new_follower",
+  LOST_FOLLOWER: "lost_follower",
+  // A new follower you were already following
+  FOLLOW_BACK: "follow_back",
+};
+
+// Oldest entries are dropped past this size
+const MAX_FEED_ENTRIES = 500;
+
+/**
+ * Get the feed with the entries added since the last visit
+ * @returns {Promise<Object>} Promise that resolves with { entries, unseen, lastVisit }
+ */
+export async function getChangeFeed() {
+  const result = await chrome.storage.local.get(["changeFeed", "lastFeedVisit"]);
+  const entries = result.changeFeed || [];
+  const lastVisit = result.lastFeedVisit || 0;
+
+  return {
+    entries,
+    unseen: entries.filter((entry) => entry.timestamp > lastVisit),
+    lastVisit,
+  };
+}
+
+/**
+ * Add entries to the feed and update the badge
+ * @param {Array} newEntries - Entries ({ type, userId, username }) to add
+ * @returns {Promise<Array>} Promise that resolves with the added entries
+ */
+export async function addFeedEntries(newEntries) {
+  if (newEntries.length === 0) return [];
+
+  const timestamp = Date.now();
+  const added = newEntries.map((entry) => ({ ...entry, timestamp }));
+
+  const { entries } = await getChangeFeed();
+  await chrome.storage.local.set({
+    changeFeed: [...entries, ...added].slice(-MAX_FEED_ENTRIES),
+  });
+  await updateFeedBadge();
+
+  return added;
+}
+
+/**
+ * Mark every entry as seen and clear the badge
+ * @returns {Promise} Promise that resolves when the visit is saved
+ */
+export async function markFeedSeen() {
+  await chrome.storage.local.set({ lastFeedVisit: Date.now() });
+  await updateFeedBadge();
+}
+
+/**
+ * Show the number of unseen entries on the extension action icon
+ * @returns {Promise} Promise that resolves when the badge is updated
+ */
+export async function updateFeedBadge() {
+  const { unseen } = await getChangeFeed();
+  const count = unseen.length;
+
+  await chrome.action.setBadgeBackgroundColor({ color: "#ff4b4b" });
+  await chrome.action.setBadgeText({
+    text: count === 0 ? "" : count > 99 ? "99+" : String(count),
+  });
+}
+
+/**
+ * Get a short description of a feed entry
+ * @param {Object} entry - Feed entry
+ * @returns {string} The description
+ */
+export function describeFeedEntry(entry) {
+  const name = `@${entry.username || "Unknown"}`;
+
+  switch (entry.type) {
+    case FEED_EVENTS.NEW_FOLLOWER:
+      return `${name} started following you`;
+    case FEED_EVENTS.LOST_FOLLOWER:
+      return `${name} unfollowed you`;
+    case FEED_EVENTS.FOLLOW_BACK:
+      return `${name} followed you back`;
+    default:
+      return `${name}: ${entry.type}`;
+  }
+}
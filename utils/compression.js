@@ -0,0 +1,87 @@
+/**
+ * Gzip compression of JSON values for chrome.storage.local, which only
+ * stores JSON, so the compressed bytes are kept as base64 text
+ */
+
+const COMPRESSION_FORMAT = "gzip-base64";
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function transformBytes(bytes, transformStream) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transformStream);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function bytesToBase64(bytes) {
+  // Convert in chunks, String.fromCharCode can't take huge argument lists
+  let binary = "";
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Check whether the compression streams are available
+ * @returns {boolean} True if values can be compressed
+ */
+export function isCompressionSupported() {
+  return (
+    typeof CompressionStream !== "undefined" &&
+    typeof DecompressionStream !== "undefined"
+  );
+}
+
+/**
+ * Check whether a stored value was packed by compressJson
+ * @param {*} value - Stored value
+ * @returns {boolean} True if the value is compressed
+ */
+export function isCompressed(value) {
+  return (
+    !!value &&
+    value.compressed === true &&
+    value.format === COMPRESSION_FORMAT &&
+    typeof value.data === "string"
+  );
+}
+
+/**
+ * Gzip a JSON value
+ * @param {*} value - Value to compress
+ * @returns {Promise<Object>} { compressed: true, format, data } with base64 data
+ */
+export async function compressJson(value) {
+  const bytes = await transformBytes(
+    new TextEncoder().encode(JSON.stringify(value)),
+    new CompressionStream("gzip")
+  );
+
+  return {
+    compressed: true,
+    format: COMPRESSION_FORMAT,
+    data: bytesToBase64(bytes),
+  };
+}
+
+/**
+ * Unpack a value packed by compressJson
+ * @param {Object} packed - Compressed value
+ * @returns {Promise<*>} The original value
+ */
+export async function decompressJson(packed) {
+  const bytes = await transformBytes(
+    base64ToBytes(packed.data),
+    new DecompressionStream("gzip")
+  );
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
@@ -0,0 +1,305 @@
+/**
+ * CSV export of followers, following and inactive users for spreadsheets,
+ * and import of those files back into follow records
+ */
+
+import { RELATIONSHIP_EVENTS } from "../follow_date_manager.js";
+import { getStoredUserDetails } from "./userDetailsStorage.js";
+
+/**
+ * Columns that can be exported, in file order
+ */
+export const CSV_COLUMNS = [
+  { key: "userId", label: "User ID" },
+  { key: "relationship", label: "Relationship" },
+  { key: "username", label: "Username" },
+  { key: "displayName", label: "Display name" },
+  { key: "xp", label: "XP" },
+  { key: "streak", label: "Streak" },
+  { key: "followDate", label: "Follow date" },
+  { key: "status", label: "Status" },
+  { key: "mutual", label: "Mutual" },
+  { key: "lastSeen", label: "Last seen in sync" },
+  { key: "tags", label: "Tags" },
+  { key: "note", label: "Note" },
+];
+
+// Separates the tag names in the Tags column
+const TAG_SEPARATOR = "; ";
+
+/**
+ * Load the stored data the CSV rows are built from
+ * @returns {Promise<Object>} Promise that resolves with { followDates, userDetails, syncTimes, cachedUserLists, userNotes }
+ */
+export async function loadCsvData() {
+  const [result, userDetails] = await Promise.all([
+    chrome.storage.local.get([
+      "followDates",
+      "syncTimes",
+      "cachedUserLists",
+      "userNotes",
+    ]),
+    getStoredUserDetails(),
+  ]);
+
+  return {
+    followDates: result.followDates || { followers: {}, following: {} },
+    userDetails,
+    syncTimes: result.syncTimes || {},
+    cachedUserLists: result.cachedUserLists || {},
+    userNotes: result.userNotes || {},
+  };
+}
+
+/**
+ * Build one row per follower or following record
+ *
+ * "Last seen in sync" is the last full sync of the list for active records,
+ * and the sync that noticed the unfollow for inactive ones.
+ * @param {Array} records - Records to export ({ userId, relationship: "follower"|"following" })
+ * @param {Object} data - Stored data from loadCsvData
+ * @returns {Array<Object>} Rows keyed by column key
+ */
+export function buildCsvRows(records, data) {
+  const {
+    followDates,
+    userDetails,
+    syncTimes,
+    cachedUserLists,
+    userNotes = {},
+  } = data;
+
+  // Display names and XP from the last crawl of each list
+  const listedUsers = new Map();
+  ["followers", "following"].forEach((type) => {
+    (cachedUserLists[type]?.users || []).forEach((user) =>
+      listedUsers.set(String(user.userId), user)
+    );
+  });
+
+  const isActive = (record) => !!record && record.isActive !== false;
+
+  return records.map(({ userId, relationship }) => {
+    const type = relationship === "follower" ? "followers" : "following";
+    const record = followDates[type][userId] || {};
+    const details = userDetails[userId] || {};
+    const listed = listedUsers.get(String(userId)) || {};
+    const notes = userNotes[userId] || {};
+
+    let lastSeen = null;
+    if (isActive(record)) {
+      lastSeen = syncTimes[type] || null;
+    } else {
+      const events = Array.isArray(record.events) ? record.events : [];
+      const unfollow = events
+        .filter((event) => event.type === RELATIONSHIP_EVENTS.UNFOLLOWED)
+        .pop();
+      lastSeen = unfollow ? unfollow.timestamp : null;
+    }
+
+    return {
+      userId,
+      relationship: relationship === "follower" ? "Follower" : "Following",
+      username: record.username || listed.username || details.username || "",
+      displayName: listed.displayName || details.name || "",
+      xp: listed.totalXp ?? details.totalXp ?? "",
+      streak: details.streak ?? "",
+      followDate: record.timestamp
+        ? new Date(record.timestamp).toISOString()
+        : "",
+      status: isActive(record) ? "active" : "inactive",
+      mutual:
+        isActive(followDates.followers[userId]) &&
+        isActive(followDates.following[userId])
+          ? "yes"
+          : "no",
+      lastSeen: lastSeen ? new Date(lastSeen).toISOString() : "",
+      tags: (notes.tags || []).map((tag) => tag.name).join(TAG_SEPARATOR),
+      note: notes.note || "",
+    };
+  });
+}
+
+/**
+ * Escape a value for a CSV cell. Text starting with a formula character is
+ * prefixed with a quote so spreadsheets don't evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string} The escaped cell
+ */
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Convert rows to CSV text with a header line
+ * @param {Array<Object>} rows - Rows from buildCsvRows
+ * @param {Array<string>} columnKeys - Keys of the columns to include
+ * @returns {string} The CSV text
+ */
+export function toCsv(rows, columnKeys) {
+  const columns = CSV_COLUMNS.filter((column) =>
+    columnKeys.includes(column.key)
+  );
+
+  const lines = [
+    columns.map((column) => escapeCsvValue(column.label)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(row[column.key])).join(",")
+    ),
+  ];
+
+  return lines.join("\r\n");
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} The rows, without empty lines
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value !== ""));
+}
+
+/**
+ * Convert an exported CSV file back into follow records, and notes and tags
+ * when the file has those columns
+ *
+ * The full user details can't be restored: the file doesn't have them. Tag
+ * colours aren't exported either, the import picks them. Rows without a
+ * usable follow date are kept as-is so validation can report them.
+ * @param {string} text - CSV text from toCsv
+ * @returns {Object} Data in the JSON export format ({ followDates, userNotes })
+ */
+export function csvToStorageData(text) {
+  const [header = [], ...rows] = parseCsv(text);
+
+  // Columns are matched by their header label
+  const columnIndex = {};
+  header.forEach((label, index) => {
+    const column = CSV_COLUMNS.find((column) => column.label === label.trim());
+    if (column) columnIndex[column.key] = index;
+  });
+
+  const missing = ["userId", "relationship", "followDate"]
+    .filter((key) => columnIndex[key] === undefined)
+    .map((key) => CSV_COLUMNS.find((column) => column.key === key).label);
+  if (missing.length > 0) {
+    throw new Error(`The CSV file is missing columns: ${missing.join(", ")}`);
+  }
+
+  const getValue = (cells, key) => {
+    const value = (cells[columnIndex[key]] || "").trim();
+    // Undo the formula guard added by escapeCsvValue
+    return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+  };
+
+  const hasNotes =
+    columnIndex.tags !== undefined || columnIndex.note !== undefined;
+
+  const followDates = { followers: {}, following: {} };
+  const userNotes = {};
+  rows.forEach((cells) => {
+    const userId = getValue(cells, "userId");
+    const type = {
+      follower: "followers",
+      following: "following",
+    }[getValue(cells, "relationship").toLowerCase()];
+    if (!userId || !type) return;
+
+    const record = { timestamp: Date.parse(getValue(cells, "followDate")) };
+    if (columnIndex.username !== undefined) {
+      record.username = getValue(cells, "username") || "Unknown";
+    }
+    if (columnIndex.status !== undefined) {
+      record.isActive = getValue(cells, "status") !== "inactive";
+    }
+
+    followDates[type][userId] = record;
+
+    if (hasNotes) {
+      const note = getValue(cells, "note");
+      const tags = getValue(cells, "tags")
+        .split(TAG_SEPARATOR.trim())
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .map((name) => ({ name }));
+      if (note || tags.length > 0) {
+        userNotes[userId] = {
+          note,
+          tags,
+          username: record.username || "Unknown",
+          updatedAt: Date.now(),
+        };
+      }
+    }
+  });
+
+  return hasNotes ? { followDates, userNotes } : { followDates };
+}
+
+/**
+ * Download CSV text as a file
+ * @param {string} csv - CSV text
+ * @param {string} filename - Name of the downloaded file
+ */
+export function downloadCsv(csv, filename) {
+  // The byte order mark makes Excel read the file as UTF-8
+  const blob = new Blob(["\uFEFF", csv], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+
+  const downloadLink = document.createElement("a");
+  downloadLink.href = url;
+  downloadLink.download = filename;
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+
+  setTimeout(() => {
+    document.body.removeChild(downloadLink);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
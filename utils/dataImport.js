@@ -0,0 +1,380 @@
+/**
+ * Import of exported JSON and CSV files: validation, diff preview and merge
+ */
+
+import { validateStorageData } from "./storageVersioning.js";
+import { csvToStorageData } from "./csvExport.js";
+import {
+  RELATIONSHIP_EVENTS,
+  TAG_COLORS,
+  normalizeTags,
+} from "../follow_date_manager.js";
+
+// Keys exportStorageData writes next to the storage sections
+const EXPORT_FILE_KEYS = [
+  "userDetails",
+  "safelist",
+  "userNotes",
+  "exportDate",
+  "version",
+  "description",
+  "statistics",
+];
+
+const MAX_CONFLICT_SAMPLES = 5;
+
+export const IMPORT_MODES = {
+  MERGE: "merge",
+  REPLACE: "replace",
+};
+
+/**
+ * How a record that exists on both sides with different follow dates is
+ * resolved when merging
+ */
+export const CONFLICT_POLICIES = {
+  EARLIEST: "earliest",
+  LATEST: "latest",
+  EXISTING: "existing",
+  IMPORTED: "imported",
+};
+
+export const CONFLICT_POLICY_LABELS = {
+  [CONFLICT_POLICIES.EARLIEST]: "Keep the earliest follow date",
+  [CONFLICT_POLICIES.LATEST]: "Keep the latest follow date",
+  [CONFLICT_POLICIES.EXISTING]: "Keep the existing record",
+  [CONFLICT_POLICIES.IMPORTED]: "Use the imported record",
+};
+
+/**
+ * Parse and validate an import file
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to tell CSV from JSON
+ * @returns {Object} { format, data, validation }
+ */
+export function parseImportFile(text, fileName = "") {
+  const format = /\.csv$/i.test(fileName) ? "csv" : "json";
+
+  let data;
+  if (format === "csv") {
+    data = csvToStorageData(text);
+  } else {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file is not valid JSON.");
+    }
+  }
+
+  const validation = validateStorageData(data, {
+    allowedKeys: EXPORT_FILE_KEYS,
+  });
+
+  return { format, data, validation };
+}
+
+// Convert a valid record of either schema version to the current format
+function normalizeRecord(data) {
+  if (typeof data === "number") {
+    // Old format (convert)
+    return {
+      timestamp: data,
+      username: "Unknown",
+      isActive: true, // Assume legacy records are active
+      previousUsernames: [],
+    };
+  }
+
+  const record = {
+    timestamp: data.timestamp,
+    username: data.username || "Unknown",
+    isActive: data.isActive !== undefined ? data.isActive : true,
+  };
+  // Keep the relationship event log if the file has one
+  if (Array.isArray(data.events)) {
+    record.events = data.events;
+  }
+  // Files from before the username history rebuild it from the event log
+  record.previousUsernames = Array.isArray(data.previousUsernames)
+    ? data.previousUsernames
+    : (record.events || [])
+        .filter(
+          (event) =>
+            event.type === RELATIONSHIP_EVENTS.USERNAME_CHANGED &&
+            event.previousUsername &&
+            event.previousUsername !== "Unknown"
+        )
+        .map((event) => ({
+          username: event.previousUsername,
+          changedAt: event.timestamp,
+        }));
+  return record;
+}
+
+/**
+ * Keep the valid records of a parsed file in the current record format.
+ * Sections the file doesn't have stay undefined so they aren't touched.
+ * @param {Object} data - Parsed file data
+ * @param {Object} validation - Result of validateStorageData
+ * @returns {Object} { followDates, userDetails, safelist, userNotes }
+ */
+function normalizeImport(data, validation) {
+  const invalid = new Set(
+    validation.invalidRecords.map(({ type, userId }) => `${type}:${userId}`)
+  );
+
+  const followDates = { followers: {}, following: {} };
+  ["followers", "following"].forEach((type) => {
+    Object.entries(data.followDates[type]).forEach(([userId, record]) => {
+      if (!invalid.has(`${type}:${userId}`)) {
+        followDates[type][userId] = normalizeRecord(record);
+      }
+    });
+  });
+
+  const section = (value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? value
+      : undefined;
+
+  return {
+    followDates,
+    userDetails: section(data.userDetails),
+    safelist: section(data.safelist),
+    userNotes: section(data.userNotes),
+  };
+}
+
+/**
+ * Clean imported notes and tags. Tags without a known colour (CSV files have
+ * none) get the colour the tag already has in the current notes.
+ * @param {Object} notes - Imported notes keyed by userId, or undefined
+ * @param {Object} currentNotes - Stored notes keyed by userId
+ * @returns {Object} The cleaned notes, or undefined
+ */
+function normalizeNotes(notes, currentNotes = {}) {
+  if (notes === undefined) return undefined;
+
+  const currentColors = {};
+  Object.values(currentNotes).forEach((entry) =>
+    (entry.tags || []).forEach((tag) => {
+      currentColors[tag.name.toLowerCase()] = tag.color;
+    })
+  );
+
+  const normalized = {};
+  Object.entries(notes).forEach(([userId, entry]) => {
+    if (!entry || typeof entry !== "object") return;
+
+    const tags = (Array.isArray(entry.tags) ? entry.tags : []).map((tag) => ({
+      name: tag?.name,
+      color: TAG_COLORS[tag?.color]
+        ? tag.color
+        : currentColors[String(tag?.name || "").trim().toLowerCase()],
+    }));
+    const note = typeof entry.note === "string" ? entry.note : "";
+    const normalizedTags = normalizeTags(tags);
+
+    // Keep unchanged notes as stored, so a CSV file (which has no save dates)
+    // doesn't count them as overwritten
+    const current = currentNotes[userId];
+    if (
+      current &&
+      current.note === note &&
+      isSameRecord(current.tags, normalizedTags)
+    ) {
+      normalized[userId] = current;
+      return;
+    }
+
+    normalized[userId] = {
+      ...entry,
+      note,
+      tags: normalizedTags,
+      updatedAt: Number.isFinite(entry.updatedAt)
+        ? entry.updatedAt
+        : Date.now(),
+    };
+  });
+  return normalized;
+}
+
+function isSameRecord(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Union of both event logs, oldest first
+function mergeEvents(existingEvents = [], importedEvents = []) {
+  const events = new Map();
+  [...existingEvents, ...importedEvents].forEach((event) =>
+    events.set(`${event.type}:${event.timestamp}`, event)
+  );
+  return [...events.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Union of both username histories, oldest first
+function mergeUsernameHistory(existingHistory = [], importedHistory = []) {
+  const history = new Map();
+  [...existingHistory, ...importedHistory].forEach((entry) =>
+    history.set(`${entry.username}:${entry.changedAt}`, entry)
+  );
+  return [...history.values()].sort((a, b) => a.changedAt - b.changedAt);
+}
+
+function resolveRecord(existing, imported, policy) {
+  let winner = imported;
+  if (policy === CONFLICT_POLICIES.EXISTING) {
+    winner = existing;
+  } else if (policy === CONFLICT_POLICIES.EARLIEST) {
+    winner = existing.timestamp < imported.timestamp ? existing : imported;
+  } else if (policy === CONFLICT_POLICIES.LATEST) {
+    winner = existing.timestamp > imported.timestamp ? existing : imported;
+  }
+
+  // The event logs and username histories are history, so neither side's
+  // entries are dropped
+  const resolved = { ...winner };
+  const events = mergeEvents(existing.events, imported.events);
+  if (events.length > 0) resolved.events = events;
+  const previousUsernames = mergeUsernameHistory(
+    existing.previousUsernames,
+    imported.previousUsernames
+  );
+  if (previousUsernames.length > 0) {
+    resolved.previousUsernames = previousUsernames;
+  }
+  return resolved;
+}
+
+// Merge or replace a keyed section and count what changes
+function planSection(current = {}, imported, mode) {
+  if (imported === undefined) {
+    return { result: current, added: 0, overwritten: 0 };
+  }
+
+  const result =
+    mode === IMPORT_MODES.REPLACE
+      ? { ...imported }
+      : { ...current, ...imported };
+  let added = 0;
+  let overwritten = 0;
+  Object.entries(imported).forEach(([key, value]) => {
+    if (!(key in current)) {
+      added++;
+    } else if (!isSameRecord(current[key], value)) {
+      overwritten++;
+    }
+  });
+
+  return { result, added, overwritten };
+}
+
+/**
+ * Work out what an import will write, and a preview of the changes
+ *
+ * @param {Object} parsed - Result of parseImportFile
+ * @param {Object} current - Stored { followDates, userDetails, safelist, userNotes }
+ * @param {Object} options - Import options
+ * @param {string} options.mode - One of IMPORT_MODES
+ * @param {string} options.policy - One of CONFLICT_POLICIES, used when merging
+ * @returns {Object} { result, preview } where result holds the storage sections to write
+ */
+export function planImport(parsed, current, { mode, policy }) {
+  const imported = normalizeImport(parsed.data, parsed.validation);
+  const currentFollowDates = current.followDates || {
+    followers: {},
+    following: {},
+  };
+
+  const preview = { conflictSamples: [] };
+  const followDates = {};
+
+  ["followers", "following"].forEach((type) => {
+    const existingRecords = currentFollowDates[type] || {};
+    const importedRecords = imported.followDates[type];
+    const counts = {
+      added: 0,
+      overwritten: 0,
+      conflicts: 0,
+      unchanged: 0,
+      removed: 0,
+    };
+
+    const records = mode === IMPORT_MODES.REPLACE ? {} : { ...existingRecords };
+
+    Object.entries(importedRecords).forEach(([userId, record]) => {
+      const existing = existingRecords[userId];
+      if (!existing) {
+        counts.added++;
+        records[userId] = record;
+        return;
+      }
+
+      const resolved =
+        mode === IMPORT_MODES.REPLACE
+          ? record
+          : resolveRecord(existing, record, policy);
+      records[userId] = resolved;
+
+      if (isSameRecord(existing, resolved)) {
+        counts.unchanged++;
+      } else {
+        counts.overwritten++;
+      }
+
+      if (existing.timestamp !== record.timestamp) {
+        counts.conflicts++;
+        if (preview.conflictSamples.length < MAX_CONFLICT_SAMPLES) {
+          preview.conflictSamples.push({
+            type,
+            userId,
+            username: record.username,
+            existingTimestamp: existing.timestamp,
+            importedTimestamp: record.timestamp,
+            keptTimestamp: resolved.timestamp,
+          });
+        }
+      }
+    });
+
+    if (mode === IMPORT_MODES.REPLACE) {
+      counts.removed = Object.keys(existingRecords).filter(
+        (userId) => !(userId in importedRecords)
+      ).length;
+    }
+
+    followDates[type] = records;
+    preview[type] = counts;
+  });
+
+  const userDetails = planSection(
+    current.userDetails,
+    imported.userDetails,
+    mode
+  );
+  const safelist = planSection(current.safelist, imported.safelist, mode);
+  const userNotes = planSection(
+    current.userNotes,
+    normalizeNotes(imported.userNotes, current.userNotes),
+    mode
+  );
+  preview.userDetails = {
+    added: userDetails.added,
+    overwritten: userDetails.overwritten,
+  };
+  preview.safelist = { added: safelist.added };
+  preview.userNotes = {
+    added: userNotes.added,
+    overwritten: userNotes.overwritten,
+  };
+
+  return {
+    result: {
+      followDates,
+      userDetails: userDetails.result,
+      safelist: safelist.result,
+      userNotes: userNotes.result,
+    },
+    preview,
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Follower growth analytics built from the results of each sync
+ */
+
+/**
+ * Storage structure:
+ * growthStats = {
+ *   snapshots: { "YYYY-MM-DD": { followers: number, following: number, mutual: number }, ... },
+ *   changes: [{ timestamp: number, type: "followers"|"following", gained: [userId], lost: [userId] }, ...]
+ * }
+ *
+ * A snapshot holds the last counts seen on that (local) day. `mutual` is the
+ * number of people you follow who follow you back, taken from followDates.
+ * Changes are only stored for syncs that noticed gained or lost users.
+ */
+
+// Longest period shown in the stats view, older data is dropped
+const RETENTION_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the local date key (YYYY-MM-DD) for a date
+ * @param {Date|number} date - Date or timestamp
+ * @returns {string} The date key
+ */
+export function toDateKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the stored growth stats
+ * @returns {Promise<Object>} Promise that resolves with the growth stats
+ */
+export async function getGrowthStats() {
+  const result = await chrome.storage.local.get(["growthStats"]);
+  return {
+    snapshots: {},
+    changes: [],
+    ...result.growthStats,
+  };
+}
+
+/**
+ * Record the result of a followers or following sync. Today's snapshot is
+ * updated with the new total and the gained and lost users are logged.
+ *
+ * Changes of the very first sync of a type are not logged, since every user
+ * looks new when nothing was tracked before.
+ * @param {string} type - "followers" or "following"
+ * @param {Object} result - Sync result
+ * @param {number} result.totalUsers - Current number of users in the list
+ * @param {Array} result.gained - IDs of users that joined the list
+ * @param {Array} result.lost - IDs of users that left the list
+ * @returns {Promise} Promise that resolves when the stats are saved
+ */
+export async function recordGrowthSync(
+  type,
+  { totalUsers, gained = [], lost = [] }
+) {
+  const [stats, result] = await Promise.all([
+    getGrowthStats(),
+    chrome.storage.local.get(["followDates"]),
+  ]);
+  const followDates = result.followDates || { followers: {}, following: {} };
+
+  const now = Date.now();
+  const isFirstSync = !Object.values(stats.snapshots).some(
+    (snapshot) => snapshot[type] !== undefined
+  );
+
+  const todayKey = toDateKey(now);
+  stats.snapshots[todayKey] = {
+    ...stats.snapshots[todayKey],
+    [type]: totalUsers,
+    mutual: countMutual(followDates),
+  };
+
+  if (!isFirstSync && (gained.length > 0 || lost.length > 0)) {
+    stats.changes.push({
+      timestamp: now,
+      type,
+      gained: gained.map(Number),
+      lost: lost.map(Number),
+    });
+  }
+
+  // Drop data older than the longest period
+  const cutoff = now - RETENTION_DAYS * DAY_MS;
+  const cutoffKey = toDateKey(cutoff);
+  Object.keys(stats.snapshots).forEach((dateKey) => {
+    if (dateKey < cutoffKey) delete stats.snapshots[dateKey];
+  });
+  stats.changes = stats.changes.filter((change) => change.timestamp >= cutoff);
+
+  await chrome.storage.local.set({ growthStats: stats });
+}
+
+/**
+ * Count the people you follow who follow you back
+ * @param {Object} followDates - Stored follow dates
+ * @returns {number} Number of active following records with an active follower record
+ */
+function countMutual(followDates) {
+  return Object.entries(followDates.following).filter(
+    ([userId, data]) =>
+      data.isActive !== false &&
+      followDates.followers[userId] &&
+      followDates.followers[userId].isActive !== false
+  ).length;
+}
+
+/**
+ * Build the daily series and totals shown in the stats view
+ *
+ * Days without a snapshot carry the counts of the previous day, so the
+ * series has one entry per day even if the extension wasn't opened.
+ * @param {Object} stats - Growth stats from getGrowthStats
+ * @param {number} days - Number of days up to today
+ * @returns {Object} { days: [{ date, followers, following, followBackRate, gained, lost }], totals }
+ */
+export function summarizeGrowth(stats, days) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  // Counts known before the period starts
+  const firstKey = toDateKey(
+    new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1)
+  );
+  let previous = {};
+  Object.keys(stats.snapshots)
+    .sort()
+    .forEach((dateKey) => {
+      if (dateKey < firstKey) {
+        previous = { ...previous, ...stats.snapshots[dateKey] };
+      }
+    });
+
+  // Follower changes per day
+  const changesByDay = {};
+  stats.changes
+    .filter((change) => change.type === "followers")
+    .forEach((change) => {
+      const dateKey = toDateKey(change.timestamp);
+      changesByDay[dateKey] = changesByDay[dateKey] || { gained: 0, lost: 0 };
+      changesByDay[dateKey].gained += change.gained.length;
+      changesByDay[dateKey].lost += change.lost.length;
+    });
+
+  const series = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = new Date(
+      today.getFullYear(),
+      today.getMonth(),
+      today.getDate() - offset
+    );
+    const dateKey = toDateKey(date);
+    const snapshot = { ...previous, ...stats.snapshots[dateKey] };
+    const dayChanges = changesByDay[dateKey] || { gained: 0, lost: 0 };
+
+    series.push({
+      date,
+      followers: snapshot.followers ?? null,
+      following: snapshot.following ?? null,
+      followBackRate:
+        snapshot.following > 0 && snapshot.mutual !== undefined
+          ? snapshot.mutual / snapshot.following
+          : null,
+      gained: dayChanges.gained,
+      lost: dayChanges.lost,
+    });
+    previous = snapshot;
+  }
+
+  const gained = series.reduce((sum, day) => sum + day.gained, 0);
+  const lost = series.reduce((sum, day) => sum + day.lost, 0);
+  const known = series.filter((day) => day.followers !== null);
+  const startFollowers = known.length > 0 ? known[0].followers : null;
+  const endFollowers =
+    known.length > 0 ? known[known.length - 1].followers : null;
+
+  return {
+    days: series,
+    totals: {
+      gained,
+      lost,
+      netGrowth:
+        startFollowers !== null ? endFollowers - startFollowers : null,
+      churnRate: startFollowers > 0 ? lost / startFollowers : null,
+      followBackRate: series[series.length - 1].followBackRate,
+    },
+  };
+}
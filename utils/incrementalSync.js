@@ -56,7 +56,7 @@ export class IncrementalSyncManager {
 
     return {
       type: "skip",
-      reason: "Recent sync, skipping",
+      reason: "Recent sync, count check only",
       estimatedDuration: 0,
     };
   }
@@ -141,6 +141,47 @@ export class IncrementalSyncManager {
     }
   }
 
+  /**
+   * Get the list saved by the last full crawl for a data type
+   */
+  async getCachedList(dataType) {
+    try {
+      const result = await chrome.storage.local.get(["cachedUserLists"]);
+      return result.cachedUserLists?.[dataType] || null;
+    } catch (error) {
+      console.error("Error getting cached list:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the result of a full crawl so unchanged syncs can reuse it
+   */
+  async setCachedList(dataType, { users, totalUsers }) {
+    try {
+      const result = await chrome.storage.local.get(["cachedUserLists"]);
+      const cachedUserLists = result.cachedUserLists || {};
+      cachedUserLists[dataType] = { users, totalUsers, fetchedAt: Date.now() };
+      await chrome.storage.local.set({ cachedUserLists });
+    } catch (error) {
+      console.error("Error saving cached list:", error);
+    }
+  }
+
+  /**
+   * Drop the cached list for a data type so the next sync does a full crawl
+   */
+  async invalidateCachedList(dataType) {
+    try {
+      const result = await chrome.storage.local.get(["cachedUserLists"]);
+      const cachedUserLists = result.cachedUserLists || {};
+      delete cachedUserLists[dataType];
+      await chrome.storage.local.set({ cachedUserLists });
+    } catch (error) {
+      console.error("Error invalidating cached list:", error);
+    }
+  }
+
   /**
    * Get current data size for estimation
    */
@@ -182,9 +223,32 @@ export class IncrementalSyncManager {
 
   /**
    * Smart sync that chooses the best strategy
+   *
+   * Unless the data is stale (full sync interval reached) or there is no
+   * previous count to compare against, a pageSize=1 count check runs first
+   * and the full crawl is skipped when the total is unchanged.
+   * The sync function is called with a page size for the count check and
+   * without arguments for the full crawl.
    */
-  async smartSync(dataType, fullSyncFunction, progressCallback = null) {
-    const strategy = await this.determineSyncStrategy(dataType);
+  async smartSync(
+    dataType,
+    fullSyncFunction,
+    progressCallback = null,
+    options = {}
+  ) {
+    const { lastKnownCount = null, force = false } = options;
+    let strategy = await this.determineSyncStrategy(dataType);
+
+    if (force || lastKnownCount === null) {
+      const currentData = await this.getCurrentDataSize(dataType);
+      strategy = {
+        type: "full",
+        reason: force
+          ? "Full sync requested"
+          : "No cached list to compare against",
+        estimatedDuration: this.estimateFullSyncDuration(currentData.count),
+      };
+    }
 
     if (progressCallback) {
       progressCallback({
@@ -199,73 +263,39 @@ export class IncrementalSyncManager {
       `Sync strategy for ${dataType}: ${strategy.type} (${strategy.reason})`
     );
 
-    if (strategy.type === "skip") {
-      return { skipped: true, reason: strategy.reason };
-    }
-
     const syncFunction = timeOperation(`smart_sync_${dataType}`, async () => {
-      switch (strategy.type) {
-        case "quick":
-          return await this.performQuickSync(
-            dataType,
-            fullSyncFunction,
-            progressCallback
-          );
-
-        case "incremental":
-          const currentData = await this.getCurrentDataSize(dataType);
-          return await this.performIncrementalSync(
-            dataType,
-            fullSyncFunction,
-            currentData.count
-          );
-
-        case "full":
-        default:
-          return await this.performFullSync(
-            dataType,
-            fullSyncFunction,
-            progressCallback
-          );
+      if (strategy.type === "full") {
+        return await this.performFullSync(
+          dataType,
+          fullSyncFunction,
+          progressCallback
+        );
       }
+
+      // Recent enough to trust an unchanged total
+      return await this.performIncrementalSync(
+        dataType,
+        fullSyncFunction,
+        lastKnownCount
+      );
     });
 
     const result = await syncFunction();
 
-    // Update last sync time
-    await this.updateLastSyncTime(dataType);
+    // Only a real crawl counts as a sync, so stale data still gets a full
+    // sync even if count checks keep happening in between
+    if (result.hasChanges) {
+      await this.updateLastSyncTime(dataType);
+    }
 
     return {
       ...result,
       strategy: strategy.type,
+      reason: strategy.reason,
       duration: performanceMonitor.endTimer(`smart_sync_${dataType}`),
     };
   }
 
-  /**
-   * Perform quick sync (just check for major changes)
-   */
-  async performQuickSync(dataType, apiFunction, progressCallback) {
-    if (progressCallback) {
-      progressCallback({ phase: "quick_check", progress: 50 });
-    }
-
-    const currentData = await this.getCurrentDataSize(dataType);
-    const quickCheck = await this.quickCountCheck(dataType, apiFunction);
-
-    if (progressCallback) {
-      progressCallback({ phase: "complete", progress: 100 });
-    }
-
-    return {
-      type: "quick",
-      hasChanges: quickCheck.count !== currentData.count,
-      currentCount: currentData.count,
-      newCount: quickCheck.count,
-      changeAmount: Math.abs(quickCheck.count - currentData.count),
-    };
-  }
-
   /**
    * Perform full sync
    */
@@ -0,0 +1,307 @@
+/**
+ * Registry of versioned storage migrations
+ *
+ * Each migration moves the stored data from `version - 1` to `version` (up)
+ * and back (down). Migrations receive and return a plain object with the
+ * storage keys in MIGRATED_KEYS and never write themselves, so a dry run can
+ * show the result without touching storage.
+ *
+ * To add a schema version, describe it in STORAGE_SCHEMAS
+ * (storageVersioning.js) and append a migration here.
+ */
+
+import { dataPersistence } from "./offlineSupport.js";
+
+export const STORAGE_VERSION_KEY = "storageVersion";
+
+// Storage keys migrations read and write
+const MIGRATED_KEYS = ["followDates", "metadata"];
+
+const MAX_MIGRATION_HISTORY = 50;
+
+const DEFAULT_METADATA = {
+  lastSync: null,
+  syncStats: {
+    totalSyncs: 0,
+    lastSyncDuration: 0,
+    averageSyncDuration: 0,
+  },
+};
+
+// Map every follower and following record, keeping missing lists empty
+function mapRecords(followDates, mapRecord) {
+  const mapped = { followers: {}, following: {} };
+  for (const type of ["followers", "following"]) {
+    for (const [userId, record] of Object.entries(followDates?.[type] || {})) {
+      mapped[type][userId] = mapRecord(record);
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Version 2: records become objects with a username and source
+ */
+function upToV2(data) {
+  return {
+    ...data,
+    followDates: mapRecords(data.followDates, (record) =>
+      typeof record === "number"
+        ? { timestamp: record, username: "Unknown", source: "migration_v1" }
+        : {
+            ...record,
+            timestamp: record.timestamp || Date.now(),
+            username: record.username || "Unknown",
+            source: record.source || "migration_v1",
+          }
+    ),
+    metadata: { ...DEFAULT_METADATA, ...data.metadata },
+  };
+}
+
+function downToV1(data) {
+  return {
+    ...data,
+    followDates: mapRecords(data.followDates, (record) =>
+      typeof record === "number" ? record : record.timestamp
+    ),
+  };
+}
+
+/**
+ * Version 3: records get an isActive flag and a relationship event log
+ * seeded with the original follow. The event type is a literal so later
+ * changes to RELATIONSHIP_EVENTS don't change what this migration writes.
+ */
+function upToV3(data) {
+  return {
+    ...data,
+    followDates: mapRecords(data.followDates, (record) => {
+      const migrated = {
+        ...record,
+        // Assume existing records are active
+        isActive: record.isActive !== undefined ? record.isActive : true,
+      };
+      if (!Array.isArray(record.events)) {
+        migrated.events = [
+          {
+            type: "followed",
+            timestamp: record.timestamp,
+            username: record.username,
+          },
+        ];
+      }
+      return migrated;
+    }),
+  };
+}
+
+// Lossy: inactive records look active again in version 2
+function downToV2(data) {
+  return {
+    ...data,
+    followDates: mapRecords(data.followDates, (record) => {
+      const { isActive, events, ...rest } = record;
+      return rest;
+    }),
+  };
+}
+
+/**
+ * Version 4: records keep their earlier usernames with the time each change
+ * was detected, taken from the username change events logged so far
+ */
+function upToV4(data) {
+  return {
+    ...data,
+    followDates: mapRecords(data.followDates, (record) => {
+      if (Array.isArray(record.previousUsernames)) return record;
+
+      const previousUsernames = (record.events || [])
+        .filter(
+          (event) =>
+            event.type === "username_changed" &&
+            event.previousUsername &&
+            event.previousUsername !== "Unknown"
+        )
+        .map((event) => ({
+          username: event.previousUsername,
+          changedAt: event.timestamp,
+        }));
+      return { ...record, previousUsernames };
+    }),
+  };
+}
+
+// The username change events stay, so migrating up again restores the list
+function downToV3(data) {
+  return {
+    ...data,
+    followDates: mapRecords(data.followDates, (record) => {
+      const { previousUsernames, ...rest } = record;
+      return rest;
+    }),
+  };
+}
+
+/**
+ * All migrations, ordered by version
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: "Enhanced schema with usernames and metadata",
+    up: upToV2,
+    down: downToV1,
+  },
+  {
+    version: 3,
+    description: "Active flag and relationship event log on every record",
+    up: upToV3,
+    down: downToV2,
+  },
+  {
+    version: 4,
+    description: "Username history on every record",
+    up: upToV4,
+    down: downToV3,
+  },
+];
+
+export const CURRENT_STORAGE_VERSION =
+  MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * List the migration steps between two versions
+ * @param {number} fromVersion - Stored version
+ * @param {number} toVersion - Target version
+ * @returns {Array} Steps ({ migration, direction: "up"|"down" }) in run order
+ */
+export function planMigrations(fromVersion, toVersion) {
+  if (toVersion >= fromVersion) {
+    return MIGRATIONS.filter(
+      (migration) =>
+        migration.version > fromVersion && migration.version <= toVersion
+    ).map((migration) => ({ migration, direction: "up" }));
+  }
+
+  return MIGRATIONS.filter(
+    (migration) =>
+      migration.version <= fromVersion && migration.version > toVersion
+  )
+    .reverse()
+    .map((migration) => ({ migration, direction: "down" }));
+}
+
+/**
+ * Migrate the stored data to a version, up or down
+ *
+ * All steps run in memory and the result is written at once, so a failing
+ * step leaves storage untouched. A backup is taken before writing.
+ * @param {Object} options - Migration options
+ * @param {number} options.targetVersion - Version to migrate to, the current one by default
+ * @param {boolean} options.dryRun - Only compute the result, don't back up or write
+ * @returns {Promise<Object>} { fromVersion, toVersion, steps, data, backupKey, dryRun }
+ */
+export async function migrateStorage({
+  targetVersion = CURRENT_STORAGE_VERSION,
+  dryRun = false,
+} = {}) {
+  const stored = await chrome.storage.local.get([
+    STORAGE_VERSION_KEY,
+    ...MIGRATED_KEYS,
+  ]);
+  const fromVersion = stored[STORAGE_VERSION_KEY] || 1;
+  const steps = planMigrations(fromVersion, targetVersion);
+
+  const summary = {
+    fromVersion,
+    toVersion: fromVersion,
+    steps: steps.map(({ migration, direction }) => ({
+      version: migration.version,
+      description: migration.description,
+      direction,
+    })),
+    data: null,
+    backupKey: null,
+    dryRun,
+  };
+  if (steps.length === 0) return summary;
+
+  let data = {};
+  for (const key of MIGRATED_KEYS) {
+    if (stored[key] !== undefined) data[key] = stored[key];
+  }
+
+  for (const { migration, direction } of steps) {
+    try {
+      data = migration[direction](data);
+    } catch (error) {
+      console.error(
+        `Migration ${direction} to ${migration.version} failed`,
+        error
+      );
+      throw new Error(
+        `Storage migration failed at version ${migration.version}: ${error.message}`
+      );
+    }
+  }
+
+  summary.toVersion = targetVersion;
+  summary.data = data;
+  if (dryRun) return summary;
+
+  // Nothing to back up on a fresh install
+  if (stored.followDates) {
+    summary.backupKey = await dataPersistence.createBackup("migration");
+  }
+
+  const history = data.metadata?.migrationHistory || [];
+  const metadata = {
+    ...data.metadata,
+    version: targetVersion,
+    migrationHistory: [
+      ...history,
+      {
+        fromVersion,
+        toVersion: targetVersion,
+        steps: summary.steps.map(({ version, direction }) => ({
+          version,
+          direction,
+        })),
+        backupKey: summary.backupKey,
+        timestamp: Date.now(),
+      },
+    ].slice(-MAX_MIGRATION_HISTORY),
+  };
+
+  await chrome.storage.local.set({
+    ...data,
+    metadata,
+    [STORAGE_VERSION_KEY]: targetVersion,
+  });
+
+  console.log(
+    `Storage migrated from version ${fromVersion} to ${targetVersion}`
+  );
+  return summary;
+}
+
+// Promise of this context's migration run, see ensureStorageMigrated
+let migrationPromise = null;
+
+/**
+ * Migrate the stored data to the current version once per page or service
+ * worker, instead of checking every record on each read
+ * @returns {Promise<Object>} The migration summary
+ */
+export function ensureStorageMigrated() {
+  if (!migrationPromise) {
+    migrationPromise = migrateStorage().catch((error) => {
+      // Try again on the next call
+      migrationPromise = null;
+      throw error;
+    });
+  }
+  return migrationPromise;
+}
@@ -2,6 +2,14 @@
  * Offline support and data persistence utilities
  */
 
+import {
+  compressJson,
+  decompressJson,
+  isCompressed,
+  isCompressionSupported,
+} from "./compression.js";
+import { getSettings } from "./settings.js";
+
 /**
  * Network status monitor
  */
@@ -15,14 +23,15 @@ class NetworkMonitor {
   }
 
   setupEventListeners() {
-    window.addEventListener("online", () => {
+    // self is the window in pages and the global scope in the service worker
+    self.addEventListener("online", () => {
       this.isOnline = true;
       this.lastOnlineTime = Date.now();
       this.notifyListeners("online");
       console.log("🌐 Network connection restored");
     });
 
-    window.addEventListener("offline", () => {
+    self.addEventListener("offline", () => {
       this.isOnline = false;
       this.lastOfflineTime = Date.now();
       this.notifyListeners("offline");
@@ -69,6 +78,39 @@ export class OfflineQueue {
     this.isProcessing = false;
     this.maxQueueSize = 100;
     this.retryDelays = [1000, 5000, 15000, 30000, 60000]; // Progressive delays
+    this.listeners = new Set();
+    this.credentialsProvider = null;
+    this.activeItemId = null;
+  }
+
+  /**
+   * Set a function returning { jwtToken, userId } for executing operations.
+   * Tokens are never persisted, so operations loaded from storage need it.
+   */
+  setCredentialsProvider(provider) {
+    this.credentialsProvider = provider;
+  }
+
+  /**
+   * Listen for queue events: "enqueued", "retrying", "completed", "failed"
+   * and "cancelled". Callbacks receive (event, item, result).
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+  }
+
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, item, result = null) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, item, result);
+      } catch (error) {
+        console.error("Error in offline queue listener:", error);
+      }
+    });
   }
 
   /**
@@ -77,8 +119,9 @@ export class OfflineQueue {
   async enqueue(operation) {
     if (this.queue.length >= this.maxQueueSize) {
       // Remove oldest operation
-      this.queue.shift();
+      const dropped = this.queue.shift();
       console.warn("Offline queue full, removing oldest operation");
+      this.notifyListeners("failed", dropped, { error: "Offline queue full" });
     }
 
     const queueItem = {
@@ -94,9 +137,32 @@ export class OfflineQueue {
     await this.persistQueue();
 
     console.log(`Added operation to offline queue: ${operation.type}`);
+    this.notifyListeners("enqueued", queueItem);
     return queueItem.id;
   }
 
+  /**
+   * Cancel a queued operation. Returns false if it doesn't exist or is
+   * already being sent.
+   */
+  async cancel(id) {
+    const item = this.queue.find((queued) => queued.id === id);
+    if (!item || item.id === this.activeItemId) {
+      return false;
+    }
+
+    this.removeItem(id);
+    await this.persistQueue();
+
+    console.log(`Cancelled offline operation: ${item.operation.type}`);
+    this.notifyListeners("cancelled", item);
+    return true;
+  }
+
+  removeItem(id) {
+    this.queue = this.queue.filter((item) => item.id !== id);
+  }
+
   /**
    * Process offline queue when back online
    */
@@ -112,21 +178,23 @@ export class OfflineQueue {
 
     while (this.queue.length > 0) {
       const item = this.queue[0]; // Process in order
+      this.activeItemId = item.id;
 
       try {
         const result = await this.executeOperation(item.operation);
 
-        // Success - remove from queue
-        this.queue.shift();
+        // Success - remove from queue (by ID, it may have moved meanwhile)
+        this.removeItem(item.id);
         results.push({ id: item.id, success: true, result });
 
         console.log(`✅ Offline operation completed: ${item.operation.type}`);
+        this.notifyListeners("completed", item, result);
       } catch (error) {
         item.retryCount++;
 
         if (item.retryCount > item.maxRetries) {
           // Max retries reached - remove from queue
-          this.queue.shift();
+          this.removeItem(item.id);
           results.push({
             id: item.id,
             success: false,
@@ -138,6 +206,7 @@ export class OfflineQueue {
             `❌ Offline operation failed permanently: ${item.operation.type}`,
             error
           );
+          this.notifyListeners("failed", item, { error: error.message });
         } else {
           // Schedule retry
           const delay =
@@ -150,12 +219,15 @@ export class OfflineQueue {
           );
 
           // Move to end of queue for retry
-          this.queue.push(this.queue.shift());
+          this.removeItem(item.id);
+          this.queue.push(item);
+          this.notifyListeners("retrying", item, { error: error.message });
           break; // Wait for next processing cycle
         }
       }
     }
 
+    this.activeItemId = null;
     await this.persistQueue();
     this.isProcessing = false;
 
@@ -166,13 +238,18 @@ export class OfflineQueue {
    * Execute a queued operation
    */
   async executeOperation(operation) {
+    const credentials = this.credentialsProvider
+      ? await this.credentialsProvider()
+      : {};
+    const data = { ...operation.data, ...credentials };
+
     switch (operation.type) {
       case "follow":
-        return await this.executeFollow(operation.data);
+        return await this.executeFollow(data);
       case "unfollow":
-        return await this.executeUnfollow(operation.data);
+        return await this.executeUnfollow(data);
       case "sync_data":
-        return await this.executeSyncData(operation.data);
+        return await this.executeSyncData(data);
       default:
         throw new Error(`Unknown operation type: ${operation.type}`);
     }
@@ -283,6 +360,7 @@ export class OfflineQueue {
       operations: this.queue.map((item) => ({
         id: item.id,
         type: item.operation.type,
+        targetUserId: item.operation.data?.targetUserId ?? null,
         timestamp: item.timestamp,
         retryCount: item.retryCount,
         nextRetry: item.nextRetry,
@@ -295,6 +373,16 @@ export class OfflineQueue {
   }
 }
 
+// Data rebuilt from other keys or from Duolingo, left out of backups: the
+// follower/following lists cached by incremental sync and the username index
+const DERIVED_KEYS = ["cachedUserLists", "usernameIndex"];
+
+// Whether a stored key belongs in a backup. Earlier backups are left out so
+// they don't nest inside each other.
+function isBackedUpKey(key) {
+  return !key.startsWith("backup_") && !DERIVED_KEYS.includes(key);
+}
+
 /**
  * Data persistence manager
  */
@@ -306,28 +394,37 @@ export class DataPersistenceManager {
 
   /**
    * Create a backup of current data
+   * @param {string} reason - Why the backup was taken ("manual", "daily", "import", "migration", "restore")
    */
-  async createBackup() {
+  async createBackup(reason = "manual") {
     try {
-      const allData = await chrome.storage.local.get(null);
+      const storedData = await chrome.storage.local.get(null);
+
+      const allData = {};
+      for (const [key, value] of Object.entries(storedData)) {
+        if (isBackedUpKey(key)) {
+          allData[key] = value;
+        }
+      }
 
       const backup = {
         timestamp: Date.now(),
         version: "1.0",
+        reason,
         data: allData,
         checksum: this.calculateChecksum(JSON.stringify(allData)),
       };
 
-      // Compress if enabled
+      // Compress if enabled. The reason stays readable for listBackups.
       const backupData = this.compressionEnabled
-        ? await this.compressData(backup)
+        ? { ...(await this.compressData(backup)), reason }
         : backup;
 
       // Store with timestamp
       const backupKey = `backup_${backup.timestamp}`;
       await chrome.storage.local.set({ [backupKey]: backupData });
 
-      // Clean old backups (keep last 7 days)
+      // Clean old backups (see the backupRetentionDays setting)
       await this.cleanOldBackups();
 
       console.log(`✅ Data backup created: ${backupKey}`);
@@ -338,22 +435,39 @@ export class DataPersistenceManager {
     }
   }
 
+  /**
+   * Create a backup if none was taken within the backup interval
+   * @returns {Promise<string|null>} The new backup key, or null if one wasn't due
+   */
+  async createDailyBackupIfDue() {
+    const [latest] = await this.listBackups();
+    if (latest && Date.now() - latest.timestamp < this.backupInterval) {
+      return null;
+    }
+    return this.createBackup("daily");
+  }
+
+  /**
+   * Read a stored backup
+   */
+  async getBackup(backupKey) {
+    const result = await chrome.storage.local.get([backupKey]);
+    const backupData = result[backupKey];
+
+    if (!backupData) {
+      throw new Error(`Backup not found: ${backupKey}`);
+    }
+
+    // Decompress if needed, backups taken before compression still load
+    return this.decompressData(backupData);
+  }
+
   /**
    * Restore data from backup
    */
   async restoreFromBackup(backupKey) {
     try {
-      const result = await chrome.storage.local.get([backupKey]);
-      const backupData = result[backupKey];
-
-      if (!backupData) {
-        throw new Error(`Backup not found: ${backupKey}`);
-      }
-
-      // Decompress if needed
-      const backup = this.compressionEnabled
-        ? await this.decompressData(backupData)
-        : backupData;
+      const backup = await this.getBackup(backupKey);
 
       // Verify checksum
       const currentChecksum = this.calculateChecksum(
@@ -363,15 +477,22 @@ export class DataPersistenceManager {
         throw new Error("Backup data integrity check failed");
       }
 
-      // Restore data (excluding backup keys)
+      // Restore data (excluding backup keys and derived data older backups
+      // may still have)
       const restoreData = {};
       for (const [key, value] of Object.entries(backup.data)) {
-        if (!key.startsWith("backup_")) {
+        if (isBackedUpKey(key)) {
           restoreData[key] = value;
         }
       }
 
-      await chrome.storage.local.clear();
+      // Remove everything but the backups, so they survive the restore. The
+      // cached lists are fetched again on the next sync and the service
+      // worker rebuilds the username index from the restored records.
+      const currentKeys = Object.keys(await chrome.storage.local.get(null));
+      await chrome.storage.local.remove(
+        currentKeys.filter((key) => !key.startsWith("backup_"))
+      );
       await chrome.storage.local.set(restoreData);
 
       console.log(`✅ Data restored from backup: ${backupKey}`);
@@ -397,6 +518,7 @@ export class DataPersistenceManager {
             key,
             timestamp,
             date: new Date(timestamp),
+            reason: value.reason || value.data?.reason || "manual",
             size: new Blob([JSON.stringify(value)]).size,
           });
         }
@@ -409,12 +531,34 @@ export class DataPersistenceManager {
     }
   }
 
+  /**
+   * Delete a backup
+   */
+  async deleteBackup(backupKey) {
+    await chrome.storage.local.remove([backupKey]);
+    console.log(`🗑️ Deleted backup: ${backupKey}`);
+  }
+
+  /**
+   * Delete all but the newest backups
+   * @returns {Promise<number>} Number of backups deleted
+   */
+  async keepLatestBackups(count) {
+    const backups = await this.listBackups();
+    const toDelete = backups.slice(count);
+
+    for (const backup of toDelete) {
+      await this.deleteBackup(backup.key);
+    }
+    return toDelete.length;
+  }
+
   /**
    * Clean old backups
    */
   async cleanOldBackups() {
-    const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
-    const cutoff = Date.now() - maxAge;
+    const { backupRetentionDays } = await getSettings();
+    const cutoff = Date.now() - backupRetentionDays * 24 * 60 * 60 * 1000;
 
     const backups = await this.listBackups();
     const toDelete = backups.filter((backup) => backup.timestamp < cutoff);
@@ -439,24 +583,24 @@ export class DataPersistenceManager {
   }
 
   /**
-   * Compress data (basic implementation)
+   * Compress data with gzip, stored as base64 text
    */
   async compressData(data) {
-    // In a real implementation, you might use compression libraries
-    // For now, just return the data (compression can be added later)
-    return {
-      compressed: false,
-      data: data,
-    };
+    if (!isCompressionSupported()) {
+      return {
+        compressed: false,
+        data: data,
+      };
+    }
+    return compressJson(data);
   }
 
   /**
    * Decompress data
    */
   async decompressData(compressedData) {
-    if (compressedData.compressed) {
-      // Implement decompression
-      return compressedData.data;
+    if (isCompressed(compressedData)) {
+      return decompressJson(compressedData);
     }
     return compressedData.data || compressedData;
   }
@@ -479,6 +623,12 @@ export async function initializeOfflineSupport() {
     }
   });
 
-  // Note: Automatic backups removed for privacy - backups are user-triggered only
+  // Backups stay in local storage, like the rest of the data
+  try {
+    await dataPersistence.createDailyBackupIfDue();
+  } catch (error) {
+    console.error("Error creating daily backup:", error);
+  }
+
   console.log("Offline support initialized");
 }
@@ -118,7 +118,8 @@ export function rateLimit(fn, minInterval = 300) {
  * Batch process items with rate limiting and error handling
  * @param {Array} items - Items to process
  * @param {Function} processor - Function to process each item
- * @param {Object} options - Processing options
+ * @param {Object} options - Processing options, `controller` can be a
+ * pause controller from createPauseController
  * @returns {Promise<Array>} - Results array
  */
 export async function batchProcess(items, processor, options = {}) {
@@ -127,12 +128,18 @@ export async function batchProcess(items, processor, options = {}) {
     batchDelay = 1000,
     onProgress = null,
     stopOnError = false,
+    controller = null,
   } = options;
 
   const results = [];
   const errors = [];
 
   for (let i = 0; i < items.length; i += batchSize) {
+    // Hold the next batch while the run is paused
+    if (controller) {
+      await controller.waitIfPaused();
+    }
+
     const batch = items.slice(i, i + batchSize);
 
     const batchPromises = batch.map(async (item, index) => {
@@ -178,3 +185,33 @@ export async function batchProcess(items, processor, options = {}) {
     errorCount: errors.length,
   };
 }
+
+/**
+ * Create a controller to pause and resume a batchProcess run between batches
+ * @returns {Object} - Controller with pause, resume, isPaused and waitIfPaused
+ */
+export function createPauseController() {
+  let paused = false;
+  let waiting = [];
+
+  return {
+    pause() {
+      paused = true;
+    },
+
+    resume() {
+      paused = false;
+      waiting.forEach((resolve) => resolve());
+      waiting = [];
+    },
+
+    isPaused() {
+      return paused;
+    },
+
+    waitIfPaused() {
+      if (!paused) return Promise.resolve();
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Persisted user settings shared by the popup, options page, storage viewer,
+ * service worker and content scripts. They live in chrome.storage.sync so
+ * they follow the user to other browsers.
+ */
+
+const SETTINGS_KEY = "settings";
+
+/**
+ * @typedef {Object} Settings
+ * @property {boolean} backgroundSync
+ * @property {boolean} feedNotifications
+ * @property {Array<string>|null} csvColumns
+ * @property {boolean} compressUserDetails
+ * @property {number} storageWarningPercent
+ * @property {boolean} autoPruneStorage
+ * @property {number} pruneUserDetailsDays
+ * @property {number} collapseInactiveDays
+ * @property {number} maxBackups
+ * @property {number} backupRetentionDays
+ * @property {number} requestIntervalMs
+ * @property {number} retryAttempts
+ * @property {number} userDetailsCacheHours
+ * @property {number} userDetailsCacheSize
+ * @property {number} preloadUserDetailsCount
+ * @property {Object<string, boolean>} profileBadges
+ * @property {Object<string, string>} badgeColors
+ */
+
+/**
+ * Default values for every setting
+ * @type {Settings}
+ */
+export const DEFAULT_SETTINGS = {
+  // Periodically sync followers/following from the service worker (opt-in)
+  backgroundSync: false,
+  // Show a notification when a background sync finds new or lost followers
+  feedNotifications: false,
+  // Columns picked for the last CSV export, null for all columns
+  csvColumns: null,
+  // Store user details gzip-compressed to save storage space
+  compressUserDetails: false,
+  // Storage usage (percent of the quota) that shows a warning in the popup
+  storageWarningPercent: 80,
+  // Apply the pruning rules below when usage passes the warning threshold
+  autoPruneStorage: false,
+  // Drop cached user details not refreshed for this many days (0 = never)
+  pruneUserDetailsDays: 90,
+  // Collapse the event log of users inactive for this many days (0 = never)
+  collapseInactiveDays: 365,
+  // Number of backups to keep when pruning (0 = keep all)
+  maxBackups: 7,
+  // Backups older than this many days are deleted when a backup is made
+  backupRetentionDays: 7,
+  // Pause between two requests to Duolingo in paged fetches and bulk unfollows
+  requestIntervalMs: 300,
+  // Attempts for a failed request to Duolingo, the first one included
+  retryAttempts: 3,
+  // How long the service worker reuses fetched user details (0 = no reuse)
+  userDetailsCacheHours: 12,
+  // Most user details kept in the service worker's memory cache
+  userDetailsCacheSize: 1000,
+  // Users whose details are fetched ahead of time when a list is shown
+  preloadUserDetailsCount: 10,
+  // Badges shown next to the username on Duolingo profile pages, by type
+  profileBadges: {
+    followsYou: true,
+    mutual: true,
+    notFollowingBack: true,
+    newFollower: true,
+    unfollowedYou: true,
+    youUnfollowed: true,
+  },
+  // Background colour of each profile badge type
+  badgeColors: {
+    followsYou: "#1cb0f6",
+    mutual: "#58cc02",
+    notFollowingBack: "#ff4b4b",
+    newFollower: "#ce82ff",
+    unfollowedYou: "#ff9500",
+    youUnfollowed: "#ff9500",
+  },
+};
+
+/**
+ * Labels of the profile badge types, in the order they are listed
+ */
+export const PROFILE_BADGE_LABELS = {
+  followsYou: "Follows you",
+  mutual: "Mutual",
+  notFollowingBack: "Doesn't follow back",
+  newFollower: "New follower (last 7 days)",
+  unfollowedYou: "Ex-follower (unfollowed you)",
+  youUnfollowed: "Ex-following (you unfollowed)",
+};
+
+/**
+ * Allowed range of every number setting. Values are rounded and clamped.
+ */
+export const SETTING_LIMITS = {
+  storageWarningPercent: { min: 1, max: 100 },
+  pruneUserDetailsDays: { min: 0, max: 3650 },
+  collapseInactiveDays: { min: 0, max: 3650 },
+  maxBackups: { min: 0, max: 100 },
+  backupRetentionDays: { min: 1, max: 365 },
+  requestIntervalMs: { min: 0, max: 10000 },
+  retryAttempts: { min: 1, max: 10 },
+  userDetailsCacheHours: { min: 0, max: 168 },
+  userDetailsCacheSize: { min: 10, max: 10000 },
+  preloadUserDetailsCount: { min: 0, max: 100 },
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Check a stored value against the type of its default, falling back to the
+// default when it doesn't fit
+function normalizeValue(key, fallback, value) {
+  if (value === undefined) return fallback;
+
+  // csvColumns, the only setting that can be null
+  if (fallback === null) {
+    return Array.isArray(value) ? value : null;
+  }
+
+  switch (typeof fallback) {
+    case "boolean":
+      return typeof value === "boolean" ? value : fallback;
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return fallback;
+      }
+      const { min, max } = SETTING_LIMITS[key];
+      return Math.min(max, Math.max(min, Math.round(value)));
+    }
+    case "string":
+      // Strings are colours so far
+      return typeof value === "string" && HEX_COLOR.test(value)
+        ? value
+        : fallback;
+    default:
+      // Objects with a value per badge type
+      return Object.fromEntries(
+        Object.entries(fallback).map(([name, nestedFallback]) => [
+          name,
+          normalizeValue(`${key}.${name}`, nestedFallback, value?.[name]),
+        ])
+      );
+  }
+}
+
+/**
+ * Merge stored settings over the defaults, dropping unknown settings and
+ * values of the wrong type
+ * @param {Object} [stored] - Settings as stored
+ * @returns {Settings} Complete settings
+ */
+export function normalizeSettings(stored = {}) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SETTINGS).map(([key, fallback]) => [
+      key,
+      normalizeValue(key, fallback, stored?.[key]),
+    ])
+  );
+}
+
+// Read the stored settings, moving them over from chrome.storage.local where
+// they were kept before the options page
+async function readStoredSettings() {
+  const result = await chrome.storage.sync.get([SETTINGS_KEY]);
+  if (result[SETTINGS_KEY]) return result[SETTINGS_KEY];
+
+  const local = await chrome.storage.local.get([SETTINGS_KEY]);
+  if (!local[SETTINGS_KEY]) return {};
+
+  await chrome.storage.sync.set({
+    [SETTINGS_KEY]: normalizeSettings(local[SETTINGS_KEY]),
+  });
+  await chrome.storage.local.remove(SETTINGS_KEY);
+  return local[SETTINGS_KEY];
+}
+
+/**
+ * Get the current settings merged over the defaults
+ * @returns {Promise<Settings>} The settings object
+ */
+export async function getSettings() {
+  try {
+    return normalizeSettings(await readStoredSettings());
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    return normalizeSettings();
+  }
+}
+
+/**
+ * Update one or more settings
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Settings>} The updated settings object
+ */
+export async function updateSettings(changes) {
+  const settings = normalizeSettings({ ...(await getSettings()), ...changes });
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
+
+/**
+ * Call back whenever the settings change, in this or another extension page
+ * @param {Function} callback - Called with (settings, previousSettings)
+ */
+export function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "sync" || !changes[SETTINGS_KEY]) return;
+
+    callback(
+      normalizeSettings(changes[SETTINGS_KEY].newValue),
+      normalizeSettings(changes[SETTINGS_KEY].oldValue)
+    );
+  });
+}
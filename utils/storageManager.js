@@ -0,0 +1,240 @@
+/**
+ * Storage usage per category and the pruning policies that keep the
+ * extension under the chrome.storage.local quota
+ */
+
+import { getSettings } from "./settings.js";
+import { dataPersistence } from "./offlineSupport.js";
+import {
+  getStoredUserDetails,
+  saveStoredUserDetails,
+} from "./userDetailsStorage.js";
+import { RELATIONSHIP_EVENTS } from "../follow_date_manager.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fallback when chrome.storage.local.QUOTA_BYTES isn't available: the limit
+// without the unlimitedStorage permission since Chrome 114
+const DEFAULT_QUOTA_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Storage categories shown in the storage manager, matched by key
+ */
+export const STORAGE_CATEGORIES = [
+  {
+    id: "followDates",
+    label: "Follow records",
+    matches: (key) => key === "followDates" || key === "usernameIndex",
+  },
+  {
+    id: "userDetails",
+    label: "Cached user details",
+    matches: (key) => key === "userDetails",
+  },
+  {
+    id: "userLists",
+    label: "Cached follower lists",
+    matches: (key) => key === "cachedUserLists",
+  },
+  {
+    id: "history",
+    label: "Growth stats and change feed",
+    matches: (key) => key === "growthStats" || key === "changeFeed",
+  },
+  {
+    id: "backups",
+    label: "Backups",
+    matches: (key) => key.startsWith("backup_"),
+  },
+  {
+    id: "other",
+    label: "Other data",
+    matches: () => true,
+  },
+];
+
+function getValueSize(key, value) {
+  // Approximates how Chrome counts a stored item: key plus JSON value
+  return new Blob([key, JSON.stringify(value)]).size;
+}
+
+/**
+ * Measure the total storage usage without reading the stored data, for
+ * quota checks
+ * @returns {Promise<Object>} { totalBytes, quotaBytes, usagePercentage }
+ */
+export async function getStorageTotals() {
+  const totalBytes = await chrome.storage.local.getBytesInUse(null);
+  const quotaBytes = chrome.storage.local.QUOTA_BYTES || DEFAULT_QUOTA_BYTES;
+
+  return {
+    totalBytes,
+    quotaBytes,
+    usagePercentage: (totalBytes / quotaBytes) * 100,
+  };
+}
+
+/**
+ * Measure how much storage each category uses. Reads all stored data, so
+ * it's only meant for the storage viewer; use getStorageTotals elsewhere.
+ * @returns {Promise<Object>} { totalBytes, quotaBytes, usagePercentage, categories: [{ id, label, bytes }] }
+ */
+export async function getStorageUsage() {
+  const allData = await chrome.storage.local.get(null);
+
+  const categories = STORAGE_CATEGORIES.map(({ id, label }) => ({
+    id,
+    label,
+    bytes: 0,
+  }));
+
+  let totalBytes = 0;
+  for (const [key, value] of Object.entries(allData)) {
+    const bytes = getValueSize(key, value);
+    const index = STORAGE_CATEGORIES.findIndex((category) =>
+      category.matches(key)
+    );
+    categories[index].bytes += bytes;
+    totalBytes += bytes;
+  }
+
+  const quotaBytes = chrome.storage.local.QUOTA_BYTES || DEFAULT_QUOTA_BYTES;
+
+  return {
+    totalBytes,
+    quotaBytes,
+    usagePercentage: (totalBytes / quotaBytes) * 100,
+    categories,
+  };
+}
+
+/**
+ * Drop cached user details that weren't refreshed within maxAgeDays. They are
+ * fetched again the next time a card needs them.
+ * @param {number} maxAgeDays - Maximum age in days
+ * @returns {Promise<number>} Number of users removed
+ */
+async function pruneUserDetails(maxAgeDays) {
+  const cutoff = Date.now() - maxAgeDays * DAY_MS;
+  const userDetails = await getStoredUserDetails();
+
+  let removed = 0;
+  for (const [userId, details] of Object.entries(userDetails)) {
+    if (details && details.lastUpdated && details.lastUpdated < cutoff) {
+      delete userDetails[userId];
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    await saveStoredUserDetails(userDetails);
+  }
+  return removed;
+}
+
+/**
+ * Collapse the event log of records that became inactive more than
+ * maxAgeDays ago to their first follow and last unfollow. The record and its
+ * original follow date are kept.
+ * @param {number} maxAgeDays - Maximum age in days
+ * @returns {Promise<number>} Number of records collapsed
+ */
+async function collapseInactiveRecords(maxAgeDays) {
+  const cutoff = Date.now() - maxAgeDays * DAY_MS;
+  const result = await chrome.storage.local.get(["followDates"]);
+  const followDates = result.followDates;
+  if (!followDates) return 0;
+
+  let collapsed = 0;
+  for (const records of [followDates.followers, followDates.following]) {
+    for (const record of Object.values(records || {})) {
+      if (record.isActive !== false || !Array.isArray(record.events)) {
+        continue;
+      }
+      if (record.events.length <= 2) continue;
+
+      const lastUnfollow = record.events
+        .filter((event) => event.type === RELATIONSHIP_EVENTS.UNFOLLOWED)
+        .pop();
+      if (!lastUnfollow || lastUnfollow.timestamp >= cutoff) continue;
+
+      const firstFollow =
+        record.events.find(
+          (event) => event.type === RELATIONSHIP_EVENTS.FOLLOWED
+        ) || record.events[0];
+      record.events = [firstFollow, lastUnfollow];
+      collapsed++;
+    }
+  }
+
+  if (collapsed > 0) {
+    await chrome.storage.local.set({ followDates });
+  }
+  return collapsed;
+}
+
+/**
+ * Apply the pruning policies from the settings
+ * @param {Object} settings - Settings to use, defaults to the stored ones
+ * @returns {Promise<Object>} { userDetailsRemoved, recordsCollapsed, backupsRemoved, bytesFreed }
+ */
+export async function pruneStorage(settings = null) {
+  const { pruneUserDetailsDays, collapseInactiveDays, maxBackups } =
+    settings || (await getSettings());
+
+  const before = await getStorageTotals();
+
+  const summary = {
+    userDetailsRemoved: 0,
+    recordsCollapsed: 0,
+    backupsRemoved: 0,
+    bytesFreed: 0,
+  };
+
+  // A value of 0 turns a policy off
+  if (pruneUserDetailsDays > 0) {
+    summary.userDetailsRemoved = await pruneUserDetails(pruneUserDetailsDays);
+  }
+  if (collapseInactiveDays > 0) {
+    summary.recordsCollapsed = await collapseInactiveRecords(
+      collapseInactiveDays
+    );
+  }
+  if (maxBackups > 0) {
+    summary.backupsRemoved = await dataPersistence.keepLatestBackups(
+      maxBackups
+    );
+  }
+
+  const after = await getStorageTotals();
+  summary.bytesFreed = Math.max(0, before.totalBytes - after.totalBytes);
+
+  console.log("Storage pruned:", summary);
+  return summary;
+}
+
+/**
+ * Prune automatically when the setting is on and usage passed the warning
+ * threshold
+ * @returns {Promise<Object|null>} The pruning summary, or null if nothing ran
+ */
+export async function autoPruneStorage() {
+  const settings = await getSettings();
+  if (!settings.autoPruneStorage) return null;
+
+  const usage = await getStorageTotals();
+  if (usage.usagePercentage < settings.storageWarningPercent) return null;
+
+  return pruneStorage(settings);
+}
+
+/**
+ * Format a byte count as a readable size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} The formatted size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -1,16 +1,21 @@
 /**
- * Storage versioning and migration system
+ * Storage versioning and migration system. The migrations themselves are
+ * registered in migrations.js.
  */
 
-const CURRENT_STORAGE_VERSION = 2;
-const STORAGE_VERSION_KEY = "storageVersion";
+import {
+  CURRENT_STORAGE_VERSION,
+  STORAGE_VERSION_KEY,
+  ensureStorageMigrated,
+} from "./migrations.js";
 
 /**
  * Storage schema definitions
  */
-const STORAGE_SCHEMAS = {
+export const STORAGE_SCHEMAS = {
   1: {
     description: "Initial schema with basic follow dates",
+    recordType: "number",
     structure: {
       followDates: {
         followers: {}, // userId: timestamp
@@ -20,6 +25,8 @@ const STORAGE_SCHEMAS = {
   },
   2: {
     description: "Enhanced schema with usernames and metadata",
+    recordType: "object",
+    recordFields: ["timestamp", "username", "source"],
     structure: {
       followDates: {
         followers: {}, // userId: { timestamp, username, source }
@@ -36,6 +43,55 @@ const STORAGE_SCHEMAS = {
       },
     },
   },
+  3: {
+    description: "Active flag and relationship event log on every record",
+    recordType: "object",
+    recordFields: ["timestamp", "username", "source", "isActive", "events"],
+    structure: {
+      followDates: {
+        followers: {}, // userId: { timestamp, username, source, isActive, events }
+        following: {}, // userId: { timestamp, username, source, isActive, events }
+      },
+      metadata: {
+        version: 3,
+        lastSync: null,
+        syncStats: {
+          totalSyncs: 0,
+          lastSyncDuration: 0,
+          averageSyncDuration: 0,
+        },
+        migrationHistory: [],
+      },
+    },
+  },
+  4: {
+    description: "Username history on every record",
+    recordType: "object",
+    recordFields: [
+      "timestamp",
+      "username",
+      "source",
+      "isActive",
+      "events",
+      "previousUsernames",
+    ],
+    structure: {
+      followDates: {
+        followers: {}, // userId: { timestamp, username, source, isActive, events, previousUsernames }
+        following: {}, // userId: { timestamp, username, source, isActive, events, previousUsernames }
+      },
+      metadata: {
+        version: 4,
+        lastSync: null,
+        syncStats: {
+          totalSyncs: 0,
+          lastSyncDuration: 0,
+          averageSyncDuration: 0,
+        },
+        migrationHistory: [],
+      },
+    },
+  },
 };
 
 /**
@@ -54,12 +110,12 @@ export async function initializeVersionedStorage() {
       `Current storage version: ${currentVersion}, Target version: ${CURRENT_STORAGE_VERSION}`
     );
 
-    if (currentVersion < CURRENT_STORAGE_VERSION) {
-      console.log("Storage migration required");
-      await migrateStorage(currentVersion, CURRENT_STORAGE_VERSION, result);
-    } else if (!result.followDates) {
+    if (!result.followDates && !result[STORAGE_VERSION_KEY]) {
       // Fresh installation
       await initializeFreshStorage();
+    } else if (currentVersion < CURRENT_STORAGE_VERSION) {
+      console.log("Storage migration required");
+      await ensureStorageMigrated();
     } else {
       console.log("Storage is up to date");
     }
@@ -71,120 +127,6 @@ export async function initializeVersionedStorage() {
   }
 }
 
-/**
- * Migrate storage from one version to another
- */
-async function migrateStorage(fromVersion, toVersion, existingData) {
-  console.log(`Migrating storage from version ${fromVersion} to ${toVersion}`);
-
-  const migrationSteps = [];
-
-  // Define migration steps
-  if (fromVersion === 1 && toVersion >= 2) {
-    migrationSteps.push(migrateV1ToV2);
-  }
-
-  let currentData = existingData;
-
-  // Execute migrations sequentially
-  for (const migrationStep of migrationSteps) {
-    try {
-      currentData = await migrationStep(currentData);
-      console.log(`Migration step completed: ${migrationStep.name}`);
-    } catch (error) {
-      console.error(`Migration step failed: ${migrationStep.name}`, error);
-      throw new Error(
-        `Storage migration failed at step: ${migrationStep.name}`
-      );
-    }
-  }
-
-  // Update version
-  await chrome.storage.local.set({
-    [STORAGE_VERSION_KEY]: toVersion,
-    ...currentData,
-  });
-
-  console.log("Storage migration completed successfully");
-}
-
-/**
- * Migrate from version 1 to version 2
- */
-async function migrateV1ToV2(data) {
-  const followDates = data.followDates || { followers: {}, following: {} };
-  const migratedData = {
-    followers: {},
-    following: {},
-  };
-
-  // Migrate followers
-  for (const [userId, timestampOrData] of Object.entries(
-    followDates.followers
-  )) {
-    if (typeof timestampOrData === "number") {
-      // Old format: just timestamp
-      migratedData.followers[userId] = {
-        timestamp: timestampOrData,
-        username: "Unknown",
-        source: "migration_v1",
-      };
-    } else if (typeof timestampOrData === "object") {
-      // Partial new format: ensure all fields
-      migratedData.followers[userId] = {
-        timestamp: timestampOrData.timestamp || Date.now(),
-        username: timestampOrData.username || "Unknown",
-        source: timestampOrData.source || "migration_v1",
-      };
-    }
-  }
-
-  // Migrate following
-  for (const [userId, timestampOrData] of Object.entries(
-    followDates.following
-  )) {
-    if (typeof timestampOrData === "number") {
-      // Old format: just timestamp
-      migratedData.following[userId] = {
-        timestamp: timestampOrData,
-        username: "Unknown",
-        source: "migration_v1",
-      };
-    } else if (typeof timestampOrData === "object") {
-      // Partial new format: ensure all fields
-      migratedData.following[userId] = {
-        timestamp: timestampOrData.timestamp || Date.now(),
-        username: timestampOrData.username || "Unknown",
-        source: timestampOrData.source || "migration_v1",
-      };
-    }
-  }
-
-  return {
-    followDates: migratedData,
-    metadata: {
-      version: 2,
-      lastSync: null,
-      syncStats: {
-        totalSyncs: 0,
-        lastSyncDuration: 0,
-        averageSyncDuration: 0,
-      },
-      migrationHistory: [
-        {
-          fromVersion: 1,
-          toVersion: 2,
-          timestamp: Date.now(),
-          recordsMigrated: {
-            followers: Object.keys(migratedData.followers).length,
-            following: Object.keys(migratedData.following).length,
-          },
-        },
-      ],
-    },
-  };
-}
-
 /**
  * Initialize fresh storage for new installations
  */
@@ -293,3 +235,98 @@ export async function getStorageHealth() {
     return null;
   }
 }
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Validate data (e.g. an import file) against the storage schemas
+ *
+ * Records are checked against the newest schema using their record format,
+ * so a file can mix version 1 timestamps and record objects.
+ * @param {Object} data - Data to validate
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.allowedKeys - Top-level keys allowed besides the schema structure
+ * @returns {Object} { valid, version, errors, invalidRecords, unknownFields }
+ */
+export function validateStorageData(data, { allowedKeys = [] } = {}) {
+  const errors = [];
+  const invalidRecords = [];
+  const unknownFields = {};
+
+  const countUnknownField = (path) => {
+    unknownFields[path] = (unknownFields[path] || 0) + 1;
+  };
+
+  const invalid = () => ({
+    valid: false,
+    version: null,
+    errors,
+    invalidRecords,
+    unknownFields,
+  });
+
+  if (!isPlainObject(data)) {
+    errors.push("The file does not contain an object.");
+    return invalid();
+  }
+
+  const knownKeys = new Set(allowedKeys);
+  Object.values(STORAGE_SCHEMAS).forEach((schema) =>
+    Object.keys(schema.structure).forEach((key) => knownKeys.add(key))
+  );
+  Object.keys(data).forEach((key) => {
+    if (!knownKeys.has(key)) countUnknownField(key);
+  });
+
+  const followDates = data.followDates;
+  if (!isPlainObject(followDates)) {
+    errors.push("The file has no followDates section.");
+    return invalid();
+  }
+
+  let version = null;
+  ["followers", "following"].forEach((type) => {
+    const records = followDates[type];
+    if (!isPlainObject(records)) {
+      errors.push(`followDates.${type} is missing or not an object.`);
+      return;
+    }
+
+    Object.entries(records).forEach(([userId, record]) => {
+      const recordVersion = Object.keys(STORAGE_SCHEMAS)
+        .reverse()
+        .find((key) =>
+          STORAGE_SCHEMAS[key].recordType === "number"
+            ? typeof record === "number"
+            : isPlainObject(record)
+        );
+      const schema = STORAGE_SCHEMAS[recordVersion];
+
+      const timestamp = typeof record === "number" ? record : record?.timestamp;
+      if (!schema || !Number.isFinite(timestamp) || timestamp <= 0) {
+        invalidRecords.push({ type, userId });
+        return;
+      }
+
+      version = Math.max(version || 0, Number(recordVersion));
+
+      if (schema.recordFields) {
+        Object.keys(record).forEach((field) => {
+          if (!schema.recordFields.includes(field)) {
+            countUnknownField(`followDates.${type}.*.${field}`);
+          }
+        });
+      }
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    version: version || CURRENT_STORAGE_VERSION,
+    errors,
+    invalidRecords,
+    unknownFields,
+  };
+}
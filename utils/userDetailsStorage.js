@@ -0,0 +1,63 @@
+/**
+ * Stored user details (streak, XP, ...) keyed by user ID. When the
+ * compressUserDetails setting is on, the map is stored gzip-compressed.
+ */
+
+import { getSettings } from "./settings.js";
+import {
+  compressJson,
+  decompressJson,
+  isCompressed,
+  isCompressionSupported,
+} from "./compression.js";
+
+/**
+ * Unpack a stored userDetails value, compressed or not
+ * @param {*} stored - Value of the userDetails storage key
+ * @returns {Promise<Object>} User details keyed by user ID
+ */
+export async function unpackUserDetails(stored) {
+  if (isCompressed(stored)) {
+    return decompressJson(stored);
+  }
+  return stored || {};
+}
+
+/**
+ * Get the stored user details
+ * @returns {Promise<Object>} User details keyed by user ID
+ */
+export async function getStoredUserDetails() {
+  const result = await chrome.storage.local.get(["userDetails"]);
+  return unpackUserDetails(result.userDetails);
+}
+
+/**
+ * Save the user details, compressed if the setting is on
+ * @param {Object} userDetails - User details keyed by user ID
+ */
+export async function saveStoredUserDetails(userDetails) {
+  const { compressUserDetails } = await getSettings();
+  const value =
+    compressUserDetails && isCompressionSupported()
+      ? await compressJson(userDetails)
+      : userDetails;
+
+  await chrome.storage.local.set({ userDetails: value });
+}
+
+/**
+ * Store the details of one user
+ * @param {string} userId - User ID
+ * @param {Object} details - Details from the API
+ * @returns {Promise<Object>} All stored user details
+ */
+export async function updateStoredUserDetails(userId, details) {
+  const userDetails = await getStoredUserDetails();
+  userDetails[userId] = {
+    ...details,
+    lastUpdated: Date.now(),
+  };
+  await saveStoredUserDetails(userDetails);
+  return userDetails;
+}
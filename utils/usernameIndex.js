@@ -0,0 +1,93 @@
+/**
+ * Username index for the profile content script and username lookups, so
+ * they can find a user without loading and scanning every follow record.
+ * The background worker rebuilds it whenever followDates changes.
+ */
+
+/**
+ * Storage structure:
+ * usernameIndex = {
+ *   lowercase username: { userId, follower, following }, ...
+ * }
+ * follower and following are { isActive, since } for that record, or null
+ * when there is no record. Earlier usernames are indexed too; when two users
+ * had the same name, the one using it now wins.
+ */
+
+export const USERNAME_INDEX_KEY = "usernameIndex";
+
+/**
+ * Build the index from the follow records
+ * @param {Object} followDates - Stored follow records ({ followers, following })
+ * @returns {Object} The username index
+ */
+export function buildUsernameIndex(followDates) {
+  const followers = followDates?.followers || {};
+  const following = followDates?.following || {};
+  const index = {};
+
+  const addUsername = (username, userId) => {
+    if (!username || username === "Unknown") return;
+    const key = username.toLowerCase();
+    if (!index[key]) {
+      index[key] = { userId: Number(userId) };
+    }
+  };
+
+  // Current usernames first so they win over someone else's old username
+  [followers, following].forEach((records) =>
+    Object.entries(records).forEach(([userId, record]) =>
+      addUsername(record?.username, userId)
+    )
+  );
+  [followers, following].forEach((records) =>
+    Object.entries(records).forEach(([userId, record]) =>
+      (record?.previousUsernames || []).forEach((previous) =>
+        addUsername(previous.username, userId)
+      )
+    )
+  );
+
+  const describe = (record) =>
+    record
+      ? { isActive: record.isActive !== false, since: record.timestamp }
+      : null;
+  Object.values(index).forEach((entry) => {
+    entry.follower = describe(followers[entry.userId]);
+    entry.following = describe(following[entry.userId]);
+  });
+
+  return index;
+}
+
+/**
+ * Rebuild and save the index, or remove it when there are no follow records
+ * @param {Object} [followDates] - Follow records, read from storage if omitted
+ * @returns {Promise} Promise that resolves when the index is saved
+ */
+export async function updateUsernameIndex(followDates) {
+  if (followDates === undefined) {
+    const result = await chrome.storage.local.get(["followDates"]);
+    followDates = result.followDates;
+  }
+
+  if (!followDates) {
+    await chrome.storage.local.remove(USERNAME_INDEX_KEY);
+    return;
+  }
+
+  await chrome.storage.local.set({
+    [USERNAME_INDEX_KEY]: buildUsernameIndex(followDates),
+  });
+}
+
+/**
+ * Build the index if it doesn't exist yet, e.g. after an update
+ * @returns {Promise} Promise that resolves when the index exists
+ */
+export async function ensureUsernameIndex() {
+  const result = await chrome.storage.local.get([USERNAME_INDEX_KEY]);
+  if (!result[USERNAME_INDEX_KEY]) {
+    await updateUsernameIndex();
+  }
+}
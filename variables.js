@@ -57,8 +57,15 @@ export let MY_USER_ID = null;
  */
 export let JWT_TOKEN = null;
 
-// Initialize both user ID and JWT token when the module loads
-Promise.all([getUserIdFromCookies(), getJwtTokenFromCookies()])
+/**
+ * Resolves once the authentication values above have been read from cookies.
+ * Code that can run right after the service worker wakes up (e.g. alarms)
+ * should await this before checking MY_USER_ID and JWT_TOKEN.
+ */
+export const authReady = Promise.all([
+  getUserIdFromCookies(),
+  getJwtTokenFromCookies(),
+])
   .then(([id, token]) => {
     MY_USER_ID = id;
     JWT_TOKEN = token;